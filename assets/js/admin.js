@@ -16,9 +16,11 @@
     HTHAdmin.init = function() {
         console.log('HTH Sample Plugin admin initialized');
         
+        HTHAdmin.initCustomData();
         HTHAdmin.initDataTable();
         HTHAdmin.initForms();
         HTHAdmin.initMetaBoxes();
+        HTHAdmin.initIsbnField();
         HTHAdmin.initColorPicker();
         HTHAdmin.initMediaUploader();
     };
@@ -27,185 +29,871 @@
      * Initialize data table functionality
      */
     HTHAdmin.initDataTable = function() {
-        // Handle delete actions
-        $('.hth-data-table').on('click', '.delete-item', function(e) {
-            e.preventDefault();
-            
-            if (!confirm('Are you sure you want to delete this item?')) {
+        // Sorting, column filters and pagination (data-table.js)
+        $('.hth-data-table').each(function() {
+            HTHAdmin.dataTable.init($(this));
+        });
+
+        // Checkboxes and the bulk action selector
+        $('.hth-data-table').each(function() {
+            HTHAdmin.bulkActions.init($(this));
+        });
+    };
+
+    /**
+     * Bulk actions for admin tables
+     *
+     * Actions are registered by name, for one table (data-hth-table) or for
+     * all tables:
+     *
+     *   HTHAdmin.bulkActions.register('delete', {
+     *       label: 'Delete',
+     *       tables: ['custom-data'],            // optional
+     *       confirm: 'Delete these items?',     // false to skip the confirmation
+     *       field: { label: 'New value' },      // optional, asked for in the confirmation as context.input
+     *       chunkSize: 20,                      // ids per request
+     *       run: function(ids, context) {},     // one chunk, returns a promise of { message, undo: [...] }
+     *       undo: function(items, context) {},  // optional, one chunk of the collected undo items
+     *       done: function(context) {}          // optional, after every chunk ran
+     *   });
+     *
+     * Rows take part through a checkbox: <input type="checkbox" class="hth-row-select" value="{id}">,
+     * and a header checkbox with the class hth-select-all selects every visible row.
+     */
+    HTHAdmin.bulkActions = {
+        actions: {}
+    };
+
+    HTHAdmin.bulkActions.register = function(name, options) {
+        HTHAdmin.bulkActions.actions[name] = $.extend({
+            label: name,
+            tables: null,
+            confirm: 'Apply this action to the following items?',
+            chunkSize: 20,
+            field: null,
+            undo: null,
+            done: null
+        }, options);
+    };
+
+    /**
+     * Actions available for a table
+     */
+    HTHAdmin.bulkActions.getActions = function($table) {
+        var name = $table.attr('data-hth-table');
+
+        return $.map(HTHAdmin.bulkActions.actions, function(action, key) {
+            return !action.tables || $.inArray(name, action.tables) !== -1 ? $.extend({ name: key }, action) : null;
+        });
+    };
+
+    /**
+     * Add the selector, Apply button and checkbox behaviour to a table
+     */
+    HTHAdmin.bulkActions.init = function($table) {
+        var actions = HTHAdmin.bulkActions.getActions($table);
+        var lastChecked = null;
+
+        if ($table.data('hthBulk') || !actions.length || !$table.find('.hth-row-select').length) {
+            return;
+        }
+
+        $table.data('hthBulk', true);
+
+        var selectId = 'bulk-action-selector-' + ($table.attr('data-hth-table') || 'top');
+        var $select = $('<select></select>').attr('id', selectId);
+        var $apply = $('<button type="button" class="button action">Apply</button>');
+
+        $('<option value="">Bulk actions</option>').appendTo($select);
+        $.each(actions, function(i, action) {
+            $('<option></option>').val(action.name).text(action.label).appendTo($select);
+        });
+
+        var $nav = $table.prev('.tablenav');
+        if (!$nav.length) {
+            $nav = $('<div class="tablenav top"></div>').insertBefore($table);
+        }
+
+        $('<div class="alignleft actions bulkactions"></div>')
+            .append('<label for="' + selectId + '" class="screen-reader-text">Select bulk action</label>', $select, ' ', $apply)
+            .prependTo($nav);
+
+        /**
+         * Checkboxes of the rows currently shown (not filtered or paged away)
+         */
+        function visibleBoxes() {
+            return $table.find('tbody tr').not('[hidden]').find('.hth-row-select');
+        }
+
+        function updateSelectAll() {
+            var $boxes = visibleBoxes();
+            var checked = $boxes.filter(':checked').length;
+
+            $table.find('.hth-select-all')
+                .prop('checked', checked > 0 && checked === $boxes.length)
+                .prop('indeterminate', checked > 0 && checked < $boxes.length);
+        }
+
+        $table.on('change', '.hth-select-all', function() {
+            visibleBoxes().prop('checked', this.checked);
+            updateSelectAll();
+        });
+
+        // Shift-click selects every row between the last click and this one
+        $table.on('click', '.hth-row-select', function(e) {
+            var $boxes = visibleBoxes();
+
+            if (e.shiftKey && lastChecked && $.contains(document, lastChecked)) {
+                var from = $boxes.index(lastChecked);
+                var to = $boxes.index(this);
+
+                $boxes.slice(Math.min(from, to), Math.max(from, to) + 1).prop('checked', this.checked);
+            }
+
+            lastChecked = this;
+            updateSelectAll();
+        });
+
+        // Paging, sorting or filtering: only shown rows stay selected
+        $table.on('hth:table:rendered', function() {
+            $table.find('tbody tr[hidden] .hth-row-select').prop('checked', false);
+            lastChecked = null;
+            updateSelectAll();
+        });
+
+        $apply.on('click', function() {
+            var action = HTHAdmin.bulkActions.actions[$select.val()];
+            var $rows = visibleBoxes().filter(':checked').closest('tr');
+
+            if (!action) {
+                HTHAdmin.showNotice('warning', 'Please choose a bulk action.');
+                $select.trigger('focus');
                 return;
             }
-            
-            var $link = $(this);
-            var $row = $link.closest('tr');
-            var itemId = $link.data('id');
-            
-            $row.addClass('hth-loading');
-            
-            $.ajax({
-                url: ajaxurl,
-                type: 'POST',
-                data: {
-                    action: 'hth_delete_item',
-                    item_id: itemId,
-                    nonce: $('#hth_nonce').val()
-                },
-                success: function(response) {
-                    if (response.success) {
-                        $row.fadeOut(function() {
-                            $row.remove();
-                        });
-                        HTHAdmin.showNotice('success', 'Item deleted successfully.');
-                    } else {
-                        HTHAdmin.showNotice('error', response.data.message || 'Error deleting item.');
-                    }
-                },
-                error: function() {
-                    HTHAdmin.showNotice('error', 'Network error occurred.');
-                },
-                complete: function() {
-                    $row.removeClass('hth-loading');
-                }
+
+            if (!$rows.length) {
+                HTHAdmin.showNotice('warning', 'Please select at least one item.');
+                return;
+            }
+
+            var context = {
+                action: $.extend({ name: $select.val() }, action),
+                $table: $table,
+                $rows: $rows,
+                ids: $rows.find('.hth-row-select').map(function() { return this.value; }).get()
+            };
+
+            if (action.confirm === false && !action.field) {
+                HTHAdmin.bulkActions.run(context);
+            } else {
+                HTHAdmin.bulkActions.confirm(context).done(function() {
+                    HTHAdmin.bulkActions.run(context);
+                });
+            }
+        });
+    };
+
+    /**
+     * Label for a row in the confirmation list
+     */
+    function getRowLabel($row) {
+        return $row.attr('data-hth-label') || $.trim($row.find('.column-name').text()) || '#' + $row.find('.hth-row-select').val();
+    }
+
+    /**
+     * Ask for confirmation, listing the affected items
+     *
+     * @return {Promise} Resolves when confirmed
+     */
+    HTHAdmin.bulkActions.confirm = function(context) {
+        var deferred = $.Deferred();
+        var limit = 10;
+        var $panel = $('<div class="hth-bulk-panel" role="group" tabindex="-1"></div>').attr('aria-label', context.action.label);
+        var $list = $('<ul class="hth-bulk-items"></ul>');
+
+        context.$table.prevAll('.hth-bulk-panel').remove();
+
+        $('<p class="hth-bulk-question"></p>').text(context.action.confirm).appendTo($panel);
+
+        context.$rows.slice(0, limit).each(function() {
+            $('<li></li>').text(getRowLabel($(this))).appendTo($list);
+        });
+
+        if (context.$rows.length > limit) {
+            $('<li class="hth-bulk-more"></li>').text('…and ' + (context.$rows.length - limit) + ' more').appendTo($list);
+        }
+
+        var close = function() {
+            $panel.remove();
+        };
+
+        var $input = $();
+        var $field = $();
+
+        // Actions that need a value (e.g. the new value to set) ask for it here
+        if (context.action.field) {
+            $input = $('<input type="text" class="regular-text">').attr('id', 'hth-bulk-input-' + context.action.name);
+            $field = $('<p class="hth-bulk-field"></p>').append(
+                $('<label></label>').attr('for', $input.attr('id')).text(context.action.field.label),
+                ' ',
+                $input
+            );
+        }
+
+        var $confirm = $('<button type="button" class="button button-primary"></button>')
+            .text(context.action.label + ' ' + context.ids.length + (context.ids.length === 1 ? ' item' : ' items'))
+            .on('click', function() {
+                context.input = $input.length ? $input.val() : undefined;
+                close();
+                deferred.resolve();
             });
+
+        $input.on('keydown', function(e) {
+            if (e.keyCode === 13) {
+                e.preventDefault();
+                $confirm.trigger('click');
+            }
         });
 
-        // Handle bulk actions
-        $('#bulk-action-selector-top, #bulk-action-selector-bottom').on('change', function() {
-            var action = $(this).val();
-            var $checkboxes = $('.hth-data-table input[type="checkbox"]:checked');
-            
-            if (action === 'delete' && $checkboxes.length > 0) {
-                if (confirm('Are you sure you want to delete the selected items?')) {
-                    HTHAdmin.bulkDelete($checkboxes);
-                }
+        $panel.append(
+            $list,
+            $field,
+            $('<p class="hth-bulk-buttons"></p>').append(
+                $confirm,
+                ' ',
+                $('<button type="button" class="button">Cancel</button>').on('click', function() {
+                    close();
+                    deferred.reject();
+                })
+            )
+        );
+
+        $panel.on('keydown', function(e) {
+            if (e.keyCode === 27) {
+                close();
+                deferred.reject();
             }
         });
+
+        context.$table.before($panel);
+        ($input.length ? $input : $panel).trigger('focus');
+
+        return deferred.promise();
     };
 
     /**
-     * Handle bulk delete operations
+     * Run a function over items in chunks, one request at a time
+     *
+     * @param {Function} task     Called with (chunk), returns a promise
+     * @param {Function} progress Called with (done, total) after each chunk
+     * @return {Promise} Resolves with every chunk's result; on failure rejects
+     *                   with the error and the results so far
      */
-    HTHAdmin.bulkDelete = function($checkboxes) {
-        var ids = [];
-        $checkboxes.each(function() {
-            ids.push($(this).val());
+    HTHAdmin.bulkActions.chunk = function(items, size, task, progress) {
+        var deferred = $.Deferred();
+        var results = [];
+        var done = 0;
+
+        (function next() {
+            if (done >= items.length) {
+                deferred.resolve(results);
+                return;
+            }
+
+            var chunk = items.slice(done, done + size);
+
+            task(chunk).done(function(result) {
+                results.push(result);
+                done += chunk.length;
+                progress(done, items.length);
+                next();
+            }).fail(function(error) {
+                deferred.reject(error, results);
+            });
+        })();
+
+        return deferred.promise();
+    };
+
+    /**
+     * Run an action over the selected ids with a progress bar, then offer Undo
+     */
+    HTHAdmin.bulkActions.run = function(context) {
+        var action = context.action;
+        var $progress = $('<progress></progress>').attr({ max: context.ids.length, value: 0 });
+        var $status = $('<p class="hth-bulk-status" aria-live="polite"></p>');
+        var $panel = $('<div class="hth-bulk-panel hth-bulk-progress"></div>').append($status, $progress);
+        var undoItems = [];
+
+        // A progress bar only helps when there is more than one request
+        if (context.ids.length > action.chunkSize) {
+            context.$table.before($panel);
+        }
+
+        context.$table.addClass('hth-loading');
+        context.$rows.find('.hth-row-select').prop('disabled', true);
+
+        var collect = function(results) {
+            $.each(results, function(i, result) {
+                undoItems = undoItems.concat((result && result.undo) || []);
+            });
+        };
+
+        HTHAdmin.bulkActions.chunk(context.ids, action.chunkSize, function(ids) {
+            return action.run(ids, context);
+        }, function(done, total) {
+            $progress.val(done);
+            $status.text(action.label + ': ' + done + ' of ' + total);
+        }).done(function(results) {
+            collect(results);
+            finish(results.length ? results[results.length - 1].message : '', 'success');
+        }).fail(function(error, results) {
+            collect(results);
+            finish((error && error.message) || 'An error occurred.', 'error');
         });
-        
+
+        function finish(message, type) {
+            $panel.remove();
+            context.$table.removeClass('hth-loading');
+            context.$rows.find('.hth-row-select').prop({ disabled: false, checked: false });
+            context.$table.find('.hth-select-all').prop({ checked: false, indeterminate: false });
+
+            if (action.done) {
+                action.done(context);
+            }
+
+            var options = {};
+
+            if (action.undo && undoItems.length) {
+                options = {
+                    duration: 10000,
+                    actions: [{
+                        label: 'Undo',
+                        callback: function() {
+                            HTHAdmin.bulkActions.undo(context, undoItems);
+                        }
+                    }]
+                };
+            }
+
+            HTHAdmin.showNotice(type, message || (action.label + ': done.'), options);
+        }
+    };
+
+    /**
+     * Undo a bulk action with the items collected from its chunks
+     */
+    HTHAdmin.bulkActions.undo = function(context, items) {
+        var action = context.action;
+
+        context.$table.addClass('hth-loading');
+
+        HTHAdmin.bulkActions.chunk(items, action.chunkSize, function(chunk) {
+            return action.undo(chunk, context);
+        }, $.noop).done(function(results) {
+            HTHAdmin.showNotice('success', results.length ? results[results.length - 1].message : 'Undone.');
+        }).fail(function(error) {
+            HTHAdmin.showNotice('error', (error && error.message) || 'The action could not be undone.');
+        }).always(function() {
+            context.$table.removeClass('hth-loading');
+
+            if (action.done) {
+                action.done(context);
+            }
+        });
+    };
+
+    /**
+     * Post to an admin-ajax action
+     *
+     * Handlers answer with { message, ... } on success and
+     * { message, errors: { field: message } } on failure.
+     *
+     * @return {Promise} Resolves with response.data, rejects with { message, errors, status }
+     */
+    HTHAdmin.request = function(action, data) {
+        var deferred = $.Deferred();
+
         $.ajax({
             url: ajaxurl,
             type: 'POST',
-            data: {
-                action: 'hth_bulk_delete',
-                item_ids: ids,
-                nonce: $('#hth_nonce').val()
+            data: $.extend({ action: action }, data)
+        }).done(function(response) {
+            if (response && response.success) {
+                deferred.resolve(response.data || {});
+            } else {
+                deferred.reject($.extend({ message: 'An error occurred.', errors: {} }, response && response.data));
+            }
+        }).fail(function(xhr) {
+            var data = xhr.responseJSON && xhr.responseJSON.data;
+
+            deferred.reject($.extend({ message: 'Network error occurred.', errors: {} }, data, { status: xhr.status }));
+        });
+
+        return deferred.promise();
+    };
+
+    /**
+     * Turn records into CSV text (RFC 4180 quoting)
+     *
+     * Text starting with = + - @ (or a tab or carriage return) is prefixed
+     * with ' so spreadsheets show it instead of running it as a formula;
+     * numbers are left alone.
+     *
+     * @param {Array} rows    Objects to export
+     * @param {Array} columns Property names, also used as the header row
+     */
+    HTHAdmin.toCsv = function(rows, columns) {
+        var quote = function(value) {
+            if (typeof value === 'string' && /^[=+\-@\t\r]/.test(value)) {
+                value = "'" + value;
+            }
+
+            value = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+        };
+
+        var lines = [$.map(columns, quote).join(',')];
+
+        $.each(rows, function(i, row) {
+            lines.push($.map(columns, function(column) {
+                return quote(row[column]);
+            }).join(','));
+        });
+
+        return lines.join('\r\n') + '\r\n';
+    };
+
+    /**
+     * Let the browser save generated content as a file
+     */
+    HTHAdmin.download = function(filename, content, type) {
+        var url = window.URL.createObjectURL(new Blob([content], { type: type + ';charset=utf-8' }));
+        var link = $('<a></a>').attr({ href: url, download: filename }).appendTo('body');
+
+        link[0].click();
+        link.remove();
+
+        setTimeout(function() {
+            window.URL.revokeObjectURL(url);
+        }, 0);
+    };
+
+    /**
+     * Custom data table (Custom Data admin page)
+     *
+     * Inline editing of name/value, an add-row form and delete with undo,
+     * backed by the AJAX handlers in chapters/database-operations.php.
+     */
+    HTHAdmin.initCustomData = function() {
+        var $table = $('.hth-data-table[data-hth-table="custom-data"]');
+        var $addForm = $('.hth-add-row-form');
+        var nonce = $('#hth_nonce').val();
+
+        if (!$table.length) {
+            return;
+        }
+
+        var $tbody = $table.children('tbody');
+
+        // Rows for the table's server mode, loaded page by page
+        HTHAdmin.dataTable.register('custom-data', { renderRow: renderRow });
+
+        /**
+         * Build a table row (same markup as hth_display_custom_data_row())
+         */
+        function renderRow(row) {
+            var $row = $('<tr></tr>').attr('data-id', row.id);
+
+            $('<th scope="row" class="check-column"></th>')
+                .append($('<input type="checkbox" class="hth-row-select">').val(row.id).attr('aria-label', 'Select ' + row.name))
+                .appendTo($row);
+            $('<td class="column-id"></td>').text(row.id).appendTo($row);
+            $('<td class="column-name"></td>').text(row.name).appendTo($row);
+            $('<td class="column-value"></td>').text(row.value).appendTo($row);
+            $('<td class="column-created"></td>').text(row.created_at).appendTo($row);
+            $('<td class="column-actions actions"></td>')
+                .append('<button type="button" class="button button-small hth-edit-row">Edit</button> ')
+                .append('<button type="button" class="button button-small button-link-delete hth-delete-row">Delete</button>')
+                .appendTo($row);
+
+            return $row.data('hthRow', row);
+        }
+
+        /**
+         * Keep the "No data found." row in sync with the table contents
+         */
+        function updateEmptyState() {
+            var empty = !$tbody.children('tr[data-id]').length;
+
+            $tbody.children('.no-items').toggle(empty);
+
+            if (empty && !$tbody.children('.no-items').length) {
+                $tbody.append('<tr class="no-items"><td colspan="6">No data found.</td></tr>');
+            }
+
+            // Re-apply sorting, filters and paging
+            HTHAdmin.dataTable.refresh($table);
+        }
+
+        /**
+         * Put a row back in ID order
+         */
+        function insertRow($row) {
+            var id = parseInt($row.attr('data-id'), 10);
+            var $after = $tbody.children('tr[data-id]').filter(function() {
+                return parseInt($(this).attr('data-id'), 10) < id;
+            }).last();
+
+            if ($after.length) {
+                $after.after($row);
+            } else {
+                $tbody.prepend($row);
+            }
+
+            updateEmptyState();
+        }
+
+        /**
+         * Show server field errors on the matching inputs
+         */
+        function showErrors($scope, error) {
+            $.each(error.errors || {}, function(name, message) {
+                HTHPlugin.validation.showError($scope.find('[name="' + name + '"]').first(), message);
+            });
+            HTHAdmin.showNotice('error', error.message);
+            $scope.find('[aria-invalid="true"]').first().trigger('focus');
+        }
+
+        /**
+         * Find the row of a record
+         */
+        function findRow(id) {
+            return $tbody.children('tr[data-id="' + id + '"]');
+        }
+
+        // Bulk actions (see HTHAdmin.bulkActions)
+        HTHAdmin.bulkActions.register('delete', {
+            label: 'Delete',
+            tables: ['custom-data'],
+            confirm: 'Delete the following items?',
+            run: function(ids) {
+                return HTHAdmin.request('hth_bulk_delete_custom_data', { ids: ids, nonce: nonce }).then(function(data) {
+                    $.each(data.rows, function(i, row) {
+                        findRow(row.id).remove();
+                    });
+
+                    return { message: data.message, undo: data.rows };
+                });
             },
-            success: function(response) {
-                if (response.success) {
-                    $checkboxes.closest('tr').fadeOut(function() {
-                        $(this).remove();
+            undo: function(rows) {
+                return HTHAdmin.request('hth_bulk_restore_custom_data', { rows: rows, nonce: nonce }).then(function(data) {
+                    $.each(data.rows, function(i, row) {
+                        if (!findRow(row.id).length) {
+                            insertRow(renderRow(row));
+                        }
                     });
-                    HTHAdmin.showNotice('success', response.data.message);
-                } else {
-                    HTHAdmin.showNotice('error', response.data.message || 'Error deleting items.');
-                }
+
+                    return data;
+                });
             },
-            error: function() {
-                HTHAdmin.showNotice('error', 'Network error occurred.');
+            done: function() {
+                updateEmptyState();
             }
         });
+
+        HTHAdmin.bulkActions.register('set-value', {
+            label: 'Set value',
+            tables: ['custom-data'],
+            confirm: 'Set the value of the following items?',
+            field: { label: 'New value' },
+            run: function(ids, context) {
+                var rows = $.map(ids, function(id) {
+                    return { id: id, value: context.input };
+                });
+
+                return HTHAdmin.request('hth_bulk_update_custom_data', { rows: rows, nonce: nonce }).then(function(data) {
+                    replaceRows(data.rows);
+
+                    return { message: data.message, undo: data.previous };
+                });
+            },
+            undo: function(rows) {
+                return HTHAdmin.request('hth_bulk_update_custom_data', { rows: rows, nonce: nonce }).then(function(data) {
+                    replaceRows(data.rows);
+
+                    return data;
+                });
+            },
+            done: function() {
+                updateEmptyState();
+            }
+        });
+
+        /**
+         * Show records changed by a bulk action
+         */
+        function replaceRows(rows) {
+            $.each(rows, function(i, row) {
+                findRow(row.id).replaceWith(renderRow(row));
+            });
+        }
+
+        HTHAdmin.bulkActions.register('export', {
+            label: 'Export as CSV',
+            tables: ['custom-data'],
+            confirm: false,
+            chunkSize: Infinity,
+            run: function(ids, context) {
+                var rows = context.$rows.map(function() {
+                    return $(this).data('hthRow');
+                }).get();
+
+                HTHAdmin.download('custom-data.csv', HTHAdmin.toCsv(rows, ['id', 'name', 'value', 'created_at']), 'text/csv');
+
+                return $.Deferred().resolve({ message: rows.length + (rows.length === 1 ? ' item exported.' : ' items exported.') }).promise();
+            }
+        });
+
+        // For other scripts on this page (e.g. the importer in custom-data.js)
+        HTHAdmin.customData = {
+            $table: $table,
+            nonce: nonce,
+            addRows: function(rows) {
+                // New records have the highest IDs, so they go at the end
+                $.each(rows, function(i, row) {
+                    $tbody.append(renderRow(row));
+                });
+                updateEmptyState();
+            }
+        };
+
+        // Record the data for rows rendered by PHP
+        $tbody.children('tr[data-id]').each(function() {
+            var $row = $(this);
+
+            $row.data('hthRow', {
+                id: $row.attr('data-id'),
+                name: $row.children('.column-name').text(),
+                value: $row.children('.column-value').text(),
+                created_at: $row.children('.column-created').text()
+            });
+        });
+
+        // Inline editing
+        $table.on('click', '.hth-edit-row', function() {
+            var $row = $(this).closest('tr');
+            var row = $row.data('hthRow');
+
+            if ($row.hasClass('is-editing')) {
+                return;
+            }
+
+            $row.addClass('is-editing');
+
+            $row.children('.column-name').empty().append(
+                $('<input type="text" name="name" maxlength="255" required>').val(row.name).attr('aria-label', 'Name')
+            );
+            $row.children('.column-value').empty().append(
+                $('<textarea name="value" rows="2"></textarea>').val(row.value).attr('aria-label', 'Value')
+            );
+            $row.children('.column-actions').empty().append(
+                '<button type="button" class="button button-small button-primary hth-save-row">Save</button> ',
+                '<button type="button" class="button button-small hth-cancel-row">Cancel</button>'
+            );
+
+            $row.find('input').trigger('focus');
+        });
+
+        $table.on('click', '.hth-cancel-row', function() {
+            var $row = $(this).closest('tr');
+            var $restored = renderRow($row.data('hthRow'));
+
+            $row.replaceWith($restored);
+            $restored.find('.hth-edit-row').trigger('focus');
+        });
+
+        $table.on('click', '.hth-save-row', function() {
+            var $row = $(this).closest('tr');
+            var row = $row.data('hthRow');
+
+            HTHPlugin.validation.validateForm($row).done(function(result) {
+                if (!result.valid) {
+                    result.errors[0].$field.trigger('focus');
+                    return;
+                }
+
+                $row.addClass('hth-saving').find('button').prop('disabled', true);
+
+                HTHAdmin.request('hth_update_custom_data', {
+                    id: row.id,
+                    name: $row.find('[name="name"]').val(),
+                    value: $row.find('[name="value"]').val(),
+                    nonce: nonce
+                }).done(function(data) {
+                    var $updated = renderRow(data.row);
+
+                    $row.replaceWith($updated);
+                    $updated.find('.hth-edit-row').trigger('focus');
+                    HTHAdmin.showNotice('success', data.message || 'Saved successfully!');
+                }).fail(function(error) {
+                    $row.removeClass('hth-saving').find('button').prop('disabled', false);
+                    showErrors($row, error);
+                });
+            });
+        });
+
+        // Enter saves and Escape cancels while editing
+        $table.on('keydown', '.is-editing input, .is-editing textarea', function(e) {
+            if (e.keyCode === 27) {
+                $(this).closest('tr').find('.hth-cancel-row').trigger('click');
+            } else if (e.keyCode === 13 && this.tagName === 'INPUT') {
+                e.preventDefault();
+                $(this).closest('tr').find('.hth-save-row').trigger('click');
+            }
+        });
+
+        // Delete, with undo
+        $table.on('click', '.hth-delete-row', function() {
+            var $row = $(this).closest('tr');
+            var row = $row.data('hthRow');
+
+            $row.addClass('hth-saving').find('button').prop('disabled', true);
+
+            HTHAdmin.request('hth_delete_custom_data', { id: row.id, nonce: nonce }).done(function(data) {
+                var deleted = data.row || row;
+
+                $row.fadeOut(function() {
+                    $row.remove();
+                    updateEmptyState();
+                });
+
+                HTHAdmin.showNotice('success', 'Deleted "' + deleted.name + '".', {
+                    duration: 10000,
+                    actions: [{
+                        label: 'Undo',
+                        callback: function() {
+                            HTHAdmin.request('hth_restore_custom_data', $.extend({}, deleted, { nonce: nonce }))
+                                .done(function(restored) {
+                                    var $restored = renderRow(restored.row);
+
+                                    insertRow($restored);
+                                    $restored.find('.hth-edit-row').trigger('focus');
+                                    HTHAdmin.showNotice('success', restored.message || 'Item restored.');
+                                })
+                                .fail(function(error) {
+                                    HTHAdmin.showNotice('error', error.message);
+                                });
+                        }
+                    }]
+                });
+            }).fail(function(error) {
+                $row.removeClass('hth-saving').find('button').prop('disabled', false);
+                HTHAdmin.showNotice('error', error.message);
+            });
+        });
+
+        // Add a new row
+        HTHPlugin.validation.bind($addForm);
+
+        $addForm.on('submit', function(e) {
+            e.preventDefault();
+
+            var $submitBtn = $addForm.find('[type="submit"]');
+
+            HTHPlugin.validation.validateForm($addForm).done(function(result) {
+                if (!result.valid) {
+                    result.errors[0].$field.trigger('focus');
+                    return;
+                }
+
+                $submitBtn.prop('disabled', true);
+
+                HTHAdmin.request('hth_create_custom_data', {
+                    name: $addForm.find('[name="name"]').val(),
+                    value: $addForm.find('[name="value"]').val(),
+                    nonce: nonce
+                }).done(function(data) {
+                    var $new = renderRow(data.row).addClass('hth-row-added');
+
+                    insertRow($new);
+                    $addForm[0].reset();
+                    HTHPlugin.validation.reset($addForm);
+                    $addForm.find('[name="name"]').trigger('focus');
+                    HTHAdmin.showNotice('success', data.message || 'Saved successfully!');
+                }).fail(function(error) {
+                    showErrors($addForm, error);
+                }).always(function() {
+                    $submitBtn.prop('disabled', false);
+                });
+            });
+        });
     };
 
     /**
      * Initialize form functionality
      */
     HTHAdmin.initForms = function() {
+        // Show/hide fields with data-hth-show-if (see conditions.js)
+        HTHPlugin.conditions.initAll();
+
+        // Opt-in draft autosave for forms with data-hth-autosave (see form-draft.js)
+        HTHPlugin.formDraft.initAll();
+
         // Handle AJAX form submissions
-        $('.hth-admin-form').on('submit', function(e) {
+        $('.hth-admin-form').each(function() {
+            HTHPlugin.validation.bind($(this));
+        }).on('submit', function(e) {
             e.preventDefault();
             
             var $form = $(this);
             var $submitBtn = $form.find('[type="submit"]');
             var originalText = $submitBtn.val();
+
+            // Validate with the shared engine (see validation.js)
+            HTHPlugin.validation.validateForm($form).done(function(result) {
+                if (!result.valid) {
+                    result.errors[0].$field.trigger('focus');
+                    return;
+                }
             
-            // Show loading state
-            $submitBtn.prop('disabled', true).val('Saving...');
-            
-            $.ajax({
-                url: ajaxurl,
-                type: 'POST',
-                data: $form.serialize(),
-                success: function(response) {
-                    if (response.success) {
-                        HTHAdmin.showNotice('success', response.data.message || 'Saved successfully!');
-                        
-                        // Redirect if specified
-                        if (response.data.redirect) {
-                            window.location.href = response.data.redirect;
+                // Show loading state
+                $submitBtn.prop('disabled', true).val('Saving...');
+                
+                $.ajax({
+                    url: ajaxurl,
+                    type: 'POST',
+                    data: $form.serialize(),
+                    success: function(response) {
+                        if (response.success) {
+                            HTHAdmin.showNotice('success', response.data.message || 'Saved successfully!');
+                            $form.trigger('hth:form:success', [response.data]);
+                            
+                            // Redirect if specified
+                            if (response.data.redirect) {
+                                window.location.href = response.data.redirect;
+                            }
+                        } else {
+                            HTHAdmin.showNotice('error', response.data.message || 'An error occurred.');
                         }
-                    } else {
-                        HTHAdmin.showNotice('error', response.data.message || 'An error occurred.');
+                    },
+                    error: function() {
+                        HTHAdmin.showNotice('error', 'Network error occurred.');
+                    },
+                    complete: function() {
+                        $submitBtn.prop('disabled', false).val(originalText);
                     }
-                },
-                error: function() {
-                    HTHAdmin.showNotice('error', 'Network error occurred.');
-                },
-                complete: function() {
-                    $submitBtn.prop('disabled', false).val(originalText);
-                }
+                });
             });
         });
-
-        // Handle form validation
-        $('.hth-admin-form input[required], .hth-admin-form textarea[required]').on('blur', function() {
-            var $field = $(this);
-            var $fieldContainer = $field.closest('.hth-form-field');
-            
-            if (!$field.val().trim()) {
-                $fieldContainer.addClass('error');
-                if (!$fieldContainer.find('.error-message').length) {
-                    $fieldContainer.append('<span class="error-message">This field is required.</span>');
-                }
-            } else {
-                $fieldContainer.removeClass('error').find('.error-message').remove();
-            }
-        });
     };
 
     /**
      * Initialize meta box functionality
      */
     HTHAdmin.initMetaBoxes = function() {
-        // Handle repeatable fields
-        $('.hth-meta-box').on('click', '.add-field', function(e) {
-            e.preventDefault();
-            
-            var $button = $(this);
-            var $container = $button.siblings('.repeatable-fields');
-            var $template = $container.find('.field-template');
-            var $newField = $template.clone().removeClass('field-template').show();
-            
-            // Update field names and IDs
-            var index = $container.find('.field-row:not(.field-template)').length;
-            $newField.find('input, textarea, select').each(function() {
-                var $input = $(this);
-                var name = $input.attr('name');
-                var id = $input.attr('id');
-                
-                if (name) {
-                    $input.attr('name', name.replace('[0]', '[' + index + ']'));
-                }
-                if (id) {
-                    $input.attr('id', id.replace('_0', '_' + index));
-                }
-            });
-            
-            $container.append($newField);
-        });
-
-        // Handle field removal
-        $('.hth-meta-box').on('click', '.remove-field', function(e) {
-            e.preventDefault();
-            $(this).closest('.field-row').remove();
-        });
+        // Repeatable groups of fields (repeater.js)
+        HTHAdmin.repeater.init();
 
         // Handle image upload in meta boxes
         $('.hth-meta-box').on('click', '.upload-image-button', function(e) {
@@ -215,20 +903,183 @@
             var $input = $button.siblings('input[type="hidden"]');
             var $preview = $button.siblings('.image-preview');
             
-            var frame = wp.media({
+            HTHAdmin.mediaField.open({
                 title: 'Select Image',
-                button: { text: 'Use This Image' },
-                multiple: false
+                button: 'Use This Image',
+                type: 'image',
+                ids: $input.val() ? [parseInt($input.val(), 10)] : [],
+                select: function(attachments) {
+                    var preview = HTHAdmin.mediaField.preview(attachments[0]);
+
+                    $input.val(attachments[0].id);
+                    $preview.empty().append($('<img alt="">').attr('src', preview.url));
+                    $button.text('Change Image');
+                }
             });
-            
-            frame.on('select', function() {
-                var attachment = frame.state().get('selection').first().toJSON();
-                $input.val(attachment.id);
-                $preview.html('<img src="' + attachment.sizes.thumbnail.url + '" alt="">');
-                $button.text('Change Image');
+        });
+    };
+
+    /**
+     * Live ISBN checks for inputs with data-hth-isbn
+     *
+     * As the editor types, the ISBN-10/ISBN-13 checksum is checked and the
+     * other form is offered; once the ISBN is valid, GET books/isbn-check
+     * looks for other books that use it (data-hth-post-id is left out). On
+     * blur a valid ISBN is normalized to the compact form it is saved in.
+     * Messages go to the first element named by the input's aria-describedby.
+     */
+    HTHAdmin.initIsbnField = function() {
+        var isbnHelper = HTHPlugin.validation.isbn;
+
+        $('input[data-hth-isbn]').each(function() {
+            var $input = $(this);
+            var statusId = ($input.attr('aria-describedby') || '').split(' ')[0];
+            var $status = statusId ? $('#' + statusId) : $();
+            var postId = parseInt($input.attr('data-hth-post-id'), 10) || 0;
+            var cache = {};
+            var timer = null;
+            var request = null;
+
+            if (!$status.length) {
+                $status = $('<div class="hth-isbn-status" aria-live="polite"></div>').insertAfter($input);
+            }
+
+            // Accept pasted values such as "ISBN-13: 978-0-306-40615-7"
+            function getValue() {
+                return isbnHelper.clean($input.val().replace(/^\s*ISBN(-1[03])?:?/i, ''));
+            }
+
+            function setStatus(type, $content) {
+                $status.removeClass('is-valid is-error is-warning').empty();
+
+                if (type) {
+                    $status.addClass('is-' + type).append($content);
+                }
+
+                $input.attr('aria-invalid', type === 'error' ? 'true' : 'false');
+            }
+
+            function showValid(value) {
+                var is13 = value.length === 13;
+                var other = is13 ? isbnHelper.to10(value) : isbnHelper.to13(value);
+                var $content = $('<p></p>').text(is13 ? 'Valid ISBN-13.' : 'Valid ISBN-10.');
+
+                if (other) {
+                    $content.append(' ', document.createTextNode((is13 ? 'ISBN-10: ' : 'ISBN-13: ') + other + ' '),
+                        $('<button type="button" class="button-link hth-isbn-convert"></button>')
+                            .text(is13 ? 'Use ISBN-10' : 'Use ISBN-13')
+                            .on('click', function() {
+                                $input.val(other).trigger('input').trigger('change');
+                            }));
+                } else {
+                    $content.append(' ', document.createTextNode('979 ISBNs have no ISBN-10.'));
+                }
+
+                setStatus('valid', $content);
+            }
+
+            function showDuplicates(value, duplicates) {
+                // The input changed while the request was running
+                if (getValue() !== value || !duplicates.length) {
+                    return;
+                }
+
+                var $list = $('<ul></ul>');
+
+                $.each(duplicates, function(i, book) {
+                    var $item = $('<li></li>');
+                    var title = book.title || '#' + book.id;
+
+                    if (book.edit_link) {
+                        $item.append($('<a></a>').attr('href', book.edit_link).text(title));
+                    } else {
+                        $item.text(title);
+                    }
+
+                    if (book.status !== 'publish') {
+                        $item.append(document.createTextNode(' (' + book.status + ')'));
+                    }
+
+                    $list.append($item);
+                });
+
+                $status.find('.hth-isbn-duplicates').remove();
+                $status.removeClass('is-valid').addClass('is-warning').append(
+                    $('<div class="hth-isbn-duplicates"></div>').append(
+                        $('<p></p>').text(duplicates.length === 1
+                            ? 'Another book already uses this ISBN:'
+                            : duplicates.length + ' other books already use this ISBN:'),
+                        $list
+                    )
+                );
+            }
+
+            function lookup(value) {
+                if (cache[value]) {
+                    showDuplicates(value, cache[value]);
+                    return;
+                }
+
+                request = HTHPlugin.api.books.checkIsbn(value, postId);
+                request.done(function(result) {
+                    cache[value] = result.data.duplicates || [];
+                    showDuplicates(value, cache[value]);
+                });
+                // The lookup only adds a warning; without it the field still works
+            }
+
+            function check(finished) {
+                var value = getValue();
+
+                clearTimeout(timer);
+                if (request) {
+                    request.abort();
+                    request = null;
+                }
+
+                if (!value) {
+                    setStatus(null);
+                    return;
+                }
+
+                if (isbnHelper.isValid(value)) {
+                    showValid(value);
+                    timer = setTimeout(function() {
+                        lookup(value);
+                    }, 400);
+                    return;
+                }
+
+                // While typing, wait until the ISBN could be complete
+                var complete = value.length >= 13 || (value.length === 10 && !/^97[89]/.test(value));
+
+                if (!finished && !complete && /^[\dX]*$/.test(value)) {
+                    setStatus(null);
+                    return;
+                }
+
+                setStatus('error', $('<p></p>').text(/^(\d{9}[\dX]|\d{13})$/.test(value)
+                    ? 'The check digit does not match. The ISBN may be mistyped.'
+                    : 'An ISBN has 10 or 13 digits (an ISBN-10 may end in X).'));
+            }
+
+            $input.on('input', function() {
+                check(false);
             });
-            
-            frame.open();
+
+            $input.on('blur', function() {
+                var value = getValue();
+
+                if (isbnHelper.isValid(value) && $input.val() !== value) {
+                    $input.val(value).trigger('change');
+                }
+
+                check(true);
+            });
+
+            if ($input.val()) {
+                check(true);
+            }
         });
     };
 
@@ -250,6 +1101,9 @@
      * Initialize media uploader
      */
     HTHAdmin.initMediaUploader = function() {
+        // Single and gallery fields (media-field.js)
+        HTHAdmin.mediaField.init();
+
         $('.hth-upload-button').on('click', function(e) {
             e.preventDefault();
             
@@ -257,31 +1111,28 @@
             var $input = $button.siblings('input[type="hidden"]');
             var $preview = $button.siblings('.upload-preview');
             var mediaType = $button.data('media-type') || 'image';
+            var typeLabel = mediaType.charAt(0).toUpperCase() + mediaType.slice(1);
             
-            var frame = wp.media({
-                title: 'Select ' + mediaType.charAt(0).toUpperCase() + mediaType.slice(1),
-                button: { text: 'Use This ' + mediaType.charAt(0).toUpperCase() + mediaType.slice(1) },
-                multiple: false,
-                library: { type: mediaType }
-            });
-            
-            frame.on('select', function() {
-                var attachment = frame.state().get('selection').first().toJSON();
-                $input.val(attachment.id);
-                
-                if (mediaType === 'image') {
-                    var imageUrl = attachment.sizes && attachment.sizes.thumbnail 
-                        ? attachment.sizes.thumbnail.url 
-                        : attachment.url;
-                    $preview.html('<img src="' + imageUrl + '" alt="" style="max-width: 150px;">');
-                } else {
-                    $preview.html('<span>' + attachment.filename + '</span>');
+            HTHAdmin.mediaField.open({
+                title: 'Select ' + typeLabel,
+                button: 'Use This ' + typeLabel,
+                type: mediaType,
+                ids: $input.val() ? [parseInt($input.val(), 10)] : [],
+                select: function(attachments) {
+                    var attachment = attachments[0];
+                    var preview = HTHAdmin.mediaField.preview(attachment);
+
+                    $input.val(attachment.id);
+                    
+                    if (preview.isImage) {
+                        $preview.empty().append($('<img alt="" style="max-width: 150px;">').attr('src', preview.url));
+                    } else {
+                        $preview.empty().append($('<span></span>').text(attachment.filename));
+                    }
+                    
+                    $button.text('Change ' + typeLabel);
                 }
-                
-                $button.text('Change ' + mediaType.charAt(0).toUpperCase() + mediaType.slice(1));
             });
-            
-            frame.open();
         });
         
         // Handle remove media
@@ -301,72 +1152,288 @@
 
     /**
      * Show admin notice
+     *
+     * Notices appear below the page title; see notices.js for the options
+     * (duration, actions such as Undo, html).
+     *
+     * @param {string} type    success, error, warning or info
+     * @param {string} message Plain text (not HTML)
+     * @return {Object} The notice, with dismiss()
      */
-    HTHAdmin.showNotice = function(type, message) {
-        var $notice = $('<div class="notice notice-' + type + ' is-dismissible hth-admin-notice"><p>' + message + '</p></div>');
-        
-        $('.wrap h1').after($notice);
-        
-        // Auto dismiss after 5 seconds
-        setTimeout(function() {
-            $notice.fadeOut(function() {
-                $notice.remove();
-            });
-        }, 5000);
+    HTHAdmin.showNotice = function(type, message, options) {
+        var region = HTHPlugin.notices.region($('.wrap h1').first(), {
+            insert: 'after',
+            className: 'hth-notices-inline',
+            noticeClass: 'notice notice-{type} hth-admin-notice'
+        });
+
+        return HTHPlugin.notices.show(message, $.extend({ type: type, region: region }, options));
     };
 
     /**
-     * Handle AJAX search functionality
+     * Admin search autocomplete (books, genres and custom data)
+     *
+     * A combobox following the WAI-ARIA pattern: results are options in a
+     * listbox, grouped by type; Up/Down move through them, Enter opens the
+     * active one and Escape closes the list. Superseded requests are
+     * aborted and recent queries are answered from a small cache.
+     * The backend is hth_ajax_search() in chapters/database-operations.php.
      */
     HTHAdmin.initSearch = function() {
         var $searchInput = $('#hth-search-input');
         var $searchResults = $('#hth-search-results');
-        
-        if ($searchInput.length) {
-            $searchInput.on('input', HTHAdmin.utils.debounce(function() {
-                var query = $(this).val().trim();
-                
-                if (query.length < 3) {
-                    $searchResults.empty();
+        var MIN_LENGTH = 2;
+        var CACHE_SIZE = 20;
+        var GROUPS = [
+            { type: 'book', label: 'Books' },
+            { type: 'genre', label: 'Genres' },
+            { type: 'custom_data', label: 'Custom data' }
+        ];
+        var cache = {};
+        var cacheKeys = [];
+        var xhr = null;
+        var active = -1;
+
+        if (!$searchInput.length) {
+            return;
+        }
+
+        var listId = $searchResults.attr('id') + '-list';
+        var $status = $('<div class="screen-reader-text" aria-live="polite"></div>').insertAfter($searchResults);
+
+        $searchInput.attr({
+            role: 'combobox',
+            'aria-autocomplete': 'list',
+            'aria-expanded': 'false',
+            'aria-controls': listId
+        });
+
+        function getOptions() {
+            return $searchResults.find('[role="option"]');
+        }
+
+        function close() {
+            $searchResults.empty();
+            $searchInput.attr('aria-expanded', 'false').removeAttr('aria-activedescendant');
+            active = -1;
+        }
+
+        function setActive(index) {
+            var $options = getOptions();
+
+            if (!$options.length) {
+                return;
+            }
+
+            // Wrap around at both ends
+            active = (index + $options.length) % $options.length;
+
+            $options.attr('aria-selected', 'false').removeClass('is-active');
+
+            var $option = $options.eq(active).attr('aria-selected', 'true').addClass('is-active');
+            $searchInput.attr('aria-activedescendant', $option.attr('id'));
+
+            if ($option[0].scrollIntoView) {
+                $option[0].scrollIntoView({ block: 'nearest' });
+            }
+        }
+
+        function open($option) {
+            if ($option.length && $option.attr('data-url')) {
+                window.location.href = $option.attr('data-url');
+            }
+        }
+
+        /**
+         * Append text to an element, wrapping the query's words in <mark>
+         * Everything is added as text nodes, so results can't inject HTML.
+         */
+        function highlight($element, text, query) {
+            var terms = $.grep(query.split(/\s+/), function(term) {
+                return term !== '';
+            });
+            var pattern = new RegExp('(' + $.map(terms, HTHAdmin.utils.escapeRegExp).join('|') + ')', 'gi');
+
+            $.each(String(text || '').split(pattern), function(i, part) {
+                // split() with a capture group puts the matches at odd positions
+                $element.append(i % 2 ? $('<mark></mark>').text(part) : document.createTextNode(part));
+            });
+
+            return $element;
+        }
+
+        function render(results, query) {
+            var $list = $('<div role="listbox" aria-label="Search results"></div>').attr('id', listId);
+            var count = 0;
+
+            $.each(GROUPS, function(i, group) {
+                var items = $.grep(results, function(item) {
+                    return item.type === group.type;
+                });
+
+                if (!items.length) {
                     return;
                 }
-                
-                $searchResults.html('<div class="hth-loading">Searching...</div>');
-                
-                $.ajax({
-                    url: ajaxurl,
-                    type: 'GET',
-                    data: {
-                        action: 'hth_search',
-                        query: query,
-                        nonce: $('#hth_search_nonce').val()
-                    },
-                    success: function(response) {
-                        if (response.success && response.data.results) {
-                            var html = '';
-                            response.data.results.forEach(function(item) {
-                                html += '<div class="search-result-item">';
-                                html += '<h4>' + item.title + '</h4>';
-                                html += '<p>' + item.excerpt + '</p>';
-                                html += '</div>';
-                            });
-                            $searchResults.html(html);
-                        } else {
-                            $searchResults.html('<div class="no-results">No results found.</div>');
-                        }
-                    },
-                    error: function() {
-                        $searchResults.html('<div class="error">Search error occurred.</div>');
+
+                var labelId = listId + '-' + group.type;
+                var $group = $('<div role="group" class="hth-search-group"></div>').attr('aria-labelledby', labelId);
+
+                $('<div role="presentation" class="hth-search-group-label"></div>').attr('id', labelId).text(group.label).appendTo($group);
+
+                $.each(items, function(j, item) {
+                    var $option = $('<div role="option" class="search-result-item" aria-selected="false"></div>')
+                        .attr({ id: listId + '-' + count++, 'data-url': item.url });
+
+                    highlight($('<span class="search-result-title"></span>'), item.title, query).appendTo($option);
+
+                    if (item.excerpt) {
+                        highlight($('<span class="search-result-excerpt"></span>'), item.excerpt, query).appendTo($option);
                     }
+
+                    $group.append($option);
                 });
-            }, 300));
+
+                $list.append($group);
+            });
+
+            active = -1;
+            $searchInput.removeAttr('aria-activedescendant');
+
+            if (!count) {
+                $searchResults.html('<div class="no-results">No results found.</div>');
+                $searchInput.attr('aria-expanded', 'false');
+                $status.text('No results found.');
+                return;
+            }
+
+            $searchResults.empty().append($list);
+            $searchInput.attr('aria-expanded', 'true');
+            $status.text(count + (count === 1 ? ' result' : ' results') + ' available. Use the up and down arrow keys to choose one.');
         }
+
+        function remember(query, results) {
+            if (!cache.hasOwnProperty(query)) {
+                cacheKeys.push(query);
+            }
+            cache[query] = results;
+
+            if (cacheKeys.length > CACHE_SIZE) {
+                delete cache[cacheKeys.shift()];
+            }
+        }
+
+        function search(query) {
+            // Only the latest query's answer may be shown
+            if (xhr) {
+                xhr.abort();
+                xhr = null;
+            }
+
+            if (query.length < MIN_LENGTH) {
+                close();
+                return;
+            }
+
+            if (cache.hasOwnProperty(query)) {
+                render(cache[query], query);
+                return;
+            }
+
+            $searchResults.html('<div class="hth-loading">Searching...</div>');
+
+            xhr = $.ajax({
+                url: ajaxurl,
+                type: 'GET',
+                data: {
+                    action: 'hth_search',
+                    query: query,
+                    nonce: $('#hth_search_nonce').val()
+                }
+            });
+
+            xhr.done(function(response) {
+                if (response.success && response.data.results) {
+                    remember(query, response.data.results);
+                    render(response.data.results, query);
+                } else {
+                    $searchResults.empty().append($('<div class="error"></div>').text((response.data && response.data.message) || 'Search error occurred.'));
+                }
+            }).fail(function(jqXHR, textStatus) {
+                if (textStatus !== 'abort') {
+                    $searchResults.html('<div class="error">Search error occurred.</div>');
+                }
+            }).always(function() {
+                xhr = null;
+            });
+        }
+
+        $searchInput.on('input', HTHAdmin.utils.debounce(function() {
+            search($.trim($(this).val()));
+        }, 300));
+
+        $searchInput.on('keydown', function(e) {
+            var expanded = $searchInput.attr('aria-expanded') === 'true';
+
+            switch (e.keyCode) {
+                case 40: // Down
+                    if (expanded) {
+                        e.preventDefault();
+                        setActive(active + 1);
+                    }
+                    break;
+                case 38: // Up
+                    if (expanded) {
+                        e.preventDefault();
+                        setActive(active - 1);
+                    }
+                    break;
+                case 13: // Enter
+                    if (expanded && active !== -1) {
+                        e.preventDefault();
+                        open(getOptions().eq(active));
+                    }
+                    break;
+                case 27: // Escape: close the list, or clear the field when closed
+                    if ($searchResults.children().length) {
+                        e.preventDefault();
+                        close();
+                    } else {
+                        $searchInput.val('');
+                    }
+                    break;
+            }
+        });
+
+        // mousedown instead of click, so the input doesn't lose focus first
+        $searchResults.on('mousedown', '[role="option"]', function(e) {
+            e.preventDefault();
+            open($(this));
+        });
+
+        $searchInput.on('blur', function() {
+            setTimeout(close, 150);
+        });
+
+        $searchInput.on('focus', function() {
+            var query = $.trim($searchInput.val());
+
+            if (query.length >= MIN_LENGTH && cache.hasOwnProperty(query)) {
+                render(cache[query], query);
+            }
+        });
     };
 
     /**
      * Utility functions
      */
     HTHAdmin.utils = {
+        /**
+         * Escape a string for use inside a regular expression
+         */
+        escapeRegExp: function(string) {
+            return String(string).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        },
+
         debounce: function(func, wait) {
             var timeout;
             return function executedFunction() {
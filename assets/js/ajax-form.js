@@ -7,13 +7,39 @@
 (function($) {
     'use strict';
 
+    // Plugin namespace
+    window.HTHPlugin = window.HTHPlugin || {};
+
     /**
      * Initialize AJAX form functionality
      */
     function initAjaxForms() {
         $('.hth-ajax-form').each(function() {
             var $form = $(this);
-            
+
+            // Forms loaded via AJAX are initialized again; bind only once
+            if ($form.data('hthAjaxForm')) {
+                return;
+            }
+            $form.data('hthAjaxForm', true);
+
+            HTHPlugin.validation.bind($form);
+            HTHPlugin.fileUpload.init($form);
+
+            // Show/hide fields with data-hth-show-if (see conditions.js)
+            HTHPlugin.conditions.init($form);
+
+            // Multi-step mode (see form-wizard.js)
+            if ($form.is('[data-hth-wizard]')) {
+                HTHPlugin.formWizard.init($form);
+            }
+
+            // Opt-in draft autosave (see form-draft.js)
+            HTHPlugin.formDraft.init($form);
+
+            // Honeypot, time-to-submit and proof of work (see spam-guard.js)
+            HTHPlugin.spamGuard.init($form);
+
             $form.on('submit', function(e) {
                 e.preventDefault();
                 handleFormSubmission($form);
@@ -27,55 +53,160 @@
     function handleFormSubmission($form) {
         var $submitBtn = $form.find('.submit-button');
         var originalText = $submitBtn.text();
-        var $messageContainer = $form.find('.hth-form-messages');
-        
-        // Create message container if it doesn't exist
-        if ($messageContainer.length === 0) {
-            $messageContainer = $('<div class="hth-form-messages"></div>');
-            $form.prepend($messageContainer);
+        var $messageContainer = getMessageContainer($form);
+
+        // In a wizard, Enter on an earlier step moves on instead of submitting
+        if (HTHPlugin.formWizard.isActive($form) && !HTHPlugin.formWizard.isLastStep($form)) {
+            HTHPlugin.formWizard.next($form);
+            return;
         }
 
         // Clear previous messages
         $messageContainer.empty();
 
-        // Validate form
-        if (!validateForm($form)) {
-            showMessage($messageContainer, 'error', 'Please fill in all required fields.');
-            return;
+        // Validate form (async rules may need a server round trip)
+        HTHPlugin.validation.validateForm($form).done(function(result) {
+            if (!result.valid) {
+                showMessage($messageContainer, 'error', 'Please correct the highlighted fields.');
+                focusField($form, result.errors[0].$field);
+                return;
+            }
+
+            // Wait for the spam checks (throttle, minimum time, proof of work)
+            $submitBtn.prop('disabled', true);
+
+            HTHPlugin.spamGuard.prepare($form).done(function() {
+                submitForm($form, $submitBtn, originalText, $messageContainer);
+            }).fail(function(message) {
+                $submitBtn.prop('disabled', false);
+                showMessage($messageContainer, 'error', message);
+            });
+        });
+    }
+
+    /**
+     * Move focus to a field, opening its wizard step first if needed
+     */
+    function focusField($form, $field) {
+        if (HTHPlugin.formWizard.isActive($form)) {
+            HTHPlugin.formWizard.showStepFor($form, $field);
+        }
+
+        $field.trigger('focus');
+    }
+
+    /**
+     * Find the form's message area, creating it if it doesn't exist
+     */
+    function getMessageContainer($form) {
+        var $messageContainer = $form.find('.hth-form-messages');
+
+        if ($messageContainer.length === 0) {
+            $messageContainer = $('<div class="hth-form-messages" aria-live="polite"></div>');
+            $form.prepend($messageContainer);
         }
 
+        return $messageContainer;
+    }
+
+    /**
+     * Send a validated form to the server
+     */
+    function submitForm($form, $submitBtn, originalText, $messageContainer) {
         // Show loading state
         $submitBtn.prop('disabled', true).text('Sending...');
         $form.addClass('submitting');
 
+        // One key per submission, kept until the server has answered, so a
+        // repeated or queued attempt is recognised as the same message
+        var idempotencyKey = $form.data('hthIdempotencyKey');
+
+        if (!idempotencyKey) {
+            idempotencyKey = HTHPlugin.formQueue.createKey();
+            $form.data('hthIdempotencyKey', idempotencyKey);
+        }
+
         // Prepare form data
         var formData = new FormData($form[0]);
         formData.append('action', 'hth_ajax_form_submit');
+        formData.append('idempotency_key', idempotencyKey);
+        HTHPlugin.fileUpload.applyTo($form, formData);
         
         // Add nonce if available
         if (typeof hthForm !== 'undefined' && hthForm.nonce) {
             formData.append('nonce', hthForm.nonce);
         }
 
+        // Uploads get a progress bar and a cancel button
+        var progress = HTHPlugin.fileUpload.hasFiles($form) ? createProgress($form) : null;
+
         // Submit form
-        $.ajax({
+        var request = $.ajax({
             url: hthForm ? hthForm.ajaxUrl : ajaxurl,
             type: 'POST',
             data: formData,
             processData: false,
             contentType: false,
+            xhr: function() {
+                var xhr = $.ajaxSettings.xhr();
+
+                if (progress && xhr.upload) {
+                    xhr.upload.addEventListener('progress', function(e) {
+                        if (e.lengthComputable) {
+                            progress.update(e.loaded, e.total);
+                        }
+                    });
+                }
+
+                return xhr;
+            },
             success: function(response) {
+                $form.removeData('hthIdempotencyKey');
+
                 if (response.success) {
-                    showMessage($messageContainer, 'success', response.data.message || 'Form submitted successfully!');
+                    showMessage($messageContainer, 'success', getMessage(response.data, 'Form submitted successfully!'));
                     $form[0].reset();
+                    HTHPlugin.validation.reset($form);
                     
                     // Trigger custom event
                     $form.trigger('hth:form:success', [response.data]);
                 } else {
-                    showMessage($messageContainer, 'error', response.data.message || 'An error occurred. Please try again.');
+                    handleErrors($form, $messageContainer, response.data);
                 }
             },
             error: function(xhr, status, error) {
+                // Cancelled by the visitor: keep the form as it is
+                if (status === 'abort') {
+                    showMessage($messageContainer, 'error', 'Upload cancelled.');
+                    return;
+                }
+
+                // Error responses sent with a status code (e.g. 403 for a
+                // failed nonce check) still carry the JSON error contract
+                if (xhr.responseJSON && xhr.responseJSON.success === false) {
+                    $form.removeData('hthIdempotencyKey');
+                    handleErrors($form, $messageContainer, xhr.responseJSON.data);
+                    return;
+                }
+
+                // Lost on the way: keep it and send it when the connection returns
+                if (HTHPlugin.formQueue.isNetworkFailure(xhr) && HTHPlugin.formQueue.canQueue(formData)) {
+                    var queued = HTHPlugin.formQueue.add({
+                        id: idempotencyKey,
+                        url: this.url,
+                        formId: $form.attr('id')
+                    }, formData);
+
+                    if (queued) {
+                        $form.removeData('hthIdempotencyKey');
+                        $form[0].reset();
+                        HTHPlugin.validation.reset($form);
+                        showMessage($messageContainer, 'queued', 'You appear to be offline. Your message has been saved and will be sent automatically when your connection returns.');
+                        $form.trigger('hth:form:queued', [idempotencyKey]);
+                        return;
+                    }
+                }
+
                 console.error('AJAX Form Error:', error);
                 showMessage($messageContainer, 'error', 'Network error. Please check your connection and try again.');
             },
@@ -83,49 +214,93 @@
                 // Restore button state
                 $submitBtn.prop('disabled', false).text(originalText);
                 $form.removeClass('submitting');
+
+                if (progress) {
+                    progress.remove();
+                }
             }
         });
+
+        if (progress) {
+            progress.onCancel(function() {
+                request.abort();
+            });
+        }
     }
 
     /**
-     * Validate form fields
+     * Show an upload progress bar with a cancel button above the submit button
+     *
+     * @return {Object} update(loaded, total), onCancel(callback) and remove()
      */
-    function validateForm($form) {
-        var isValid = true;
-        
-        $form.find('[required]').each(function() {
-            var $field = $(this);
-            var value = $field.val().trim();
-            var fieldType = $field.attr('type');
-            
-            // Remove previous error styling
-            $field.removeClass('error');
-            
-            if (!value) {
-                $field.addClass('error');
-                isValid = false;
-            } else if (fieldType === 'email' && !isValidEmail(value)) {
-                $field.addClass('error');
-                isValid = false;
+    function createProgress($form) {
+        var $wrapper = $('<div class="hth-upload-progress"></div>');
+        var $bar = $('<progress max="100" value="0"></progress>').attr('aria-label', 'Upload progress');
+        var $label = $('<span class="hth-upload-progress-label">0%</span>');
+        var $cancel = $('<button type="button" class="hth-upload-cancel">Cancel</button>');
+
+        $wrapper.append($bar, $label, $cancel).insertBefore($form.find('.submit-button'));
+
+        return {
+            update: function(loaded, total) {
+                var percent = Math.round((loaded / total) * 100);
+                $bar.val(percent);
+                $label.text(percent + '%');
+            },
+            onCancel: function(callback) {
+                $cancel.on('click', callback);
+            },
+            remove: function() {
+                $wrapper.remove();
             }
-        });
-        
-        return isValid;
+        };
+    }
+
+    /**
+     * Read the general message from response data
+     *
+     * Accepts the { message: '...' } contract as well as a plain string,
+     * which older handlers send.
+     */
+    function getMessage(data, fallback) {
+        if (typeof data === 'string' && data) {
+            return data;
+        }
+        return (data && data.message) || fallback;
     }
 
     /**
-     * Validate email format
+     * Show a failed submission
+     *
+     * The server responds with { message: '...', errors: { field_name: '...' } }
+     * (see hth_ajax_form_submit_handler()). Each field error is shown next to
+     * the matching field and the first invalid field receives focus.
      */
-    function isValidEmail(email) {
-        var emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        return emailRegex.test(email);
+    function handleErrors($form, $messageContainer, data) {
+        var errors = (data && data.errors) || {};
+
+        $.each(errors, function(name, message) {
+            var $field = $form.find('[name="' + name + '"], [name="' + name + '[]"]').first();
+
+            if ($field.length) {
+                HTHPlugin.validation.showError($field, message);
+            }
+        });
+
+        showMessage($messageContainer, 'error', getMessage(data, 'An error occurred. Please try again.'));
+
+        // Focus the first invalid field in document order
+        focusField($form, $form.find('[aria-invalid="true"]').first());
+
+        $form.trigger('hth:form:error', [data]);
     }
 
     /**
      * Show form message
      */
     function showMessage($container, type, message) {
-        var $message = $('<div class="hth-form-message ' + type + '">' + message + '</div>');
+        // Messages come from the server, so insert them as text
+        var $message = $('<div class="hth-form-message"></div>').addClass(type).text(message);
         $container.html($message);
         
         // Scroll to message
@@ -134,7 +309,7 @@
         }, 300);
         
         // Auto-hide success messages
-        if (type === 'success') {
+        if (type === 'success' || type === 'sent') {
             setTimeout(function() {
                 $message.fadeOut();
             }, 5000);
@@ -142,33 +317,51 @@
     }
 
     /**
-     * Real-time field validation
+     * Show the outcome of a queued submission on its form, if it is on this page
+     *
+     * Form ids are only unique within a page (hth-ajax-form-1 is the first
+     * form on every page), so the queued page must be this one too.
      */
-    function initRealTimeValidation() {
-        $(document).on('blur', '.hth-ajax-form [required]', function() {
-            var $field = $(this);
-            var value = $field.val().trim();
-            var fieldType = $field.attr('type');
-            
-            $field.removeClass('error');
-            
-            if (!value) {
-                $field.addClass('error');
-            } else if (fieldType === 'email' && !isValidEmail(value)) {
-                $field.addClass('error');
-            }
-        });
-        
-        // Remove error styling when user starts typing
-        $(document).on('input', '.hth-ajax-form .error', function() {
-            $(this).removeClass('error');
-        });
+    function handleQueueResult(entry, response) {
+        var samePage = entry.page === window.location.pathname;
+        var $form = entry.formId && samePage ? $(document.getElementById(entry.formId)) : $();
+
+        if (!$form.length) {
+            return;
+        }
+
+        var $messageContainer = getMessageContainer($form);
+
+        if (!response) {
+            showMessage($messageContainer, 'error', 'Your saved message could not be sent. Please try again.');
+        } else if (response.success) {
+            showMessage($messageContainer, 'sent', getMessage(response.data, 'Your saved message has been sent.'));
+            $form.trigger('hth:form:success', [response.data]);
+        } else {
+            showMessage($messageContainer, 'error', getMessage(response.data, 'Your saved message could not be sent.'));
+        }
     }
 
+    /**
+     * Public API, so other scripts can tell this handler is active
+     */
+    HTHPlugin.ajaxForm = {
+        init: initAjaxForms,
+        submit: handleFormSubmission
+    };
+
     // Initialize when document is ready
     $(document).ready(function() {
         initAjaxForms();
-        initRealTimeValidation();
+    });
+
+    // Report on submissions sent from the offline queue (form-queue.js)
+    $(document).on('hth:queue:sent', function(e, entry, response) {
+        handleQueueResult(entry, response);
+    });
+
+    $(document).on('hth:queue:failed', function(e, entry) {
+        handleQueueResult(entry, null);
     });
 
     // Re-initialize if new content is loaded via AJAX
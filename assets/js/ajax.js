@@ -0,0 +1,286 @@
+/**
+ * HTH Sample Plugin - Book Catalog
+ *
+ * Live book catalog for book pages and genre archives.
+ * Turns every .hth-book-catalog container into a searchable, filterable,
+ * sortable and paged list backed by the /hth/v1/books endpoint.
+ */
+
+(function($) {
+    'use strict';
+
+    // Plugin namespace
+    window.HTHPlugin = window.HTHPlugin || {};
+
+    /**
+     * Localized settings from hth_enqueue_ajax_scripts()
+     */
+    var settings = window.hthAjax || {};
+    var features = settings.features || {};
+    var strings = $.extend({
+        loading: 'Loading...',
+        error: 'An error occurred. Please try again.',
+        noResults: 'No results found.',
+        searchBooks: 'Search books...',
+        allGenres: 'All genres',
+        previous: 'Previous',
+        next: 'Next',
+        pageOf: 'Page %1$d of %2$d',
+        sortBooks: 'Sort books',
+        newestFirst: 'Newest first',
+        oldestFirst: 'Oldest first',
+        titleAsc: 'Title A-Z',
+        titleDesc: 'Title Z-A',
+        bookCount: '%d book',
+        booksCount: '%d books'
+    }, settings.strings);
+
+    /**
+     * Sort options offered when sorting is enabled
+     * Keys map to the orderby/order arguments of /hth/v1/books
+     */
+    var sortOptions = {
+        'date-desc': { label: strings.newestFirst, orderby: 'date', order: 'desc' },
+        'date-asc': { label: strings.oldestFirst, orderby: 'date', order: 'asc' },
+        'title-asc': { label: strings.titleAsc, orderby: 'title', order: 'asc' },
+        'title-desc': { label: strings.titleDesc, orderby: 'title', order: 'desc' }
+    };
+
+    /**
+     * Escape text for insertion into HTML
+     */
+    function esc(value) {
+        return HTHPlugin.utils.sanitizeHtml(value === null || value === undefined ? '' : String(value));
+    }
+
+    /**
+     * A feature is on unless it has been explicitly switched off
+     */
+    function isEnabled(flag) {
+        return features[flag] !== false && features[flag] !== '' && features[flag] !== '0';
+    }
+
+    HTHPlugin.catalog = {};
+
+    /**
+     * Initialize every catalog container on the page
+     */
+    HTHPlugin.catalog.init = function() {
+        $('.hth-book-catalog').each(function() {
+            var $container = $(this);
+
+            if (!$container.data('hthCatalog')) {
+                $container.data('hthCatalog', HTHPlugin.catalog.create($container));
+            }
+        });
+    };
+
+    /**
+     * Build a catalog instance inside a container
+     *
+     * @param {jQuery} $container The .hth-book-catalog element
+     * @return {Object} Instance with load(), setState() and state
+     */
+    HTHPlugin.catalog.create = function($container) {
+        var instance = {
+            state: {
+                page: 1,
+                perPage: parseInt($container.data('per-page'), 10) || 10,
+                search: '',
+                genre: $container.data('genre') || settings.currentGenre || '',
+                sort: 'date-desc'
+            },
+            request: null
+        };
+
+        var $controls = $('<div class="hth-catalog-controls"></div>');
+        var $status = $('<div class="hth-catalog-status" role="status" aria-live="polite"></div>');
+        var $results = $('<ul class="hth-catalog-results"></ul>');
+        var $pagination = $('<nav class="hth-catalog-pagination" aria-label="Book pages"></nav>');
+
+        // Search box
+        if (isEnabled('enableSearch')) {
+            var $search = $('<input type="search" class="hth-catalog-search">')
+                .attr({ placeholder: strings.searchBooks, 'aria-label': strings.searchBooks });
+
+            $search.on('input', HTHPlugin.utils.debounce(function() {
+                instance.setState({ search: $.trim($search.val()), page: 1 });
+            }, 300));
+
+            $controls.append($search);
+        }
+
+        // Genre dropdown, populated from /hth/v1/genres
+        if (isEnabled('enableFiltering')) {
+            var $genre = $('<select class="hth-catalog-genre"></select>')
+                .attr('aria-label', strings.allGenres)
+                .append($('<option value=""></option>').text(strings.allGenres));
+
+            HTHPlugin.api.genres.list({ hide_empty: true }).done(function(result) {
+                $.each(result.data || [], function(i, genre) {
+                    $('<option></option>').val(genre.slug).text(genre.name + ' (' + genre.count + ')').appendTo($genre);
+                });
+                $genre.val(instance.state.genre);
+            });
+
+            $genre.on('change', function() {
+                instance.setState({ genre: $genre.val(), page: 1 });
+            });
+
+            $controls.append($genre);
+        }
+
+        // Sort dropdown
+        if (isEnabled('enableSorting')) {
+            var $sort = $('<select class="hth-catalog-sort"></select>').attr('aria-label', strings.sortBooks);
+
+            $.each(sortOptions, function(key, option) {
+                $('<option></option>').val(key).text(option.label).appendTo($sort);
+            });
+
+            $sort.on('change', function() {
+                instance.setState({ sort: $sort.val(), page: 1 });
+            });
+
+            $controls.append($sort);
+        }
+
+        // Paged navigation
+        $pagination.on('click', 'button[data-page]', function(e) {
+            e.preventDefault();
+            instance.setState({ page: parseInt($(this).data('page'), 10) });
+            $results.attr('tabindex', '-1').trigger('focus');
+        });
+
+        $container.empty().append($controls, $status, $results, $pagination);
+
+        /**
+         * Merge new state and reload
+         */
+        instance.setState = function(changes) {
+            $.extend(instance.state, changes);
+            instance.load();
+        };
+
+        /**
+         * Fetch the current page of books
+         */
+        instance.load = function() {
+            var state = instance.state;
+            var sort = sortOptions[state.sort] || sortOptions['date-desc'];
+
+            // Only the latest request may update the list
+            if (instance.request) {
+                instance.request.abort();
+            }
+
+            $container.addClass('hth-loading').attr('aria-busy', 'true');
+            $status.text(strings.loading);
+
+            instance.request = HTHPlugin.api.books.list({
+                per_page: state.perPage,
+                page: state.page,
+                search: state.search,
+                genre: state.genre,
+                orderby: sort.orderby,
+                order: sort.order
+            });
+
+            instance.request
+                .done(function(result) {
+                    renderResults(result.data || []);
+                    renderPagination(state.page, result.totalPages || 1);
+                    $status.text(result.total ? (result.total === 1 ? strings.bookCount : strings.booksCount).replace('%d', result.total) : '');
+                    $container.trigger('hth:catalog:loaded', [result, state]);
+                })
+                .fail(function(error) {
+                    if (error.code === 'abort') {
+                        return;
+                    }
+
+                    // The endpoint answers "no matches" with a 404 no_books error
+                    if (error.code === 'no_books') {
+                        renderResults([]);
+                        renderPagination(1, 1);
+                        $status.text(strings.noResults);
+                        return;
+                    }
+
+                    $results.empty();
+                    $pagination.empty();
+                    $status.text(error.message || strings.error);
+                })
+                .always(function(result) {
+                    if (result && result.code === 'abort') {
+                        return;
+                    }
+                    instance.request = null;
+                    $container.removeClass('hth-loading').removeAttr('aria-busy');
+                });
+        };
+
+        function renderResults(books) {
+            if (!books.length) {
+                $results.html('<li class="hth-catalog-empty">' + esc(strings.noResults) + '</li>');
+                return;
+            }
+
+            var html = '';
+            $.each(books, function(i, book) {
+                html += '<li class="hth-catalog-item">';
+                if (book.featured_image) {
+                    html += '<img class="hth-catalog-cover" src="' + esc(book.featured_image) + '" alt="">';
+                }
+                html += '<div class="hth-catalog-details">';
+                html += '<h4><a href="' + esc(book.permalink) + '">' + esc(book.title) + '</a></h4>';
+                if (book.author) {
+                    html += '<span class="hth-catalog-author">' + esc(book.author) + '</span>';
+                }
+                if (book.genres && book.genres.length) {
+                    html += '<span class="hth-catalog-genres">' + esc(book.genres.join(', ')) + '</span>';
+                }
+                html += '</div>';
+                html += '</li>';
+            });
+
+            $results.html(html);
+        }
+
+        function renderPagination(page, totalPages) {
+            $pagination.empty();
+
+            if (totalPages <= 1) {
+                return;
+            }
+
+            var label = strings.pageOf.replace('%1$d', page).replace('%2$d', totalPages);
+
+            $pagination.append(
+                $('<button type="button" class="hth-catalog-prev"></button>')
+                    .text(strings.previous)
+                    .attr('data-page', page - 1)
+                    .prop('disabled', page <= 1),
+                $('<span class="hth-catalog-page"></span>').text(label),
+                $('<button type="button" class="hth-catalog-next"></button>')
+                    .text(strings.next)
+                    .attr('data-page', page + 1)
+                    .prop('disabled', page >= totalPages)
+            );
+        }
+
+        instance.load();
+
+        return instance;
+    };
+
+    // Initialize when document is ready
+    $(document).ready(function() {
+        HTHPlugin.catalog.init();
+    });
+
+    // Re-initialize if new content is loaded via AJAX
+    $(document).on('hth:content:loaded', function() {
+        HTHPlugin.catalog.init();
+    });
+
+})(jQuery);
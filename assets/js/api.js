@@ -0,0 +1,249 @@
+/**
+ * HTH Sample Plugin - REST API Client
+ *
+ * Shared browser client for the hth/v1 routes registered in chapters/rest-api.php.
+ * Front-end and admin scripts build on HTHPlugin.api instead of hand-rolling requests.
+ */
+
+(function($) {
+    'use strict';
+
+    // Plugin namespace
+    window.HTHPlugin = window.HTHPlugin || {};
+
+    /**
+     * Read the localized REST configuration
+     *
+     * hthApi is attached to this script by enqueue-scripts.php; hthAjax is
+     * accepted as a fallback because it carries the same restUrl/restNonce keys.
+     */
+    function getConfig() {
+        var config = window.hthApi || window.hthAjax || {};
+
+        return {
+            root: config.restUrl || '/wp-json/hth/v1/',
+            nonce: config.restNonce || ''
+        };
+    }
+
+    /**
+     * Build a full endpoint URL from a route path and query arguments
+     *
+     * Handles both pretty permalinks (/wp-json/hth/v1/) and plain
+     * permalinks (?rest_route=/hth/v1/) roots.
+     */
+    function buildUrl(path, query) {
+        var root = getConfig().root.replace(/\/+$/, '');
+        var url = root + '/' + String(path || '').replace(/^\/+/, '');
+        var queryString = query ? $.param(query) : '';
+
+        if (queryString) {
+            url += (url.indexOf('?') === -1 ? '?' : '&') + queryString;
+        }
+
+        return url;
+    }
+
+    /**
+     * Parse an integer response header, returning null when it is absent
+     */
+    function parseIntHeader(xhr, name) {
+        var value = xhr.getResponseHeader(name);
+        return value === null || value === '' ? null : parseInt(value, 10);
+    }
+
+    /**
+     * Remove undefined, null and empty-string values from query arguments
+     */
+    function cleanParams(params) {
+        var clean = {};
+
+        $.each(params || {}, function(key, value) {
+            if (value !== undefined && value !== null && value !== '') {
+                clean[key] = value;
+            }
+        });
+
+        return clean;
+    }
+
+    HTHPlugin.api = {
+        /**
+         * Perform a request against the hth/v1 namespace
+         *
+         * Resolves with { data, total, totalPages, xhr } where total and
+         * totalPages come from the X-WP-Total / X-WP-TotalPages headers.
+         * Rejects with the shape returned by HTHPlugin.api.normalizeError().
+         * The returned promise also exposes abort() to cancel the request.
+         *
+         * @param {string} method  HTTP method (GET, POST, PUT, DELETE)
+         * @param {string} path    Route relative to hth/v1, e.g. 'books/12'
+         * @param {Object} data    Query args for GET, JSON body otherwise
+         * @param {Object} options Extra $.ajax settings
+         */
+        request: function(method, path, data, options) {
+            var deferred = $.Deferred();
+            var config = getConfig();
+            var isRead = method === 'GET';
+
+            var settings = $.extend({
+                url: buildUrl(path, isRead ? cleanParams(data) : null),
+                type: method,
+                dataType: 'json',
+                beforeSend: function(xhr) {
+                    if (config.nonce) {
+                        xhr.setRequestHeader('X-WP-Nonce', config.nonce);
+                    }
+                }
+            }, options);
+
+            if (!isRead && data) {
+                settings.contentType = 'application/json';
+                settings.data = JSON.stringify(data);
+            }
+
+            var jqXHR = $.ajax(settings)
+                .done(function(response, textStatus, xhr) {
+                    deferred.resolve({
+                        data: response,
+                        total: parseIntHeader(xhr, 'X-WP-Total'),
+                        totalPages: parseIntHeader(xhr, 'X-WP-TotalPages'),
+                        xhr: xhr
+                    });
+                })
+                .fail(function(xhr, textStatus) {
+                    deferred.reject(HTHPlugin.api.normalizeError(xhr, textStatus));
+                });
+
+            return deferred.promise({
+                abort: function() {
+                    jqXHR.abort();
+                }
+            });
+        },
+
+        /**
+         * Full URL of a route, e.g. for navigator.sendBeacon()
+         *
+         * @param {string} path  Route relative to hth/v1, e.g. 'books/12/view'
+         * @param {Object} query Optional query arguments
+         */
+        url: function(path, query) {
+            return buildUrl(path, query ? cleanParams(query) : null);
+        },
+
+        /**
+         * Convert a failed request into a single error shape
+         *
+         * WP_Error responses arrive as { code, message, data: { status } };
+         * network failures and aborted requests have no body at all.
+         *
+         * @return {Object} { code, message, status, data }
+         */
+        normalizeError: function(xhr, textStatus) {
+            var body = xhr && xhr.responseJSON;
+
+            if (!body && xhr && xhr.responseText) {
+                try {
+                    body = JSON.parse(xhr.responseText);
+                } catch (e) {
+                    body = null;
+                }
+            }
+
+            if (textStatus === 'abort') {
+                return { code: 'abort', message: 'Request cancelled.', status: 0, data: null };
+            }
+
+            if (body && body.code) {
+                return {
+                    code: body.code,
+                    message: body.message || 'An error occurred.',
+                    status: (body.data && body.data.status) || xhr.status,
+                    data: body.data || null
+                };
+            }
+
+            if (!xhr || xhr.status === 0) {
+                return { code: 'network_error', message: 'Network error. Please try again.', status: 0, data: null };
+            }
+
+            return {
+                code: 'http_' + xhr.status,
+                message: xhr.statusText || 'An error occurred.',
+                status: xhr.status,
+                data: body
+            };
+        },
+
+        /**
+         * Book routes: /books and /books/{id}
+         */
+        books: {
+            list: function(params) {
+                return HTHPlugin.api.request('GET', 'books', params);
+            },
+
+            get: function(id) {
+                return HTHPlugin.api.request('GET', 'books/' + parseInt(id, 10));
+            },
+
+            create: function(data) {
+                return HTHPlugin.api.request('POST', 'books', data);
+            },
+
+            update: function(id, data) {
+                return HTHPlugin.api.request('PUT', 'books/' + parseInt(id, 10), data);
+            },
+
+            /**
+             * Check an ISBN and find other books using it (editors only)
+             *
+             * Resolves with data: { isbn, valid, isbn10, isbn13, duplicates: [{ id, title, status, isbn, edit_link }] }
+             */
+            checkIsbn: function(isbn, excludeId) {
+                return HTHPlugin.api.request('GET', 'books/isbn-check', { isbn: isbn, exclude: excludeId });
+            },
+
+            /**
+             * Reader heartbeat for a book page; resolves with data: { readers, view_count }
+             */
+            presence: function(id, reader) {
+                return HTHPlugin.api.request('POST', 'books/' + parseInt(id, 10) + '/presence', { reader: reader });
+            },
+
+            remove: function(id, force) {
+                var path = 'books/' + parseInt(id, 10);
+
+                // DELETE sends force as a query argument, not in the body
+                return HTHPlugin.api.request('DELETE', path, null, force ? { url: buildUrl(path, { force: true }) } : null);
+            },
+
+            /**
+             * Take a trashed book out of the Trash; resolves with data: { restored, id, status }
+             */
+            restore: function(id) {
+                return HTHPlugin.api.request('POST', 'books/' + parseInt(id, 10) + '/restore');
+            }
+        },
+
+        /**
+         * Genre routes: /genres
+         */
+        genres: {
+            list: function(params) {
+                return HTHPlugin.api.request('GET', 'genres', params);
+            }
+        },
+
+        /**
+         * Admin-only routes: /admin/books
+         */
+        admin: {
+            books: function(params) {
+                return HTHPlugin.api.request('GET', 'admin/books', params);
+            }
+        }
+    };
+
+})(jQuery);
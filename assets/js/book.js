@@ -0,0 +1,289 @@
+/**
+ * HTH Sample Plugin - Book Pages
+ *
+ * Live extras for single book pages, using the hthBook data localized by
+ * enqueue-scripts.php ({ id, readingTime, viewCount, heartbeat }):
+ *
+ * - A reading progress bar across the top of the page that shows how much
+ *   of the book's text has been scrolled through and the minutes left,
+ *   based on the reading time from hth_calculate_reading_time()
+ * - A view beacon (POST books/{id}/view), sent once per browser session
+ * - A "reading now" badge kept current by a heartbeat
+ *   (POST books/{id}/presence) while the page is visible
+ */
+
+(function($) {
+    'use strict';
+
+    // Plugin namespace
+    window.HTHPlugin = window.HTHPlugin || {};
+
+    // Where the book's text is, first match wins
+    var CONTENT_SELECTOR = '.hth-book-content, .entry-content, .post-content, article';
+
+    HTHPlugin.book = {
+        config: null,
+        reader: null,
+        timer: null
+    };
+
+    /**
+     * Set up the book page
+     *
+     * @param {Object} config The localized hthBook data
+     */
+    HTHPlugin.book.init = function(config) {
+        var book = HTHPlugin.book;
+
+        book.config = $.extend({
+            id: 0,
+            readingTime: 1,
+            viewCount: 0,
+            heartbeat: 30
+        }, config);
+
+        book.config.id = parseInt(book.config.id, 10) || 0;
+
+        if (!book.config.id) {
+            return;
+        }
+
+        var $content = $(CONTENT_SELECTOR).first();
+
+        book.initStats($content);
+        book.initProgress($content);
+        book.sendView();
+        book.startPresence();
+    };
+
+    /**
+     * Add the reading time, view count and readers badge above the content
+     */
+    HTHPlugin.book.initStats = function($content) {
+        var $stats = $('.hth-book-stats');
+
+        if (!$stats.length) {
+            $stats = $('<ul class="hth-book-stats"></ul>');
+
+            if ($content.length) {
+                $stats.insertBefore($content);
+            } else {
+                $stats.prependTo('body');
+            }
+        }
+
+        $stats.empty()
+            .append($('<li class="hth-book-reading-time"></li>').text(HTHPlugin.book.formatMinutes(HTHPlugin.book.config.readingTime) + ' read'))
+            .append('<li class="hth-book-views"></li>')
+            .append('<li class="hth-book-readers" hidden></li>');
+
+        HTHPlugin.book.updateViews(HTHPlugin.book.config.viewCount);
+    };
+
+    /**
+     * Add the progress bar and keep it in step with scrolling
+     */
+    HTHPlugin.book.initProgress = function($content) {
+        if (!$content.length) {
+            return;
+        }
+
+        var $progress = $('<div class="hth-reading-progress" role="progressbar" aria-label="Reading progress" aria-valuemin="0" aria-valuemax="100"></div>')
+            .append('<div class="hth-reading-progress-bar"></div>')
+            .append('<span class="hth-reading-progress-label" aria-hidden="true"></span>')
+            .prependTo('body');
+        var pending = false;
+
+        function update() {
+            pending = false;
+
+            var progress = HTHPlugin.book.getProgress($content[0]);
+            var percent = Math.round(progress * 100);
+            var left = Math.ceil(HTHPlugin.book.config.readingTime * (1 - progress));
+            var label = left > 0 ? HTHPlugin.book.formatMinutes(left) + ' left' : 'Finished';
+
+            $progress.attr({
+                'aria-valuenow': percent,
+                'aria-valuetext': percent + '% read, ' + label.toLowerCase()
+            });
+            $progress.find('.hth-reading-progress-bar').css('width', percent + '%');
+            $progress.find('.hth-reading-progress-label').text(label);
+        }
+
+        // Scroll events fire faster than the screen repaints
+        function schedule() {
+            if (pending) {
+                return;
+            }
+
+            pending = true;
+
+            if (window.requestAnimationFrame) {
+                window.requestAnimationFrame(update);
+            } else {
+                setTimeout(update, 16);
+            }
+        }
+
+        $(window).on('scroll.hthBook resize.hthBook', schedule);
+        update();
+    };
+
+    /**
+     * How far through an element the reader has scrolled, from 0 to 1
+     *
+     * The element is finished when its bottom edge is in view; an element
+     * that fits on the screen counts as finished once it is fully visible.
+     */
+    HTHPlugin.book.getProgress = function(element) {
+        var rect = element.getBoundingClientRect();
+        var viewport = window.innerHeight || document.documentElement.clientHeight;
+        var scrollable = rect.height - viewport;
+
+        if (scrollable <= 0) {
+            return rect.top >= 0 && rect.bottom <= viewport ? 1 : 0;
+        }
+
+        return Math.min(1, Math.max(0, -rect.top / scrollable));
+    };
+
+    /**
+     * Count this view, once per browser session
+     *
+     * sendBeacon() is used so the request is not cancelled if the reader
+     * leaves straight away; its response cannot be read, so the count on
+     * screen is updated by the next heartbeat instead.
+     */
+    HTHPlugin.book.sendView = function() {
+        var id = HTHPlugin.book.config.id;
+        var key = 'hth_viewed_' + id;
+
+        // sessionStorage throws when storage is disabled; count the view anyway
+        try {
+            if (window.sessionStorage.getItem(key)) {
+                return;
+            }
+
+            window.sessionStorage.setItem(key, '1');
+        } catch (e) {}
+
+        if (navigator.sendBeacon && navigator.sendBeacon(HTHPlugin.api.url('books/' + id + '/view'))) {
+            return;
+        }
+
+        HTHPlugin.api.request('POST', 'books/' + id + '/view').done(function(result) {
+            HTHPlugin.book.updateViews(result.data.view_count);
+        });
+    };
+
+    /**
+     * Start the reader heartbeat
+     *
+     * The heartbeat pauses while the tab is hidden (the reader drops out of
+     * the count after a minute) and sends a "leave" when the page is closed.
+     */
+    HTHPlugin.book.startPresence = function() {
+        var book = HTHPlugin.book;
+
+        book.reader = getReaderId();
+
+        $(document).on('visibilitychange.hthBook', function() {
+            if (document.hidden) {
+                book.stopPresence();
+            } else {
+                book.heartbeat();
+            }
+        });
+
+        $(window).on('pagehide.hthBook', function() {
+            book.stopPresence();
+
+            if (navigator.sendBeacon && window.URLSearchParams) {
+                navigator.sendBeacon(
+                    HTHPlugin.api.url('books/' + book.config.id + '/presence'),
+                    new URLSearchParams({ reader: book.reader, leave: '1' })
+                );
+            }
+        });
+
+        if (!document.hidden) {
+            book.heartbeat();
+        }
+    };
+
+    /**
+     * Send a heartbeat now and schedule the next one
+     */
+    HTHPlugin.book.heartbeat = function() {
+        var book = HTHPlugin.book;
+
+        book.stopPresence();
+        book.timer = setTimeout(book.heartbeat, Math.max(5, book.config.heartbeat) * 1000);
+
+        HTHPlugin.api.books.presence(book.config.id, book.reader)
+            .done(function(result) {
+                book.updateReaders(result.data.readers);
+                book.updateViews(result.data.view_count);
+            })
+            .fail(function(error) {
+                // The book was unpublished or deleted; there is nothing to keep up
+                if (error.status === 404) {
+                    book.stopPresence();
+                }
+            });
+    };
+
+    HTHPlugin.book.stopPresence = function() {
+        clearTimeout(HTHPlugin.book.timer);
+        HTHPlugin.book.timer = null;
+    };
+
+    HTHPlugin.book.updateViews = function(count) {
+        count = parseInt(count, 10) || 0;
+
+        $('.hth-book-views').text(count.toLocaleString() + (count === 1 ? ' view' : ' views'));
+    };
+
+    /**
+     * Show the readers badge; the count includes this reader
+     */
+    HTHPlugin.book.updateReaders = function(count) {
+        count = parseInt(count, 10) || 0;
+
+        $('.hth-book-readers')
+            .prop('hidden', count < 1)
+            .text(count.toLocaleString() + ' reading now');
+    };
+
+    HTHPlugin.book.formatMinutes = function(minutes) {
+        return minutes + ' min';
+    };
+
+    /**
+     * A random ID for this tab, kept across reloads so a reload is not
+     * counted as a second reader
+     */
+    function getReaderId() {
+        var id = Math.random().toString(36).slice(2, 10) + Date.now().toString(36);
+
+        try {
+            var stored = window.sessionStorage.getItem('hth_reader');
+
+            if (/^[a-z0-9]{8,32}$/.test(stored || '')) {
+                return stored;
+            }
+
+            window.sessionStorage.setItem('hth_reader', id);
+        } catch (e) {}
+
+        return id;
+    }
+
+    // Initialize when document is ready
+    $(document).ready(function() {
+        if (window.hthBook) {
+            HTHPlugin.book.init(window.hthBook);
+        }
+    });
+
+})(jQuery);
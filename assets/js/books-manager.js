@@ -0,0 +1,556 @@
+/**
+ * HTH Sample Plugin - Book Manager
+ *
+ * The Books > Book Manager screen (hth_display_books_manager()). Every book
+ * is loaded once from GET /hth/v1/admin/books; searching, the genre facets
+ * and paging then happen in the browser, so hundreds of books can be
+ * triaged without reloading.
+ *
+ * Title, author and ISBN are edited in place (PUT /books/{id}), quick add
+ * creates a draft (POST /books) and delete moves a book to the trash
+ * (DELETE /books/{id}). Changes show immediately and are rolled back, with
+ * an error notice, when the server refuses them.
+ */
+
+(function($) {
+    'use strict';
+
+    // Admin namespace
+    window.HTHAdmin = window.HTHAdmin || {};
+
+    var PAGE_SIZE = 50;
+    var SEARCH_DELAY = 200;
+
+    var FIELDS = {
+        title: 'Title',
+        author: 'Author',
+        isbn: 'ISBN'
+    };
+
+    var STATUS_LABELS = {
+        publish: 'Published',
+        draft: 'Draft',
+        pending: 'Pending',
+        future: 'Scheduled',
+        private: 'Private'
+    };
+
+    var manager = HTHAdmin.booksManager = {
+        books: [],
+        genres: [],
+        state: { search: '', genres: [], page: 1 },
+        $app: null
+    };
+
+    var nextTempId = 0;
+
+    /**
+     * Load the books and genres, then draw the screen
+     */
+    manager.init = function($app) {
+        manager.$app = $app;
+
+        bindEvents();
+
+        // An empty genre list comes back as a 404 (no_genres)
+        var genres = $.Deferred();
+
+        HTHPlugin.api.genres.list().then(function(result) {
+            genres.resolve(result.data);
+        }, function() {
+            genres.resolve([]);
+        });
+
+        $.when(HTHPlugin.api.admin.books(), genres).then(function(result, genreList) {
+            manager.books = $.map(result.data, function(book) {
+                return $.extend(book, { genres: book.genres || [], confirmed: {}, saving: {} });
+            });
+            manager.genres = genreList;
+            renderFacets();
+            render();
+        }, function(error) {
+            $app.find('.hth-books-summary').text('The books could not be loaded: ' + error.message);
+        });
+    };
+
+    /**
+     * Books that match the search and the selected genres
+     *
+     * @param {boolean} ignoreGenres Leave the genre filter out (for facet counts)
+     */
+    manager.filter = function(ignoreGenres) {
+        var terms = $.trim(manager.state.search.toLowerCase()).split(/\s+/);
+        var selected = manager.state.genres;
+
+        return $.grep(manager.books, function(book) {
+            var text = [book.title, book.author, book.isbn, HTHPlugin.validation.isbn.clean(book.isbn)].join(' ').toLowerCase();
+
+            for (var i = 0; i < terms.length; i++) {
+                if (terms[i] && text.indexOf(terms[i]) === -1) {
+                    return false;
+                }
+            }
+
+            if (ignoreGenres || !selected.length) {
+                return true;
+            }
+
+            // A book matches when it has any of the selected genres
+            return $.grep(book.genres, function(id) {
+                return $.inArray(id, selected) !== -1;
+            }).length > 0;
+        });
+    };
+
+    /**
+     * Save one field of a book
+     *
+     * The new value shows at once. If the request fails, the field goes back
+     * to the last value the server accepted, unless a newer edit of the same
+     * field has been made since.
+     *
+     * @return {boolean} False when the value was refused before sending
+     */
+    manager.save = function(book, field, value) {
+        value = $.trim(value);
+
+        if (field === 'isbn' && value) {
+            if (!HTHPlugin.validation.isbn.isValid(value)) {
+                HTHAdmin.showNotice('error', 'Please enter a valid ISBN-10 or ISBN-13.');
+                return false;
+            }
+
+            value = HTHPlugin.validation.isbn.clean(value);
+        }
+
+        if (field === 'title' && !value) {
+            HTHAdmin.showNotice('error', 'A book needs a title.');
+            return false;
+        }
+
+        if (value === (book[field] || '')) {
+            return true;
+        }
+
+        var data = {};
+        var token = {};
+
+        if (!book.confirmed.hasOwnProperty(field)) {
+            book.confirmed[field] = book[field];
+        }
+
+        book[field] = value;
+        book.saving[field] = token;
+        data[field] = value;
+        updateRow(book);
+
+        HTHPlugin.api.books.update(book.id, data).then(function(result) {
+            book.confirmed[field] = result.data[field];
+
+            if (book.saving[field] === token) {
+                book[field] = result.data[field];
+            }
+        }, function(error) {
+            if (book.saving[field] === token) {
+                book[field] = book.confirmed[field];
+            }
+
+            HTHAdmin.showNotice('error', 'Could not save the ' + FIELDS[field].toLowerCase() + ' of “' + book.title + '”: ' + error.message);
+        }).always(function() {
+            if (book.saving[field] === token) {
+                delete book.saving[field];
+                delete book.confirmed[field];
+            }
+
+            updateRow(book);
+        });
+
+        return true;
+    };
+
+    /**
+     * Create a draft from the quick add form
+     */
+    manager.create = function(data) {
+        var book = {
+            id: 'new-' + (++nextTempId),
+            title: data.title,
+            author: data.author,
+            isbn: data.isbn,
+            status: 'draft',
+            genres: [],
+            edit_link: '',
+            confirmed: {},
+            saving: {},
+            creating: true
+        };
+
+        manager.books.unshift(book);
+        manager.state.page = 1;
+        render();
+
+        var request = HTHPlugin.api.books.create({
+            title: data.title,
+            author: data.author,
+            isbn: data.isbn,
+            status: 'draft'
+        });
+
+        request.then(function(result) {
+            book.id = result.data.id;
+            book.title = result.data.title;
+            book.author = result.data.author;
+            book.isbn = result.data.isbn;
+            book.status = result.data.status;
+            book.edit_link = (window.hthBooksManager && hthBooksManager.editUrl || '') + book.id;
+            book.creating = false;
+            render();
+            HTHAdmin.showNotice('success', '“' + book.title + '” was added as a draft.');
+        }, function(error) {
+            removeBook(book);
+            render();
+            HTHAdmin.showNotice('error', 'Could not add “' + data.title + '”: ' + error.message);
+        });
+
+        return request;
+    };
+
+    /**
+     * Move a book to the trash, with undo
+     */
+    manager.remove = function(book) {
+        var index = $.inArray(book, manager.books);
+
+        // Put it back where it was
+        function reinsert() {
+            manager.books.splice(Math.min(index, manager.books.length), 0, book);
+            render();
+        }
+
+        removeBook(book);
+        render();
+
+        HTHPlugin.api.books.remove(book.id).then(function() {
+            HTHAdmin.showNotice('success', '“' + book.title + '” was moved to the Trash.', {
+                duration: 10000,
+                actions: [{
+                    label: 'Undo',
+                    callback: function() {
+                        HTHPlugin.api.books.restore(book.id).then(function(result) {
+                            book.status = result.data.status;
+                            reinsert();
+                            HTHAdmin.showNotice('success', '“' + book.title + '” was restored.');
+                        }, function(error) {
+                            HTHAdmin.showNotice('error', 'Could not restore “' + book.title + '”: ' + error.message);
+                        });
+                    }
+                }]
+            });
+        }, function(error) {
+            reinsert();
+            HTHAdmin.showNotice('error', 'Could not delete “' + book.title + '”: ' + error.message);
+        });
+    };
+
+    function removeBook(book) {
+        manager.books = $.grep(manager.books, function(other) {
+            return other !== book;
+        });
+    }
+
+    function findBook(id) {
+        return $.grep(manager.books, function(book) {
+            return String(book.id) === String(id);
+        })[0];
+    }
+
+    /**
+     * Draw the genre checkboxes once; counts are updated by render()
+     */
+    function renderFacets() {
+        var $list = manager.$app.find('.hth-books-genre-list').empty();
+
+        if (!manager.genres.length) {
+            $list.append($('<p class="description"></p>').text('No genres yet.'));
+            return;
+        }
+
+        $.each(manager.genres, function(i, genre) {
+            $('<label class="hth-books-genre"></label>')
+                .append(
+                    $('<input type="checkbox">').val(genre.id),
+                    ' ',
+                    $('<span></span>').text(genre.name),
+                    ' ',
+                    $('<span class="count"></span>')
+                )
+                .appendTo($list);
+        });
+    }
+
+    /**
+     * Draw the visible page, the summary, the facet counts and the pages
+     */
+    function render() {
+        var $app = manager.$app;
+        var books = manager.filter(false);
+        var pages = Math.max(1, Math.ceil(books.length / PAGE_SIZE));
+        var state = manager.state;
+
+        state.page = Math.min(state.page, pages);
+
+        var $rows = $.map(books.slice((state.page - 1) * PAGE_SIZE, state.page * PAGE_SIZE), buildRow);
+        var $tbody = $app.find('.hth-books-grid tbody').empty();
+
+        if ($rows.length) {
+            $tbody.append($rows);
+        } else {
+            $tbody.append('<tr class="no-items"><td colspan="6">No books match.</td></tr>');
+        }
+
+        $app.find('.hth-books-summary').text(books.length === manager.books.length
+            ? manager.books.length + ' books'
+            : books.length + ' of ' + manager.books.length + ' books');
+
+        // Facet counts follow the search but not the genre selection itself
+        var counts = {};
+        $.each(manager.filter(true), function(i, book) {
+            $.each(book.genres, function(j, id) {
+                counts[id] = (counts[id] || 0) + 1;
+            });
+        });
+
+        $app.find('.hth-books-genre').each(function() {
+            var id = parseInt($(this).find('input').val(), 10);
+
+            $(this).find('.count').text('(' + (counts[id] || 0) + ')');
+        });
+
+        renderPages(books.length, pages);
+    }
+
+    function renderPages(total, pages) {
+        var page = manager.state.page;
+        var $nav = manager.$app.find('.hth-books-pages').empty();
+
+        if (pages < 2) {
+            return;
+        }
+
+        $nav.append(
+            $('<button type="button" class="button hth-books-page" data-page="prev">‹ Previous</button>').prop('disabled', page <= 1),
+            ' ',
+            $('<span class="hth-books-page-label"></span>').text('Page ' + page + ' of ' + pages),
+            ' ',
+            $('<button type="button" class="button hth-books-page" data-page="next">Next ›</button>').prop('disabled', page >= pages)
+        );
+    }
+
+    /**
+     * Build a row; editable fields are buttons that turn into inputs
+     */
+    function buildRow(book) {
+        var busy = book.creating || !$.isEmptyObject(book.saving);
+        var $row = $('<tr></tr>')
+            .attr('data-id', book.id)
+            .toggleClass('is-saving', busy)
+            .attr('aria-busy', busy ? 'true' : 'false');
+
+        $.each(FIELDS, function(field, label) {
+            var value = book[field] || '';
+
+            $('<td></td>').addClass('column-' + field).append(
+                $('<button type="button" class="hth-books-cell"></button>')
+                    .attr({ 'data-field': field, 'aria-label': 'Edit ' + label.toLowerCase() + ': ' + (value || 'empty') })
+                    .prop('disabled', book.creating)
+                    .toggleClass('is-empty', !value)
+                    .text(value || '—')
+            ).appendTo($row);
+        });
+
+        var names = $.map(book.genres, function(id) {
+            var genre = $.grep(manager.genres, function(g) { return g.id === id; })[0];
+            return genre ? genre.name : null;
+        });
+
+        $('<td class="column-genres"></td>').text(names.join(', ') || '—').appendTo($row);
+        $('<td class="column-status"></td>').text(STATUS_LABELS[book.status] || book.status).appendTo($row);
+
+        var $actions = $('<td class="column-actions"></td>').appendTo($row);
+
+        if (book.edit_link) {
+            $('<a></a>').attr('href', book.edit_link).text('Edit').appendTo($actions);
+            $actions.append(' | ');
+        }
+
+        $('<button type="button" class="button-link button-link-delete hth-books-delete">Delete</button>')
+            .attr('aria-label', 'Delete “' + book.title + '”')
+            .prop('disabled', book.creating)
+            .appendTo($actions);
+
+        return $row;
+    }
+
+    /**
+     * Redraw one row, keeping the keyboard focus on the same cell
+     */
+    function updateRow(book) {
+        var $old = manager.$app.find('.hth-books-grid tr[data-id="' + book.id + '"]');
+        var focused = $old.find('.hth-books-cell:focus, .hth-books-edit:focus').attr('data-field');
+
+        if (!$old.length || $old.find('.hth-books-edit').length) {
+            return;
+        }
+
+        var $row = buildRow(book);
+
+        $old.replaceWith($row);
+
+        if (focused) {
+            $row.find('.hth-books-cell[data-field="' + focused + '"]').trigger('focus');
+        }
+    }
+
+    /**
+     * Turn a cell into an input; Enter or leaving the field saves, Escape cancels
+     */
+    function startEdit($cell) {
+        var $row = $cell.closest('tr');
+        var book = findBook($row.attr('data-id'));
+        var field = $cell.attr('data-field');
+        var done = false;
+
+        var $input = $('<input type="text" class="hth-books-edit">')
+            .attr({ 'data-field': field, 'aria-label': FIELDS[field] })
+            .val(book[field] || '');
+
+        function finish(save, leaving) {
+            if (done) {
+                return;
+            }
+
+            // A refused value keeps the input open, unless the user moved on
+            if (save && !manager.save(book, field, $input.val()) && !leaving) {
+                $input.trigger('focus');
+                return;
+            }
+
+            done = true;
+            $input.replaceWith(buildRow(book).find('.hth-books-cell[data-field="' + field + '"]'));
+            $row.find('.hth-books-cell[data-field="' + field + '"]').trigger('focus');
+            updateRow(book);
+        }
+
+        $input.on('keydown', function(e) {
+            if (e.keyCode === 13) {
+                e.preventDefault();
+                finish(true);
+            } else if (e.keyCode === 27) {
+                e.preventDefault();
+                finish(false);
+            }
+        });
+
+        $input.on('blur', function() {
+            finish(true, true);
+        });
+
+        $cell.replaceWith($input);
+        $input.trigger('focus').trigger('select');
+    }
+
+    function bindEvents() {
+        var $app = manager.$app;
+        var searchTimer = null;
+
+        $app.on('click', '.hth-books-cell', function() {
+            startEdit($(this));
+        });
+
+        $app.on('click', '.hth-books-delete', function() {
+            var book = findBook($(this).closest('tr').attr('data-id'));
+
+            if (book && !book.creating) {
+                manager.remove(book);
+            }
+        });
+
+        $app.on('input', '#hth-books-search', function() {
+            var value = $(this).val();
+
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(function() {
+                manager.state.search = value;
+                manager.state.page = 1;
+                render();
+            }, SEARCH_DELAY);
+        });
+
+        $app.on('change', '.hth-books-genre input', function() {
+            manager.state.genres = $app.find('.hth-books-genre input:checked').map(function() {
+                return parseInt(this.value, 10);
+            }).get();
+            manager.state.page = 1;
+            render();
+        });
+
+        $app.on('click', '.hth-books-page', function() {
+            var direction = $(this).attr('data-page');
+
+            manager.state.page += direction === 'next' ? 1 : -1;
+            render();
+
+            // The buttons were redrawn; keep the focus on an enabled one
+            var $buttons = $app.find('.hth-books-page');
+            var $same = $buttons.filter('[data-page="' + direction + '"]');
+
+            ($same.prop('disabled') ? $buttons.not($same) : $same).trigger('focus');
+            $('html, body').scrollTop($app.find('.hth-books-summary').offset().top - 50);
+        });
+
+        $app.on('submit', '.hth-books-create', function(e) {
+            e.preventDefault();
+
+            var $form = $(this);
+            var data = {
+                title: $.trim($form.find('[name="title"]').val()),
+                author: $.trim($form.find('[name="author"]').val()),
+                isbn: $.trim($form.find('[name="isbn"]').val())
+            };
+
+            if (!data.title) {
+                $form.find('[name="title"]').trigger('focus');
+                return;
+            }
+
+            if (data.isbn && !HTHPlugin.validation.isbn.isValid(data.isbn)) {
+                HTHAdmin.showNotice('error', 'Please enter a valid ISBN-10 or ISBN-13.');
+                $form.find('[name="isbn"]').trigger('focus');
+                return;
+            }
+
+            data.isbn = HTHPlugin.validation.isbn.clean(data.isbn);
+
+            $form[0].reset();
+            $form.find('[name="title"]').trigger('focus');
+
+            manager.create(data).fail(function() {
+                // Give the typing back if the form is still empty
+                if (!$form.find('[name="title"]').val()) {
+                    $form.find('[name="title"]').val(data.title);
+                    $form.find('[name="author"]').val(data.author);
+                    $form.find('[name="isbn"]').val(data.isbn);
+                }
+            });
+        });
+    }
+
+    $(document).ready(function() {
+        var $app = $('#hth-books-app');
+
+        if ($app.length) {
+            manager.init($app);
+        }
+    });
+
+})(jQuery);
@@ -0,0 +1,257 @@
+/**
+ * HTH Sample Plugin - Conditional Fields
+ *
+ * Shows and hides parts of a form based on other answers, for both the
+ * shortcode forms (ajax-form.js) and admin forms (admin.js):
+ *
+ *   <div class="form-group" data-hth-show-if="contact_method=phone">
+ *       <label for="phone">Phone</label> <input id="phone" name="phone" required>
+ *   </div>
+ *
+ * Conditions compare a field (by name) with a value:
+ *   =, !=        equals / differs ("a=x,y" matches either value)
+ *   >, >=, <, <= numeric comparison
+ *   *=           contains
+ * and are combined with AND / OR (or && / ||); AND binds tighter than OR:
+ *   data-hth-show-if="contact_method=phone AND urgency>=3 OR vip=1"
+ *
+ * Fields inside a hidden element are disabled, so they are skipped by
+ * validation and left out of the submitted FormData.
+ */
+
+(function($) {
+    'use strict';
+
+    // Plugin namespace
+    window.HTHPlugin = window.HTHPlugin || {};
+
+    var CONDITION_SELECTOR = '[data-hth-show-if]';
+    var FIELD_SELECTOR = 'input, select, textarea';
+    var DURATION = 200;
+
+    /**
+     * Comparison operators, longest first so ">=" is not read as ">"
+     */
+    var OPERATORS = ['>=', '<=', '!=', '*=', '=', '>', '<'];
+
+    /**
+     * Current values of a field (checkbox groups and multi-selects give several)
+     * Disabled fields count as empty, so conditions can chain.
+     */
+    function getValues($form, name) {
+        var values = [];
+
+        $form.find('[name="' + name + '"], [name="' + name + '[]"]').not(':disabled').each(function() {
+            var type = (this.type || '').toLowerCase();
+
+            if ((type === 'checkbox' || type === 'radio') && !this.checked) {
+                return;
+            }
+
+            values = values.concat($(this).val());
+        });
+
+        return values;
+    }
+
+    function prefersReducedMotion() {
+        return window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+
+    HTHPlugin.conditions = {};
+
+    /**
+     * Split a condition string into OR groups of AND clauses
+     *
+     * @return {Array} [[{ field, operator, value }, ...], ...]
+     */
+    HTHPlugin.conditions.parse = function(expression) {
+        return $.map(String(expression || '').split(/\s+(?:OR)\s+|\s*\|\|\s*/i), function(group) {
+            var clauses = $.map(group.split(/\s+(?:AND)\s+|\s*&&\s*/i), function(clause) {
+                clause = $.trim(clause);
+
+                for (var i = 0; i < OPERATORS.length; i++) {
+                    var at = clause.indexOf(OPERATORS[i]);
+
+                    if (at > 0) {
+                        return {
+                            field: $.trim(clause.slice(0, at)),
+                            operator: OPERATORS[i],
+                            value: $.trim(clause.slice(at + OPERATORS[i].length))
+                        };
+                    }
+                }
+
+                return null;
+            });
+
+            // $.map flattens one level, so wrap each group
+            return clauses.length ? [clauses] : null;
+        });
+    };
+
+    /**
+     * Test one clause against the form
+     */
+    HTHPlugin.conditions.test = function($form, clause) {
+        var values = getValues($form, clause.field);
+        var expected = $.map(clause.value.split(','), $.trim);
+        var number = parseFloat(clause.value);
+
+        var any = function(check) {
+            return $.grep(values, function(value) {
+                return check(String(value));
+            }).length > 0;
+        };
+
+        switch (clause.operator) {
+            case '=':
+                // "field=" matches an empty field
+                return clause.value === '' ? !any(function(v) { return v !== ''; }) : any(function(v) {
+                    return $.inArray(v, expected) !== -1;
+                });
+            case '!=':
+                return clause.value === '' ? any(function(v) { return v !== ''; }) : !any(function(v) {
+                    return $.inArray(v, expected) !== -1;
+                });
+            case '*=':
+                return any(function(v) {
+                    return v.toLowerCase().indexOf(clause.value.toLowerCase()) !== -1;
+                });
+            case '>':
+                return any(function(v) { return parseFloat(v) > number; });
+            case '>=':
+                return any(function(v) { return parseFloat(v) >= number; });
+            case '<':
+                return any(function(v) { return parseFloat(v) < number; });
+            case '<=':
+                return any(function(v) { return parseFloat(v) <= number; });
+        }
+
+        return false;
+    };
+
+    /**
+     * Evaluate a whole condition string against the form
+     */
+    HTHPlugin.conditions.evaluate = function($form, expression) {
+        var groups = HTHPlugin.conditions.parse(expression);
+
+        if (!groups.length) {
+            return true;
+        }
+
+        return $.grep(groups, function(clauses) {
+            return $.grep(clauses, function(clause) {
+                return !HTHPlugin.conditions.test($form, clause);
+            }).length === 0;
+        }).length > 0;
+    };
+
+    /**
+     * Start evaluating conditions in a form
+     */
+    HTHPlugin.conditions.init = function($form) {
+        if ($form.data('hthConditions') || !$form.find(CONDITION_SELECTOR).length) {
+            return;
+        }
+
+        $form.data('hthConditions', true);
+
+        $form.on('input change', FIELD_SELECTOR, function() {
+            HTHPlugin.conditions.update($form);
+        });
+
+        // Reset puts back the default values; re-evaluate once it has
+        $form.on('reset', function() {
+            setTimeout(function() {
+                HTHPlugin.conditions.update($form, { animate: false });
+            }, 0);
+        });
+
+        HTHPlugin.conditions.update($form, { animate: false });
+    };
+
+    /**
+     * Initialize every form with conditions inside a context
+     */
+    HTHPlugin.conditions.initAll = function(context) {
+        $(context || document).find('form').each(function() {
+            HTHPlugin.conditions.init($(this));
+        });
+    };
+
+    /**
+     * Re-evaluate every condition and show/hide elements accordingly
+     *
+     * Runs until nothing changes, since hiding one field can change the
+     * outcome of conditions that depend on it.
+     */
+    HTHPlugin.conditions.update = function($form, options) {
+        options = $.extend({ animate: !prefersReducedMotion() }, options);
+
+        for (var pass = 0; pass < 5; pass++) {
+            var changed = false;
+
+            $form.find(CONDITION_SELECTOR).each(function() {
+                var $element = $(this);
+                var visible = HTHPlugin.conditions.evaluate($form, $element.attr('data-hth-show-if'));
+
+                if ($element.data('hthVisible') !== visible) {
+                    $element.data('hthVisible', visible);
+                    HTHPlugin.conditions.toggle($element, visible, options.animate && pass === 0);
+                    changed = true;
+                }
+            });
+
+            syncFields($form);
+
+            if (!changed) {
+                break;
+            }
+        }
+    };
+
+    /**
+     * Show or hide one conditional element
+     */
+    HTHPlugin.conditions.toggle = function($element, visible, animate) {
+        $element.toggleClass('hth-condition-hidden', !visible).attr('aria-hidden', visible ? null : 'true');
+
+        if (!animate) {
+            $element.stop(true, true).toggle(visible);
+        } else if (visible) {
+            $element.stop(true, true).slideDown(DURATION);
+        } else {
+            $element.stop(true, true).slideUp(DURATION);
+        }
+
+        $element.trigger('hth:condition:toggled', [visible]);
+    };
+
+    /**
+     * Disable fields inside hidden elements and re-enable the rest
+     *
+     * Only fields disabled by this script are re-enabled, so fields the
+     * markup disables stay disabled.
+     */
+    function syncFields($form) {
+        $form.find(CONDITION_SELECTOR).find(FIELD_SELECTOR).add($form.find(FIELD_SELECTOR).filter(CONDITION_SELECTOR)).each(function() {
+            var $field = $(this);
+            var hidden = $field.parents(CONDITION_SELECTOR).addBack(CONDITION_SELECTOR).filter(function() {
+                return $(this).data('hthVisible') === false;
+            }).length > 0;
+
+            if (hidden && !$field.prop('disabled')) {
+                $field.prop('disabled', true).data('hthConditionDisabled', true);
+
+                if (HTHPlugin.validation) {
+                    HTHPlugin.validation.clearError($field);
+                }
+            } else if (!hidden && $field.data('hthConditionDisabled')) {
+                $field.prop('disabled', false).removeData('hthConditionDisabled');
+            }
+        });
+    }
+
+})(jQuery);
@@ -0,0 +1,519 @@
+/**
+ * HTH Sample Plugin - Custom Data Import/Export
+ *
+ * Export and import for the table on the Custom Data admin page:
+ *
+ * - Export: CSV or JSON of the rows matching the table filters (in the
+ *   table's sort order) or of every row. Rows are fetched page by page
+ *   with the table's query action, so this works in both table modes.
+ * - Import: a CSV or JSON file is read in the browser, its columns are
+ *   mapped to name/value, every row is checked and previewed, and the
+ *   valid rows are sent in batches to hth_ajax_import_custom_data(), which
+ *   reports the result for each row.
+ *
+ * CSV files need a header row. JSON files hold an array of objects, like
+ * the JSON export.
+ */
+
+(function($) {
+    'use strict';
+
+    // Admin namespace
+    window.HTHAdmin = window.HTHAdmin || {};
+
+    var FETCH_PAGE_SIZE = 100;
+    var IMPORT_BATCH_SIZE = 50;
+    var PREVIEW_ROWS = 20;
+
+    /**
+     * Fields a file column can be mapped to
+     */
+    var FIELDS = [
+        { key: 'name', label: 'Name', required: true },
+        { key: 'value', label: 'Value', required: false }
+    ];
+
+    HTHAdmin.dataTransfer = {};
+
+    /**
+     * Parse CSV text into rows of cells (RFC 4180: quoted cells may contain
+     * commas, quotes and line breaks). Semicolon-separated files, as saved
+     * by some spreadsheet programs, are detected from the first line.
+     *
+     * @return {Array} Array of rows, each an array of strings
+     */
+    HTHAdmin.dataTransfer.parseCsv = function(text) {
+        text = text.replace(/^\uFEFF/, '');
+
+        var firstLine = text.split(/\r?\n/, 1)[0];
+        var delimiter = firstLine.split(';').length > firstLine.split(',').length ? ';' : ',';
+        var rows = [];
+        var row = [];
+        var cell = '';
+        var quoted = false;
+
+        for (var i = 0; i < text.length; i++) {
+            var ch = text.charAt(i);
+
+            if (quoted) {
+                if (ch === '"' && text.charAt(i + 1) === '"') {
+                    cell += '"';
+                    i++;
+                } else if (ch === '"') {
+                    quoted = false;
+                } else {
+                    cell += ch;
+                }
+            } else if (ch === '"') {
+                quoted = true;
+            } else if (ch === delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text.charAt(i + 1) === '\n') {
+                    i++;
+                }
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += ch;
+            }
+        }
+
+        if (cell !== '' || row.length) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        // Skip blank lines
+        return $.grep(rows, function(cells) {
+            return cells.length > 1 || $.trim(cells[0]) !== '';
+        });
+    };
+
+    /**
+     * Read a file's text into { columns, rows } where each row is an object
+     * keyed by column, plus its row number in the file (line), as a
+     * spreadsheet would number it
+     *
+     * @return {Promise} Rejects with a message when the file can't be read
+     */
+    HTHAdmin.dataTransfer.readFile = function(file) {
+        var deferred = $.Deferred();
+        var reader = new FileReader();
+        var isJson = /\.json$/i.test(file.name) || file.type === 'application/json';
+
+        reader.onload = function() {
+            try {
+                deferred.resolve(isJson ? parseJson(reader.result) : tableFromCsv(reader.result));
+            } catch (e) {
+                deferred.reject(e.message);
+            }
+        };
+
+        reader.onerror = function() {
+            deferred.reject('The file could not be read.');
+        };
+
+        reader.readAsText(file);
+
+        return deferred.promise();
+    };
+
+    function tableFromCsv(text) {
+        var cells = HTHAdmin.dataTransfer.parseCsv(text);
+        var columns = $.map(cells.shift() || [], $.trim);
+
+        if (!columns.length) {
+            throw new Error('The file is empty.');
+        }
+
+        return {
+            columns: columns,
+            rows: $.map(cells, function(values, index) {
+                var row = { line: index + 2 };
+
+                $.each(columns, function(i, column) {
+                    row[column] = values[i] === undefined ? '' : values[i];
+                });
+
+                return row;
+            })
+        };
+    }
+
+    function parseJson(text) {
+        var data = JSON.parse(text.replace(/^\uFEFF/, ''));
+        var columns = [];
+
+        if (!$.isArray(data)) {
+            throw new Error('The JSON file must contain an array of objects.');
+        }
+
+        var rows = $.map(data, function(item, index) {
+            var row = { line: index + 1 };
+
+            if (!$.isPlainObject(item)) {
+                throw new Error('Item ' + (index + 1) + ' is not an object.');
+            }
+
+            $.each(item, function(key, value) {
+                if ($.inArray(key, columns) === -1) {
+                    columns.push(key);
+                }
+                row[key] = value === null || value === undefined ? '' : String(value);
+            });
+
+            return row;
+        });
+
+        if (!columns.length) {
+            throw new Error('The file is empty.');
+        }
+
+        return { columns: columns, rows: rows };
+    }
+
+    /**
+     * Check one mapped row (same rules as hth_custom_data_validate())
+     *
+     * @return {string} Error message, or '' when valid
+     */
+    HTHAdmin.dataTransfer.validate = function(record) {
+        if ($.trim(record.name) === '') {
+            return 'The name is empty.';
+        }
+        if (record.name.length > 255) {
+            return 'The name is longer than 255 characters.';
+        }
+        return '';
+    };
+
+    /**
+     * Fetch every row matching a table's parameters, page by page
+     *
+     * @return {Promise} Resolves with the rows
+     */
+    HTHAdmin.dataTransfer.fetchAll = function(params, progress) {
+        var deferred = $.Deferred();
+        var rows = [];
+
+        (function fetch(page) {
+            HTHAdmin.request('hth_query_custom_data', $.extend({}, params, {
+                nonce: HTHAdmin.customData.nonce,
+                paged: page,
+                per_page: FETCH_PAGE_SIZE
+            })).done(function(data) {
+                rows = rows.concat(data.rows);
+                progress(rows.length, data.total);
+
+                if (rows.length < data.total && data.rows.length) {
+                    fetch(page + 1);
+                } else {
+                    deferred.resolve(rows);
+                }
+            }).fail(deferred.reject);
+        })(1);
+
+        return deferred.promise();
+    };
+
+    /**
+     * Export rows as a CSV or JSON download
+     */
+    HTHAdmin.dataTransfer.exportRows = function(format, scope, $button) {
+        var $table = HTHAdmin.customData.$table;
+        var params = scope === 'all' ? {} : HTHAdmin.dataTable.getParams($table);
+        var label = $button.text();
+        var date = new Date().toISOString().slice(0, 10);
+
+        $button.prop('disabled', true);
+
+        HTHAdmin.dataTransfer.fetchAll(params, function(done, total) {
+            $button.text(label + ' (' + done + '/' + total + ')');
+        }).done(function(rows) {
+            var columns = ['id', 'name', 'value', 'created_at'];
+
+            if (format === 'json') {
+                var records = $.map(rows, function(row) {
+                    var record = {};
+                    $.each(columns, function(i, column) {
+                        record[column] = row[column];
+                    });
+                    return record;
+                });
+
+                HTHAdmin.download('custom-data-' + date + '.json', JSON.stringify(records, null, 2), 'application/json');
+            } else {
+                HTHAdmin.download('custom-data-' + date + '.csv', HTHAdmin.toCsv(rows, columns), 'text/csv');
+            }
+
+            HTHAdmin.showNotice('success', rows.length + (rows.length === 1 ? ' item exported.' : ' items exported.'));
+        }).fail(function(error) {
+            HTHAdmin.showNotice('error', error.message);
+        }).always(function() {
+            $button.prop('disabled', false).text(label);
+        });
+    };
+
+    /**
+     * Import wizard: choose a file, map and preview, then import
+     */
+    HTHAdmin.dataTransfer.initImport = function() {
+        var $import = $('#hth-import');
+        var $input = $('#hth-import-file');
+        var $drop = $import.find('.hth-import-drop');
+        var $preview = $import.find('.hth-import-preview');
+        var $result = $import.find('.hth-import-result');
+        var data = null;
+
+        $('.hth-import-toggle').on('click', function() {
+            var open = $import.prop('hidden');
+
+            $import.prop('hidden', !open);
+            $(this).attr('aria-expanded', open ? 'true' : 'false');
+
+            if (open) {
+                $input.trigger('focus');
+            }
+        });
+
+        /**
+         * Map a file row to { line, name, value } with the chosen columns
+         */
+        function mapRow(row) {
+            var record = { line: row.line };
+
+            $.each(FIELDS, function(i, field) {
+                var column = $preview.find('select[data-field="' + field.key + '"]').val();
+                record[field.key] = column ? $.trim(row[column]) : '';
+            });
+
+            return record;
+        }
+
+        /**
+         * Mapped rows with their validation errors
+         */
+        function checkRows() {
+            return $.map(data.rows, function(row) {
+                var record = mapRow(row);
+                record.error = HTHAdmin.dataTransfer.validate(record);
+                return record;
+            });
+        }
+
+        /**
+         * Show the column mapping and a preview of the first rows
+         */
+        function renderPreview() {
+            var records = checkRows();
+            var invalid = $.grep(records, function(record) { return record.error; }).length;
+            var $table = $('<table class="widefat striped hth-import-table"></table>');
+            var $body = $('<tbody></tbody>');
+
+            $table.append('<thead><tr><th scope="col">Row</th><th scope="col">Name</th><th scope="col">Value</th><th scope="col">Check</th></tr></thead>', $body);
+
+            $.each(records.slice(0, PREVIEW_ROWS), function(i, record) {
+                $('<tr></tr>')
+                    .toggleClass('hth-import-invalid', !!record.error)
+                    .append(
+                        $('<td></td>').text(record.line),
+                        $('<td></td>').text(record.name),
+                        $('<td></td>').text(record.value),
+                        $('<td></td>').text(record.error || 'OK')
+                    )
+                    .appendTo($body);
+            });
+
+            var summary = records.length + (records.length === 1 ? ' row' : ' rows') + ' found';
+            if (records.length > PREVIEW_ROWS) {
+                summary += ', showing the first ' + PREVIEW_ROWS;
+            }
+            if (invalid) {
+                summary += '. ' + invalid + (invalid === 1 ? ' row has' : ' rows have') + ' problems and will be skipped';
+            }
+
+            $preview.find('.hth-import-summary').text(summary + '.');
+            $preview.find('.hth-import-table').replaceWith($table);
+            $preview.find('.hth-import-start')
+                .text('Import ' + (records.length - invalid) + ((records.length - invalid) === 1 ? ' row' : ' rows'))
+                .prop('disabled', records.length === invalid);
+        }
+
+        /**
+         * Build the mapping controls for a parsed file
+         */
+        function showMapping(file) {
+            $preview.empty().prop('hidden', false);
+            $result.empty();
+
+            $('<p class="hth-import-file-name"></p>').text(file.name).appendTo($preview);
+
+            var $mapping = $('<div class="hth-import-mapping"></div>').appendTo($preview);
+
+            $.each(FIELDS, function(index, field) {
+                var id = 'hth-import-map-' + field.key;
+                var $select = $('<select></select>').attr({ id: id, 'data-field': field.key });
+
+                $('<option value="">— Skip —</option>').appendTo($select);
+                $.each(data.columns, function(i, column) {
+                    $('<option></option>').val(column).text(column).appendTo($select);
+                });
+
+                // Same name first, otherwise the column in the same position
+                var match = $.grep(data.columns, function(column) {
+                    return column.toLowerCase() === field.key;
+                })[0];
+                $select.val(match || data.columns[index] || '');
+
+                $('<label></label>').attr('for', id).text(field.label + (field.required ? ' (required)' : '') + ' column').appendTo($mapping);
+                $mapping.append(' ', $select, ' ');
+            });
+
+            $preview.append(
+                '<p class="hth-import-summary"></p>',
+                '<table class="hth-import-table"></table>',
+                $('<p class="hth-import-buttons"></p>').append(
+                    '<button type="button" class="button button-primary hth-import-start"></button> ',
+                    '<button type="button" class="button hth-import-cancel">Cancel</button>'
+                )
+            );
+
+            renderPreview();
+            $preview.find('select').first().trigger('focus');
+        }
+
+        function reset() {
+            data = null;
+            $input.val('');
+            $preview.empty().prop('hidden', true);
+        }
+
+        function loadFile(file) {
+            if (!file) {
+                return;
+            }
+
+            $result.empty();
+
+            HTHAdmin.dataTransfer.readFile(file).done(function(parsed) {
+                data = parsed;
+                showMapping(file);
+            }).fail(function(message) {
+                reset();
+                $('<p class="hth-import-error"></p>').text(file.name + ': ' + message).appendTo($result);
+            });
+        }
+
+        $input.on('change', function() {
+            loadFile(this.files[0]);
+        });
+
+        $drop.on('dragenter dragover', function(e) {
+            e.preventDefault();
+            $drop.addClass('is-dragover');
+        });
+
+        $drop.on('dragleave drop', function(e) {
+            e.preventDefault();
+            $drop.removeClass('is-dragover');
+        });
+
+        $drop.on('drop', function(e) {
+            var transfer = e.originalEvent.dataTransfer;
+
+            if (transfer && transfer.files && transfer.files.length) {
+                loadFile(transfer.files[0]);
+            }
+        });
+
+        $preview.on('change', 'select', renderPreview);
+
+        $preview.on('click', '.hth-import-cancel', function() {
+            reset();
+            $input.trigger('focus');
+        });
+
+        $preview.on('click', '.hth-import-start', function() {
+            var records = checkRows();
+            var valid = $.grep(records, function(record) { return !record.error; });
+            var failures = $.grep(records, function(record) { return record.error; });
+            var imported = 0;
+            var $progress = $('<progress></progress>').attr({ max: valid.length, value: 0 });
+            var $status = $('<p class="hth-import-status"></p>');
+
+            $preview.prop('hidden', true);
+            $result.empty().append($status, $progress);
+
+            HTHAdmin.bulkActions.chunk(valid, IMPORT_BATCH_SIZE, function(batch) {
+                var rows = $.map(batch, function(record) {
+                    return { line: record.line, name: record.name, value: record.value };
+                });
+
+                return HTHAdmin.request('hth_import_custom_data', { rows: rows, nonce: HTHAdmin.customData.nonce }).done(function(response) {
+                    $.each(response.results, function(i, result) {
+                        if (result.success) {
+                            imported++;
+                        } else {
+                            failures.push({ line: result.line, error: result.message });
+                        }
+                    });
+
+                    HTHAdmin.customData.addRows(response.rows);
+                });
+            }, function(done, total) {
+                $progress.val(done);
+                $status.text('Importing: ' + done + ' of ' + total + ' rows sent');
+            }).fail(function(error) {
+                failures.push({ line: null, error: error.message + ' The remaining rows were not imported.' });
+            }).always(function() {
+                showResult(imported, failures);
+                reset();
+            });
+        });
+
+        /**
+         * Report how many rows were imported and which failed, by line
+         */
+        function showResult(imported, failures) {
+            $result.empty();
+
+            $('<p class="hth-import-status"></p>')
+                .text(imported + (imported === 1 ? ' row' : ' rows') + ' imported, ' + failures.length + ' failed.')
+                .appendTo($result);
+
+            if (failures.length) {
+                var $list = $('<ul class="hth-import-failures"></ul>').appendTo($result);
+
+                failures.sort(function(a, b) {
+                    return ((a.line || Infinity) - (b.line || Infinity)) || 0;
+                });
+
+                $.each(failures, function(i, failure) {
+                    $('<li></li>').text((failure.line ? 'Row ' + failure.line + ': ' : '') + failure.error).appendTo($list);
+                });
+            }
+
+            HTHAdmin.showNotice(failures.length ? 'warning' : 'success', imported + (imported === 1 ? ' item imported.' : ' items imported.'));
+        }
+    };
+
+    /**
+     * Initialize when the Custom Data table is on the page
+     */
+    $(document).ready(function() {
+        if (!HTHAdmin.customData) {
+            return;
+        }
+
+        $('.hth-export-button').on('click', function() {
+            HTHAdmin.dataTransfer.exportRows($(this).attr('data-format'), $('#hth-export-scope').val(), $(this));
+        });
+
+        HTHAdmin.dataTransfer.initImport();
+    });
+
+})(jQuery);
@@ -0,0 +1,523 @@
+/**
+ * HTH Sample Plugin - Admin Data Tables
+ *
+ * Sortable column headers, a filter row, page size selector and pagination
+ * for .hth-data-table tables in the admin. Columns opt in on their header:
+ *
+ *   <table class="hth-data-table" data-hth-mode="client">
+ *       <th data-hth-column="id" data-hth-type="number">ID</th>
+ *       <th data-hth-column="name">Name</th>
+ *       <th>Actions</th>
+ *
+ * Modes:
+ * - client: every row is in the page; sorting, filtering and paging happen
+ *   in the browser. Good for small tables.
+ * - server: the page holds one page of rows; every change asks the AJAX
+ *   action in data-hth-action for the matching page (see
+ *   hth_ajax_query_custom_data()). Rows are rendered with the renderRow
+ *   function registered for the table:
+ *
+ *   HTHAdmin.dataTable.register('custom-data', { renderRow: function(row) { ... } });
+ *
+ * The table triggers hth:table:rendered whenever the visible rows change.
+ *
+ * The state is kept in the URL (orderby, order, paged, per_page and
+ * filter_<column>), using the same parameter names as WordPress list tables,
+ * so a reload or a shared link shows the same view.
+ */
+
+(function($) {
+    'use strict';
+
+    // Admin namespace
+    window.HTHAdmin = window.HTHAdmin || {};
+
+    var PAGE_SIZES = [10, 20, 50, 100];
+    var FILTER_DELAY = 300;
+
+    /**
+     * Options registered per data-hth-table name
+     */
+    var registry = {};
+
+    /**
+     * Read the table state from the URL
+     */
+    function readUrl(table) {
+        var state = { filters: {} };
+
+        if (typeof window.URLSearchParams !== 'function') {
+            return state;
+        }
+
+        var params = new URLSearchParams(window.location.search);
+
+        if (params.get('orderby') && table.columns[params.get('orderby')]) {
+            state.orderby = params.get('orderby');
+            state.order = params.get('order') === 'desc' ? 'desc' : 'asc';
+        }
+
+        if (parseInt(params.get('paged'), 10) > 0) {
+            state.paged = parseInt(params.get('paged'), 10);
+        }
+
+        if ($.inArray(parseInt(params.get('per_page'), 10), PAGE_SIZES) !== -1) {
+            state.per_page = parseInt(params.get('per_page'), 10);
+        }
+
+        $.each(table.columns, function(key) {
+            if (params.get('filter_' + key)) {
+                state.filters[key] = params.get('filter_' + key);
+            }
+        });
+
+        return state;
+    }
+
+    /**
+     * Table state as request parameters (for the URL and AJAX requests)
+     */
+    function toParams(table) {
+        var state = table.state;
+        var params = {};
+
+        if (state.orderby) {
+            params.orderby = state.orderby;
+            params.order = state.order;
+        }
+        if (state.paged > 1) {
+            params.paged = state.paged;
+        }
+        if (state.per_page !== table.defaultPerPage) {
+            params.per_page = state.per_page;
+        }
+
+        $.each(state.filters, function(key, term) {
+            if (term !== '') {
+                params['filter_' + key] = term;
+            }
+        });
+
+        return params;
+    }
+
+    /**
+     * Replace the table parameters in the URL, keeping the others (e.g. ?page=)
+     */
+    function writeUrl(table) {
+        if (typeof window.URLSearchParams !== 'function' || !window.history.replaceState) {
+            return;
+        }
+
+        var params = new URLSearchParams(window.location.search);
+
+        $.each(['orderby', 'order', 'paged', 'per_page'], function(i, name) {
+            params['delete'](name);
+        });
+        $.each(table.columns, function(key) {
+            params['delete']('filter_' + key);
+        });
+        $.each(toParams(table), function(name, value) {
+            params.set(name, value);
+        });
+
+        var query = params.toString();
+        window.history.replaceState(null, '', window.location.pathname + (query ? '?' + query : '') + window.location.hash);
+    }
+
+    /**
+     * A cell's value for sorting and filtering
+     */
+    function cellValue($row, column) {
+        return $.trim($row.children().eq(column.index).text());
+    }
+
+    /**
+     * Compare two values of a column (ascending)
+     */
+    function compare(a, b, column) {
+        if (column.type === 'number') {
+            a = parseFloat(a);
+            b = parseFloat(b);
+            a = isNaN(a) ? -Infinity : a;
+            b = isNaN(b) ? -Infinity : b;
+            return a === b ? 0 : (a < b ? -1 : 1);
+        }
+
+        // Dates are MySQL datetimes, which sort correctly as text
+        return String(a).toLowerCase().localeCompare(String(b).toLowerCase());
+    }
+
+    /**
+     * Does a value match a column filter?
+     */
+    function matches(value, term, column) {
+        if (column.type === 'number') {
+            return parseFloat(value) === parseFloat(term);
+        }
+
+        return value.toLowerCase().indexOf(term.toLowerCase()) !== -1;
+    }
+
+    HTHAdmin.dataTable = {};
+
+    /**
+     * Register options for tables with data-hth-table="<name>"
+     *
+     * @param {Object} options renderRow(row): jQuery <tr> for a server-mode record
+     */
+    HTHAdmin.dataTable.register = function(name, options) {
+        registry[name] = $.extend(registry[name] || {}, options);
+    };
+
+    /**
+     * Add sorting, filters and paging to a table
+     */
+    HTHAdmin.dataTable.init = function($table) {
+        var $headers = $table.find('thead th[data-hth-column]');
+
+        if ($table.data('hthDataTable') || !$headers.length) {
+            return;
+        }
+
+        var table = {
+            name: $table.attr('data-hth-table'),
+            mode: $table.attr('data-hth-mode') === 'server' ? 'server' : 'client',
+            total: parseInt($table.attr('data-hth-total'), 10) || 0,
+            defaultPerPage: parseInt($table.attr('data-hth-per-page'), 10) || 20,
+            columns: {},
+            request: 0
+        };
+
+        $headers.each(function() {
+            var $th = $(this);
+
+            table.columns[$th.attr('data-hth-column')] = {
+                key: $th.attr('data-hth-column'),
+                type: $th.attr('data-hth-type') || 'text',
+                index: $th.index(),
+                label: $.trim($th.text())
+            };
+        });
+
+        table.state = $.extend({ orderby: '', order: 'asc', paged: 1, per_page: table.defaultPerPage }, readUrl(table));
+        $table.data('hthDataTable', table);
+
+        buildControls($table, table);
+
+        // The server already rendered the page in the URL; the browser sorts its own rows
+        if (table.mode === 'client') {
+            HTHAdmin.dataTable.refresh($table);
+        } else {
+            updateControls($table, table);
+        }
+    };
+
+    /**
+     * Re-apply the current state after rows were added, changed or removed
+     */
+    HTHAdmin.dataTable.refresh = function($table) {
+        var table = $table.data('hthDataTable');
+
+        if (!table) {
+            return;
+        }
+
+        writeUrl(table);
+
+        if (table.mode === 'server') {
+            fetchPage($table, table);
+        } else {
+            renderClient($table, table);
+        }
+    };
+
+    /**
+     * Sorting and filter parameters of the current view, in the format the
+     * table's AJAX action accepts (e.g. to export what the user sees)
+     */
+    HTHAdmin.dataTable.getParams = function($table) {
+        var table = $table.data('hthDataTable');
+        var params = table ? toParams(table) : {};
+
+        delete params.paged;
+        delete params.per_page;
+
+        return params;
+    };
+
+    /**
+     * Change the state (e.g. { orderby: 'name' }) and show the result
+     */
+    HTHAdmin.dataTable.setState = function($table, changes) {
+        var table = $table.data('hthDataTable');
+
+        $.extend(table.state, changes);
+        HTHAdmin.dataTable.refresh($table);
+    };
+
+    /**
+     * Sort buttons, the filter row and the navigation above the table
+     */
+    function buildControls($table, table) {
+        var $filterRow = $('<tr class="hth-filter-row"></tr>');
+        var timer = null;
+
+        $table.find('thead tr').first().children().each(function() {
+            var $th = $(this);
+            var column = table.columns[$th.attr('data-hth-column')];
+            var $cell = $('<td></td>').appendTo($filterRow);
+
+            if (!column) {
+                return;
+            }
+
+            // Header text becomes a button, so sorting works from the keyboard
+            $('<button type="button" class="hth-sort-button"></button>')
+                .append($th.contents())
+                .append('<span class="sorting-indicator" aria-hidden="true"></span>')
+                .appendTo($th.addClass('sortable'));
+
+            $('<input type="search" class="hth-column-filter">')
+                .attr({
+                    'data-column': column.key,
+                    'aria-label': 'Filter by ' + column.label,
+                    placeholder: 'Filter',
+                    inputmode: column.type === 'number' ? 'numeric' : null
+                })
+                .val(table.state.filters[column.key] || '')
+                .appendTo($cell);
+        });
+
+        $table.find('thead').append($filterRow);
+
+        var $pageSize = $('<select class="hth-page-size"></select>');
+        $.each(PAGE_SIZES, function(i, size) {
+            $('<option></option>').val(size).text(size).appendTo($pageSize);
+        });
+
+        var $nav = $('<div class="tablenav top hth-table-nav"></div>').append(
+            $('<div class="tablenav-pages"></div>').append(
+                '<span class="displaying-num" aria-live="polite"></span> ',
+                $('<label class="hth-page-size-label">Per page </label>').append($pageSize),
+                ' ',
+                $('<span class="pagination-links"></span>').append(
+                    '<button type="button" class="button hth-page-first" data-page="first" aria-label="First page">&laquo;</button> ',
+                    '<button type="button" class="button hth-page-prev" data-page="prev" aria-label="Previous page">&lsaquo;</button> ',
+                    '<span class="paging-input hth-page-status"></span> ',
+                    '<button type="button" class="button hth-page-next" data-page="next" aria-label="Next page">&rsaquo;</button> ',
+                    '<button type="button" class="button hth-page-last" data-page="last" aria-label="Last page">&raquo;</button>'
+                )
+            )
+        );
+
+        $table.before($nav);
+        table.$nav = $nav;
+
+        $table.on('click', '.hth-sort-button', function() {
+            var key = $(this).closest('th').attr('data-hth-column');
+            var state = table.state;
+
+            HTHAdmin.dataTable.setState($table, {
+                orderby: key,
+                order: state.orderby === key && state.order === 'asc' ? 'desc' : 'asc',
+                paged: 1
+            });
+        });
+
+        $table.on('input', '.hth-column-filter', function() {
+            var $input = $(this);
+
+            clearTimeout(timer);
+            timer = setTimeout(function() {
+                table.state.filters[$input.attr('data-column')] = $.trim($input.val());
+                HTHAdmin.dataTable.setState($table, { paged: 1 });
+            }, FILTER_DELAY);
+        });
+
+        $pageSize.on('change', function() {
+            HTHAdmin.dataTable.setState($table, { per_page: parseInt($(this).val(), 10), paged: 1 });
+        });
+
+        $nav.on('click', '[data-page]', function() {
+            var pages = getPages(table);
+            var paged = {
+                first: 1,
+                prev: table.state.paged - 1,
+                next: table.state.paged + 1,
+                last: pages
+            }[$(this).attr('data-page')];
+
+            HTHAdmin.dataTable.setState($table, { paged: Math.min(Math.max(paged, 1), pages) });
+        });
+    }
+
+    function getPages(table) {
+        return Math.max(1, Math.ceil(table.total / table.state.per_page));
+    }
+
+    /**
+     * Reflect the state in the headers and navigation
+     */
+    function updateControls($table, table) {
+        var state = table.state;
+        var pages = getPages(table);
+        var first = table.total ? (state.paged - 1) * state.per_page + 1 : 0;
+        var last = Math.min(state.paged * state.per_page, table.total);
+
+        $table.find('thead th[data-hth-column]').each(function() {
+            var $th = $(this);
+            var sorted = $th.attr('data-hth-column') === state.orderby;
+
+            $th.toggleClass('sorted', sorted)
+                .toggleClass('sortable', !sorted)
+                .toggleClass('asc', sorted && state.order === 'asc')
+                .toggleClass('desc', sorted && state.order === 'desc')
+                .attr('aria-sort', sorted ? (state.order === 'asc' ? 'ascending' : 'descending') : null);
+        });
+
+        table.$nav.find('.hth-page-size').val(String(state.per_page));
+        table.$nav.find('.displaying-num').text(
+            table.total ? 'Showing ' + first + '–' + last + ' of ' + table.total + (table.total === 1 ? ' item' : ' items') : 'No items'
+        );
+        table.$nav.find('.hth-page-status').text('Page ' + state.paged + ' of ' + pages);
+        table.$nav.find('.hth-page-first, .hth-page-prev').prop('disabled', state.paged <= 1);
+        table.$nav.find('.hth-page-next, .hth-page-last').prop('disabled', state.paged >= pages);
+    }
+
+    /**
+     * Show or hide the "no matches" row
+     */
+    function toggleNoMatches($table, show) {
+        var $tbody = $table.children('tbody');
+        var $row = $tbody.children('.hth-no-matches');
+
+        if (show && !$row.length) {
+            $row = $('<tr class="hth-no-matches"><td></td></tr>').appendTo($tbody);
+            $row.children().attr('colspan', $table.find('thead tr').first().children().length).text('No items match the filters.');
+        }
+
+        $row.toggle(show);
+    }
+
+    /**
+     * Client mode: filter, sort and page the rows already in the table
+     */
+    function renderClient($table, table) {
+        var state = table.state;
+        var column = table.columns[state.orderby];
+        var $tbody = $table.children('tbody');
+        var rows = [];
+        var matching = [];
+
+        $tbody.children('tr').not('.no-items, .hth-no-matches').each(function(index) {
+            var $row = $(this);
+
+            // Remember the current position, so ties keep their order
+            $row.data('hthIndex', index);
+
+            rows.push($row);
+
+            // Rows being edited stay visible
+            var visible = $row.hasClass('is-editing') || $.grep($.map(state.filters, function(term, key) {
+                return term === '' || matches(cellValue($row, table.columns[key]), term, table.columns[key]);
+            }), function(match) {
+                return !match;
+            }).length === 0;
+
+            if (visible) {
+                matching.push($row);
+            }
+        });
+
+        matching.sort(function(a, b) {
+            var result = column ? compare(cellValue(a, column), cellValue(b, column), column) : 0;
+
+            if (column && state.order === 'desc') {
+                result = -result;
+            }
+
+            return result || a.data('hthIndex') - b.data('hthIndex');
+        });
+
+        table.total = matching.length;
+        state.paged = Math.min(state.paged, getPages(table));
+
+        var start = (state.paged - 1) * state.per_page;
+
+        $.each(rows, function(i, $row) {
+            $row.prop('hidden', true);
+        });
+
+        $.each(matching, function(i, $row) {
+            $row.prop('hidden', i < start || i >= start + state.per_page);
+            $tbody.append($row);
+        });
+
+        toggleNoMatches($table, rows.length > 0 && matching.length === 0);
+        updateControls($table, table);
+        $table.trigger('hth:table:rendered', [{ total: table.total }]);
+    }
+
+    /**
+     * Server mode: load the current page with the table's AJAX action
+     */
+    function fetchPage($table, table) {
+        var options = registry[table.name] || {};
+        var request = ++table.request;
+
+        $table.addClass('hth-loading').attr('aria-busy', 'true');
+
+        $.ajax({
+            url: ajaxurl,
+            type: 'POST',
+            data: $.extend({
+                action: $table.attr('data-hth-action'),
+                nonce: $('#hth_nonce').val(),
+                paged: table.state.paged,
+                per_page: table.state.per_page
+            }, toParams(table))
+        }).done(function(response) {
+            // A newer request replaced this one
+            if (request !== table.request) {
+                return;
+            }
+
+            if (!response || !response.success) {
+                table.$nav.find('.displaying-num').text((response && response.data && response.data.message) || 'The items could not be loaded.');
+                return;
+            }
+
+            var data = response.data;
+            var $tbody = $table.children('tbody').empty();
+
+            table.total = data.total;
+
+            // The last page emptied (e.g. after a delete): go back one
+            if (!data.rows.length && data.total > 0 && table.state.paged > 1) {
+                HTHAdmin.dataTable.setState($table, { paged: getPages(table) });
+                return;
+            }
+
+            $.each(data.rows, function(i, row) {
+                $tbody.append(options.renderRow(row));
+            });
+
+            if (!data.rows.length) {
+                toggleNoMatches($table, true);
+            }
+
+            updateControls($table, table);
+            $table.trigger('hth:table:rendered', [data]);
+        }).fail(function() {
+            if (request === table.request) {
+                table.$nav.find('.displaying-num').text('Network error occurred.');
+            }
+        }).always(function() {
+            if (request === table.request) {
+                $table.removeClass('hth-loading').removeAttr('aria-busy');
+            }
+        });
+    }
+
+})(jQuery);
@@ -0,0 +1,303 @@
+/**
+ * HTH Sample Plugin - File Upload Fields
+ *
+ * Enhances <input type="file"> fields in .hth-ajax-form forms with a
+ * drag-and-drop zone, per-file previews with a remove button and
+ * client-side limits. Limits are declared on the input:
+ *
+ *   <input type="file" name="attachments[]" multiple
+ *          accept=".jpg,.png,.pdf,image/*"
+ *          data-hth-max-files="3"
+ *          data-hth-max-size="5242880">   (bytes; "5MB" and "500KB" also work)
+ *
+ * The server must check the same limits again - see
+ * hth_ajax_form_upload_limits() in chapters/shortcodes.php.
+ */
+
+(function($) {
+    'use strict';
+
+    // Plugin namespace
+    window.HTHPlugin = window.HTHPlugin || {};
+
+    /**
+     * Turn "5MB", "500KB" or a plain byte count into bytes
+     */
+    function parseSize(value) {
+        var match = /^\s*([\d.]+)\s*(b|kb|mb|gb)?\s*$/i.exec(String(value || ''));
+        var units = { b: 1, kb: 1024, mb: 1048576, gb: 1073741824 };
+
+        if (!match) {
+            return 0;
+        }
+
+        return Math.round(parseFloat(match[1]) * units[(match[2] || 'b').toLowerCase()]);
+    }
+
+    /**
+     * Does a file match the input's accept attribute?
+     * Accepts extensions (.pdf), exact types (application/pdf) and wildcards (image/*)
+     */
+    function isAccepted(file, accept) {
+        if (!accept) {
+            return true;
+        }
+
+        var name = file.name.toLowerCase();
+        var type = (file.type || '').toLowerCase();
+
+        return $.grep(accept.split(','), function(pattern) {
+            pattern = $.trim(pattern).toLowerCase();
+
+            if (!pattern) {
+                return false;
+            }
+            if (pattern.charAt(0) === '.') {
+                return name.slice(-pattern.length) === pattern;
+            }
+            if (pattern.slice(-2) === '/*') {
+                return type.indexOf(pattern.slice(0, -1)) === 0;
+            }
+            return type === pattern;
+        }).length > 0;
+    }
+
+    /**
+     * Copy our file list back into the input, where the browser allows it,
+     * so FormData and required-field validation see the same files
+     */
+    function syncInput($input, files) {
+        if (typeof window.DataTransfer !== 'function') {
+            return;
+        }
+
+        try {
+            var transfer = new DataTransfer();
+            $.each(files, function(i, file) {
+                transfer.items.add(file);
+            });
+            $input[0].files = transfer.files;
+        } catch (e) {
+            // Older browsers: HTHPlugin.fileUpload.applyTo() covers submission
+        }
+    }
+
+    HTHPlugin.fileUpload = {};
+
+    /**
+     * Validation rule: fails while files were rejected by the last selection
+     * Runs even when no file is selected, so rejections are always shown
+     */
+    HTHPlugin.validation.addRule('files', function(value, $field) {
+        var state = $field.data('hthUpload');
+        return state && state.errors.length ? state.errors.join(' ') : true;
+    }, null, { runOnEmpty: true });
+
+    /**
+     * Format a byte count for display
+     */
+    HTHPlugin.fileUpload.formatSize = function(bytes) {
+        if (bytes >= 1048576) {
+            return (bytes / 1048576).toFixed(1) + ' MB';
+        }
+        if (bytes >= 1024) {
+            return Math.round(bytes / 1024) + ' KB';
+        }
+        return bytes + ' B';
+    };
+
+    /**
+     * Enhance every file input in a form
+     */
+    HTHPlugin.fileUpload.init = function($form) {
+        $form.find('input[type="file"]').each(function() {
+            var $input = $(this);
+
+            if (!$input.data('hthUpload')) {
+                HTHPlugin.fileUpload.setup($input);
+            }
+        });
+    };
+
+    /**
+     * Build the drop zone and preview list for one input
+     */
+    HTHPlugin.fileUpload.setup = function($input) {
+        var state = {
+            files: [],
+            errors: [],
+            maxFiles: $input.prop('multiple') ? (parseInt($input.attr('data-hth-max-files'), 10) || 0) : 1,
+            maxSize: parseSize($input.attr('data-hth-max-size'))
+        };
+
+        var $zone = $('<div class="hth-dropzone"></div>');
+        var $prompt = $('<p class="hth-dropzone-prompt"></p>')
+            .text($input.prop('multiple') ? 'Drag files here or click to browse' : 'Drag a file here or click to browse');
+        var $hint = $('<p class="hth-dropzone-hint"></p>');
+        var $list = $('<ul class="hth-file-list" aria-live="polite"></ul>');
+        var hints = [];
+
+        if (state.maxFiles > 1) {
+            hints.push('Up to ' + state.maxFiles + ' files');
+        }
+        if (state.maxSize) {
+            hints.push(HTHPlugin.fileUpload.formatSize(state.maxSize) + ' max each');
+        }
+        if ($input.attr('accept')) {
+            hints.push($input.attr('accept').replace(/,/g, ', '));
+        }
+        $hint.text(hints.join(' · '));
+
+        // Rejected files are reported through the validation engine (see the
+        // "files" rule below), so its real-time checks don't hide them
+        var rules = $input.attr('data-hth-rule');
+        if (!/(^|\|)\s*files\s*(\||$)/.test(rules || '')) {
+            $input.attr('data-hth-rule', rules ? rules + '|files' : 'files');
+        }
+
+        $input.data('hthUpload', state).addClass('hth-file-input').wrap($zone);
+        $zone = $input.parent();
+        $zone.append($prompt, hints.length ? $hint : null).after($list);
+
+        /**
+         * Validate and add newly chosen files
+         */
+        function addFiles(fileList) {
+            var errors = state.errors = [];
+
+            $.each(fileList, function(i, file) {
+                if (!isAccepted(file, $input.attr('accept'))) {
+                    errors.push(file.name + ': this file type is not allowed.');
+                } else if (state.maxSize && file.size > state.maxSize) {
+                    errors.push(file.name + ': larger than ' + HTHPlugin.fileUpload.formatSize(state.maxSize) + '.');
+                } else if (state.maxFiles === 1) {
+                    state.files = [file];
+                } else if (state.maxFiles && state.files.length >= state.maxFiles) {
+                    errors.push(file.name + ': no more than ' + state.maxFiles + ' files can be attached.');
+                } else {
+                    state.files.push(file);
+                }
+            });
+
+            render();
+            HTHPlugin.validation.validateField($input);
+        }
+
+        /**
+         * Show a preview row for every selected file
+         */
+        function render() {
+            syncInput($input, state.files);
+
+            $list.find('img').each(function() {
+                window.URL.revokeObjectURL(this.src);
+            });
+            $list.empty();
+
+            $.each(state.files, function(index, file) {
+                var $item = $('<li class="hth-file-item"></li>');
+
+                if (/^image\//.test(file.type) && window.URL && window.URL.createObjectURL) {
+                    $('<img class="hth-file-preview" alt="">').attr('src', window.URL.createObjectURL(file)).appendTo($item);
+                } else {
+                    $('<span class="hth-file-preview hth-file-icon" aria-hidden="true"></span>')
+                        .text((file.name.split('.').pop() || '').toUpperCase().slice(0, 4))
+                        .appendTo($item);
+                }
+
+                $('<span class="hth-file-name"></span>').text(file.name).appendTo($item);
+                $('<span class="hth-file-size"></span>').text(HTHPlugin.fileUpload.formatSize(file.size)).appendTo($item);
+                $('<button type="button" class="hth-file-remove"></button>')
+                    .text('Remove')
+                    .attr({ 'data-index': index, 'aria-label': 'Remove ' + file.name })
+                    .appendTo($item);
+
+                $list.append($item);
+            });
+
+            $input.trigger('hth:files:changed', [state.files]);
+        }
+
+        // The input itself covers the zone, so clicking anywhere browses
+        $input.on('change', function() {
+            // The browser replaces the input's files on every pick; addFiles()
+            // adds them to the earlier selection and render() writes it back
+            addFiles($.makeArray(this.files));
+        });
+
+        $zone.on('dragenter dragover', function(e) {
+            e.preventDefault();
+            $zone.addClass('is-dragover');
+        });
+
+        $zone.on('dragleave drop', function(e) {
+            e.preventDefault();
+            $zone.removeClass('is-dragover');
+        });
+
+        $zone.on('drop', function(e) {
+            var transfer = e.originalEvent.dataTransfer;
+
+            if (transfer && transfer.files && transfer.files.length) {
+                addFiles($.makeArray(transfer.files));
+            }
+        });
+
+        $list.on('click', '.hth-file-remove', function() {
+            state.files.splice(parseInt($(this).attr('data-index'), 10), 1);
+            state.errors = [];
+            render();
+            HTHPlugin.validation.clearError($input);
+            $input.trigger('focus');
+        });
+
+        // Clear the list along with the rest of the form
+        $input.closest('form').on('reset', function() {
+            state.files = [];
+            state.errors = [];
+            setTimeout(render, 0);
+        });
+    };
+
+    /**
+     * Put the selected files into a FormData object
+     *
+     * Needed where the browser does not let scripts set input.files, in
+     * which case dropped files only exist in our own list.
+     */
+    HTHPlugin.fileUpload.applyTo = function($form, formData) {
+        $form.find('input[type="file"]').each(function() {
+            var $input = $(this);
+            var state = $input.data('hthUpload');
+            var name = $input.attr('name');
+
+            if (!state || !name || !formData.delete) {
+                return;
+            }
+
+            formData.delete(name);
+            $.each(state.files, function(i, file) {
+                formData.append(name, file, file.name);
+            });
+        });
+    };
+
+    /**
+     * Does the form have any files selected?
+     */
+    HTHPlugin.fileUpload.hasFiles = function($form) {
+        var found = false;
+
+        $form.find('input[type="file"]').each(function() {
+            var state = $(this).data('hthUpload');
+
+            if ((state && state.files.length) || (this.files && this.files.length)) {
+                found = true;
+                return false;
+            }
+        });
+
+        return found;
+    };
+
+})(jQuery);
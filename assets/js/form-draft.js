@@ -0,0 +1,274 @@
+/**
+ * HTH Sample Plugin - Form Drafts
+ *
+ * Opt-in autosave for long forms, used by both the shortcode forms
+ * (ajax-form.js) and admin forms (admin.js). Add data-hth-autosave to a
+ * form with an id:
+ *
+ *   <form id="book-intake" class="hth-ajax-form" data-hth-autosave>
+ *
+ * Field values are saved to localStorage as the user types, under the form
+ * id (or under the attribute's value, e.g. data-hth-autosave="intake-42",
+ * when the same form id is used for different records). On return the user
+ * is offered to restore the draft. The draft is removed on hth:form:success
+ * and hth:form:queued, and leaving the page with unsaved changes asks for
+ * confirmation.
+ */
+
+(function($) {
+    'use strict';
+
+    // Plugin namespace
+    window.HTHPlugin = window.HTHPlugin || {};
+
+    var STORAGE_PREFIX = 'hth-draft:';
+    var SAVE_DELAY = 1000;
+
+    /**
+     * Fields that are never stored: secrets, files and generated values
+     */
+    var SKIP_SELECTOR = '[type="password"], [type="file"], [type="hidden"], [type="submit"], [type="button"], [data-hth-autosave-ignore]';
+
+    /**
+     * Forms whose changes are still unsaved on the server
+     */
+    var dirtyForms = [];
+
+    function storageGet(key) {
+        try {
+            return JSON.parse(window.localStorage.getItem(key));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function storageSet(key, value) {
+        try {
+            window.localStorage.setItem(key, JSON.stringify(value));
+        } catch (e) {
+            // Storage full or disabled: autosave is a convenience, carry on
+        }
+    }
+
+    function storageRemove(key) {
+        try {
+            window.localStorage.removeItem(key);
+        } catch (e) {
+            // Nothing to clean up
+        }
+    }
+
+    function setDirty(form, dirty) {
+        var index = $.inArray(form, dirtyForms);
+
+        if (dirty && index === -1) {
+            dirtyForms.push(form);
+        } else if (!dirty && index !== -1) {
+            dirtyForms.splice(index, 1);
+        }
+    }
+
+    HTHPlugin.formDraft = {};
+
+    /**
+     * localStorage key for a form's draft, or null when it can't have one
+     */
+    HTHPlugin.formDraft.getKey = function($form) {
+        var name = $form.attr('data-hth-autosave');
+
+        if (!name || name === 'true') {
+            name = $form.attr('id');
+        }
+
+        return name ? STORAGE_PREFIX + name : null;
+    };
+
+    /**
+     * Collect the form's savable values as { name: [values] }
+     */
+    HTHPlugin.formDraft.collect = function($form) {
+        var values = {};
+
+        $form.find('input, select, textarea').not(SKIP_SELECTOR).each(function() {
+            var type = (this.type || '').toLowerCase();
+            var name = this.name;
+
+            if (!name) {
+                return;
+            }
+
+            values[name] = values[name] || [];
+
+            if (type === 'checkbox' || type === 'radio') {
+                if (this.checked) {
+                    values[name].push(this.value);
+                }
+            } else if ($.isArray($(this).val())) {
+                values[name] = values[name].concat($(this).val());
+            } else {
+                values[name].push($(this).val());
+            }
+        });
+
+        return values;
+    };
+
+    /**
+     * Put saved values back into the form
+     */
+    HTHPlugin.formDraft.apply = function($form, values) {
+        var positions = {};
+
+        $form.find('input, select, textarea').not(SKIP_SELECTOR).each(function() {
+            var $field = $(this);
+            var type = (this.type || '').toLowerCase();
+            var name = this.name;
+
+            if (!name || !values.hasOwnProperty(name)) {
+                return;
+            }
+
+            if (type === 'checkbox' || type === 'radio') {
+                $field.prop('checked', $.inArray(this.value, values[name]) !== -1);
+            } else if ($field.is('select[multiple]')) {
+                $field.val(values[name]);
+            } else {
+                // Several fields can share a name (e.g. "authors[]")
+                positions[name] = positions[name] || 0;
+                $field.val(values[name][positions[name]++]);
+            }
+        });
+
+        // Let dependent widgets (conditional fields, wizards) catch up
+        $form.find('input, select, textarea').not(SKIP_SELECTOR).trigger('change');
+    };
+
+    /**
+     * Save the form's values now
+     */
+    HTHPlugin.formDraft.save = function($form) {
+        var key = HTHPlugin.formDraft.getKey($form);
+
+        if (key) {
+            storageSet(key, { savedAt: Date.now(), values: HTHPlugin.formDraft.collect($form) });
+        }
+    };
+
+    /**
+     * Remove the saved draft and mark the form as saved
+     */
+    HTHPlugin.formDraft.clear = function($form) {
+        var key = HTHPlugin.formDraft.getKey($form);
+
+        if (key) {
+            storageRemove(key);
+        }
+
+        setDirty($form[0], false);
+        $form.find('.hth-draft-prompt').remove();
+    };
+
+    /**
+     * Turn on autosave for a form with data-hth-autosave
+     */
+    HTHPlugin.formDraft.init = function($form) {
+        var key = HTHPlugin.formDraft.getKey($form);
+
+        if (!key || $form.attr('data-hth-autosave') === undefined || $form.data('hthDraft')) {
+            return;
+        }
+
+        $form.data('hthDraft', true);
+
+        var draft = storageGet(key);
+        var initial = JSON.stringify(HTHPlugin.formDraft.collect($form));
+
+        // Offer the draft only if it differs from what the page shows
+        if (draft && draft.values && JSON.stringify(draft.values) !== initial) {
+            HTHPlugin.formDraft.prompt($form, draft);
+        }
+
+        // Save once typing pauses (admin pages don't load HTHPlugin.utils)
+        var timer = null;
+        var scheduleSave = function() {
+            clearTimeout(timer);
+            timer = setTimeout(function() {
+                HTHPlugin.formDraft.save($form);
+            }, SAVE_DELAY);
+        };
+
+        $form.on('input change', 'input, select, textarea', function(e) {
+            // Ignore changes triggered by restoring the draft itself
+            if ($(this).is(SKIP_SELECTOR) || e.isTrigger) {
+                return;
+            }
+
+            setDirty($form[0], true);
+            scheduleSave();
+        });
+
+        // Sent, or queued to be sent when the connection returns (form-queue.js):
+        // either way the message is safe, so the draft is no longer needed
+        $form.on('hth:form:success hth:form:queued', function() {
+            clearTimeout(timer);
+            HTHPlugin.formDraft.clear($form);
+        });
+
+        // A regular (non-AJAX) submit leaves the page on purpose
+        $form.on('submit', function() {
+            if (!$form.is('.hth-ajax-form, .hth-admin-form')) {
+                setDirty($form[0], false);
+            }
+        });
+    };
+
+    /**
+     * Show the "restore your draft?" prompt at the top of the form
+     */
+    HTHPlugin.formDraft.prompt = function($form, draft) {
+        var savedAt = new Date(draft.savedAt);
+        var $prompt = $('<div class="hth-draft-prompt" role="region" aria-label="Saved draft"></div>');
+
+        $('<p></p>')
+            .text('You have an unsaved draft from ' + savedAt.toLocaleString() + '. Restore it?')
+            .appendTo($prompt);
+
+        $('<button type="button" class="hth-draft-restore button"></button>')
+            .text('Restore draft')
+            .on('click', function() {
+                HTHPlugin.formDraft.apply($form, draft.values);
+                setDirty($form[0], true);
+                $prompt.remove();
+                $form.find('input, select, textarea').not(SKIP_SELECTOR).first().trigger('focus');
+            })
+            .appendTo($prompt);
+
+        $('<button type="button" class="hth-draft-discard button-link"></button>')
+            .text('Discard')
+            .on('click', function() {
+                HTHPlugin.formDraft.clear($form);
+            })
+            .appendTo($prompt);
+
+        $form.prepend($prompt);
+    };
+
+    /**
+     * Initialize every opted-in form inside a context
+     */
+    HTHPlugin.formDraft.initAll = function(context) {
+        $(context || document).find('form[data-hth-autosave]').each(function() {
+            HTHPlugin.formDraft.init($(this));
+        });
+    };
+
+    // Warn before leaving with unsaved changes
+    $(window).on('beforeunload', function(e) {
+        if (dirtyForms.length) {
+            // Browsers show their own text; returnValue just has to be set
+            e.originalEvent.returnValue = '';
+            return '';
+        }
+    });
+
+})(jQuery);
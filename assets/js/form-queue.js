@@ -0,0 +1,302 @@
+/**
+ * HTH Sample Plugin - Offline Form Queue
+ *
+ * Keeps [hth_ajax_form] submissions that could not reach the server
+ * (offline, flaky mobile connection) in localStorage and sends them again
+ * once the browser is back online, backing off exponentially between
+ * attempts. Every submission carries an idempotency key, so a retry of a
+ * message that did arrive is recognised by the server and not processed twice.
+ *
+ * Events (triggered on document):
+ * - hth:queue:sent   [entry, response] The server answered a queued submission
+ * - hth:queue:failed [entry]           A submission was given up on
+ */
+
+(function($) {
+    'use strict';
+
+    // Plugin namespace
+    window.HTHPlugin = window.HTHPlugin || {};
+
+    var STORAGE_KEY = 'hth-form-queue';
+    var BASE_DELAY = 2000;        // First retry after 2 seconds
+    var MAX_DELAY = 5 * 60000;    // Never wait more than 5 minutes
+    var MAX_ATTEMPTS = 10;        // Then give up and report the failure
+
+    var timer = null;
+    var flushing = false;
+
+    /**
+     * Read and write the stored queue (storage may be unavailable)
+     */
+    function read() {
+        try {
+            return JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    function write(queue) {
+        try {
+            if (queue.length) {
+                window.localStorage.setItem(STORAGE_KEY, JSON.stringify(queue));
+            } else {
+                window.localStorage.removeItem(STORAGE_KEY);
+            }
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    function hasStorage() {
+        try {
+            window.localStorage.setItem(STORAGE_KEY + ':test', '1');
+            window.localStorage.removeItem(STORAGE_KEY + ':test');
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    /**
+     * Delay before the next attempt: 2s, 4s, 8s... capped at MAX_DELAY
+     */
+    function getDelay(attempts) {
+        return Math.min(BASE_DELAY * Math.pow(2, attempts), MAX_DELAY);
+    }
+
+    function isOnline() {
+        return navigator.onLine !== false;
+    }
+
+    HTHPlugin.formQueue = {};
+
+    /**
+     * Create a random idempotency key for a submission
+     */
+    HTHPlugin.formQueue.createKey = function() {
+        if (window.crypto && window.crypto.randomUUID) {
+            return window.crypto.randomUUID();
+        }
+
+        return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 12);
+    };
+
+    /**
+     * Can this form's data be stored? File inputs cannot be kept in
+     * localStorage, so forms with attached files are not queued.
+     */
+    HTHPlugin.formQueue.canQueue = function(formData) {
+        var storable = true;
+
+        if (formData && formData.forEach) {
+            formData.forEach(function(value) {
+                if (typeof value !== 'string') {
+                    storable = false;
+                }
+            });
+        }
+
+        return storable && hasStorage();
+    };
+
+    /**
+     * Was this request lost on the way (as opposed to answered with an error)?
+     */
+    HTHPlugin.formQueue.isNetworkFailure = function(xhr) {
+        return !isOnline() || !xhr || xhr.status === 0;
+    };
+
+    /**
+     * Add a submission to the queue
+     *
+     * @param {Object}   entry    id (idempotency key), url and formId
+     * @param {FormData} formData The submitted data (strings only)
+     * @return {boolean} Whether the submission could be stored
+     */
+    HTHPlugin.formQueue.add = function(entry, formData) {
+        var queue = read();
+        var fields = [];
+
+        formData.forEach(function(value, name) {
+            // The nonce is refreshed from the current page when sending
+            if (name !== 'nonce') {
+                fields.push([name, value]);
+            }
+        });
+
+        // Replace an existing copy of the same submission
+        queue = $.grep(queue, function(item) {
+            return item.id !== entry.id;
+        });
+
+        queue.push({
+            id: entry.id,
+            url: entry.url,
+            formId: entry.formId || '',
+            page: window.location.pathname,
+            fields: fields,
+            attempts: 0,
+            nextAttempt: Date.now() + BASE_DELAY
+        });
+
+        if (!write(queue)) {
+            return false;
+        }
+
+        HTHPlugin.formQueue.schedule();
+        return true;
+    };
+
+    /**
+     * All queued submissions
+     */
+    HTHPlugin.formQueue.getAll = function() {
+        return read();
+    };
+
+    /**
+     * Remove a submission from the queue
+     */
+    HTHPlugin.formQueue.remove = function(id) {
+        write($.grep(read(), function(item) {
+            return item.id !== id;
+        }));
+    };
+
+    /**
+     * Plan the next flush for the earliest due submission
+     */
+    HTHPlugin.formQueue.schedule = function() {
+        var queue = read();
+
+        clearTimeout(timer);
+        timer = null;
+
+        if (!queue.length || !isOnline()) {
+            return;
+        }
+
+        var next = Math.min.apply(Math, $.map(queue, function(item) {
+            return item.nextAttempt || 0;
+        }));
+
+        timer = setTimeout(HTHPlugin.formQueue.flush, Math.max(next - Date.now(), 0));
+    };
+
+    /**
+     * Send every submission that is due
+     *
+     * @param {boolean} force Ignore the backoff (used when coming back online)
+     */
+    HTHPlugin.formQueue.flush = function(force) {
+        if (flushing || !isOnline()) {
+            return;
+        }
+
+        var now = Date.now();
+        var due = $.grep(read(), function(item) {
+            return force === true || (item.nextAttempt || 0) <= now;
+        });
+
+        if (!due.length) {
+            HTHPlugin.formQueue.schedule();
+            return;
+        }
+
+        flushing = true;
+
+        var requests = $.map(due, function(entry) {
+            return HTHPlugin.formQueue.send(entry);
+        });
+
+        $.when.apply($, requests).always(function() {
+            flushing = false;
+            HTHPlugin.formQueue.schedule();
+        });
+    };
+
+    /**
+     * Send one queued submission
+     *
+     * Any JSON answer from the server ends the entry's life in the queue,
+     * success or not; only lost requests and server failures are retried.
+     */
+    HTHPlugin.formQueue.send = function(entry) {
+        var deferred = $.Deferred();
+        var formData = new FormData();
+        var settings = window.hthForm || {};
+
+        $.each(entry.fields, function(i, field) {
+            formData.append(field[0], field[1]);
+        });
+
+        if (settings.nonce) {
+            formData.append('nonce', settings.nonce);
+        }
+
+        $.ajax({
+            url: entry.url,
+            type: 'POST',
+            data: formData,
+            processData: false,
+            contentType: false
+        }).done(function(response) {
+            HTHPlugin.formQueue.remove(entry.id);
+            $(document).trigger('hth:queue:sent', [entry, response]);
+        }).fail(function(xhr) {
+            if (xhr.responseJSON && xhr.responseJSON.success === false) {
+                HTHPlugin.formQueue.remove(entry.id);
+                $(document).trigger('hth:queue:sent', [entry, xhr.responseJSON]);
+                return;
+            }
+
+            retryLater(entry);
+        }).always(function() {
+            deferred.resolve();
+        });
+
+        return deferred.promise();
+    };
+
+    /**
+     * Push an entry's next attempt back, or give up on it
+     */
+    function retryLater(entry) {
+        var queue = read();
+
+        $.each(queue, function(i, item) {
+            if (item.id === entry.id) {
+                item.attempts = (item.attempts || 0) + 1;
+                item.nextAttempt = Date.now() + getDelay(item.attempts);
+                entry = item;
+            }
+        });
+
+        if (entry.attempts >= MAX_ATTEMPTS) {
+            HTHPlugin.formQueue.remove(entry.id);
+            $(document).trigger('hth:queue:failed', [entry]);
+            return;
+        }
+
+        write(queue);
+    }
+
+    // Try anything left over from a previous visit
+    $(document).ready(function() {
+        HTHPlugin.formQueue.flush(true);
+    });
+
+    // Back online: send straight away instead of waiting out the backoff
+    $(window).on('online', function() {
+        HTHPlugin.formQueue.flush(true);
+    });
+
+    $(window).on('offline', function() {
+        clearTimeout(timer);
+        timer = null;
+    });
+
+})(jQuery);
@@ -0,0 +1,346 @@
+/**
+ * HTH Sample Plugin - Multi-step Form Wizard
+ *
+ * Splits a long .hth-ajax-form into steps, one per fieldset:
+ *
+ *   <form class="hth-ajax-form" data-hth-wizard>
+ *       <fieldset class="hth-step"><legend>About you</legend>...</fieldset>
+ *       <fieldset class="hth-step" data-hth-step-if="contact_method=phone">
+ *           <legend>Phone details</legend>...
+ *       </fieldset>
+ *       <fieldset class="hth-step"><legend>Your message</legend>...</fieldset>
+ *       <button type="submit" class="submit-button">Submit</button>
+ *   </form>
+ *
+ * Each step is validated before moving on. Steps with data-hth-step-if are
+ * skipped (and their fields left out of the submission) unless the
+ * condition matches an earlier answer. Conditions use the same syntax as
+ * data-hth-show-if (see conditions.js), e.g. "field=value", "field=a,b"
+ * or "contact_method=phone AND urgency>=3". A review step listing every
+ * answer is added before the submit button, unless the form has
+ * data-hth-wizard-review="false".
+ *
+ * Events (triggered on the form):
+ * - hth:wizard:step [index, $step] A step was shown
+ */
+
+(function($) {
+    'use strict';
+
+    // Plugin namespace
+    window.HTHPlugin = window.HTHPlugin || {};
+
+    var STEP_SELECTOR = 'fieldset.hth-step';
+
+    /**
+     * Read a field's value for conditions and the review (checkbox/radio aware)
+     */
+    function getValues($form, name) {
+        var $fields = $form.find('[name="' + name + '"], [name="' + name + '[]"]').not(':disabled');
+
+        return $fields.map(function() {
+            var type = (this.type || '').toLowerCase();
+
+            if ((type === 'checkbox' || type === 'radio') && !this.checked) {
+                return null;
+            }
+
+            return $(this).val();
+        }).get();
+    }
+
+    /**
+     * Find the visible label text for a field
+     */
+    function getLabel($field) {
+        var id = $field.attr('id');
+        var $label = id ? $('label[for="' + id + '"]') : $();
+
+        if (!$label.length) {
+            $label = $field.closest('label');
+        }
+
+        var text = $label.length ? $label.clone().children().remove().end().text() : '';
+        return $.trim(text).replace(/:$/, '') || $field.attr('name');
+    }
+
+    HTHPlugin.formWizard = {};
+
+    /**
+     * Does a condition from data-hth-step-if match the current answers?
+     */
+    HTHPlugin.formWizard.matches = function($form, condition) {
+        return HTHPlugin.conditions.evaluate($form, condition);
+    };
+
+    /**
+     * Is this form running as a wizard?
+     */
+    HTHPlugin.formWizard.isActive = function($form) {
+        return !!$form.data('hthWizard');
+    };
+
+    /**
+     * Set up wizard mode on a form
+     */
+    HTHPlugin.formWizard.init = function($form) {
+        var $steps = $form.find(STEP_SELECTOR);
+
+        if (HTHPlugin.formWizard.isActive($form) || $steps.length < 2) {
+            return;
+        }
+
+        var wizard = { current: 0, $steps: $steps };
+        $form.data('hthWizard', wizard).addClass('hth-wizard');
+
+        // Review step, filled in when it is shown
+        if ($form.attr('data-hth-wizard-review') !== 'false') {
+            var $review = $('<fieldset class="hth-step hth-step-review"></fieldset>')
+                .append('<legend>Review your answers</legend>')
+                .append('<dl class="hth-review-list"></dl>');
+
+            $steps.last().after($review);
+            wizard.$steps = $steps = $form.find(STEP_SELECTOR);
+        }
+
+        // Progress indicator
+        var $progress = $('<ol class="hth-wizard-progress"></ol>');
+        $steps.each(function(index) {
+            var title = $.trim($(this).children('legend').first().text()) || 'Step ' + (index + 1);
+            $('<li></li>').text(title).appendTo($progress);
+        });
+
+        wizard.$progress = $progress;
+        wizard.$status = $('<p class="hth-wizard-status" aria-live="polite"></p>');
+        $form.prepend($progress, wizard.$status);
+
+        // Back / Next buttons next to the submit button
+        var $submit = $form.find('.submit-button, [type="submit"]').first();
+        wizard.$submit = $submit;
+        wizard.$back = $('<button type="button" class="hth-wizard-back">Back</button>');
+        wizard.$next = $('<button type="button" class="hth-wizard-next">Next</button>');
+
+        var $nav = $('<div class="hth-wizard-nav"></div>').append(wizard.$back, wizard.$next);
+        if ($submit.length) {
+            $submit.before($nav);
+            $nav.append($submit);
+        } else {
+            $form.append($nav);
+        }
+
+        wizard.$back.on('click', function() {
+            HTHPlugin.formWizard.back($form);
+        });
+
+        wizard.$next.on('click', function() {
+            HTHPlugin.formWizard.next($form);
+        });
+
+        // Jump to a step from the review list
+        $form.on('click', '.hth-review-edit', function() {
+            HTHPlugin.formWizard.goTo($form, parseInt($(this).attr('data-step'), 10));
+        });
+
+        // Answers can switch conditional steps on or off
+        $form.on('change', 'input, select, textarea', function() {
+            HTHPlugin.formWizard.updateConditions($form);
+        });
+
+        // Start again after a successful submission
+        $form.on('hth:form:success', function() {
+            HTHPlugin.formWizard.goTo($form, 0, { focus: false });
+        });
+
+        HTHPlugin.formWizard.updateConditions($form);
+        HTHPlugin.formWizard.goTo($form, 0, { focus: false });
+    };
+
+    /**
+     * Enable or disable conditional steps
+     *
+     * Skipped steps are disabled fieldsets, so their fields are neither
+     * validated nor included in the submitted FormData.
+     */
+    HTHPlugin.formWizard.updateConditions = function($form) {
+        var wizard = $form.data('hthWizard');
+
+        wizard.$steps.each(function() {
+            var $step = $(this);
+            var condition = $step.attr('data-hth-step-if');
+
+            if (condition) {
+                $step.prop('disabled', !HTHPlugin.formWizard.matches($form, condition));
+            }
+        });
+
+        wizard.$progress.children().each(function(index) {
+            $(this).toggleClass('is-skipped', wizard.$steps.eq(index).prop('disabled'));
+        });
+    };
+
+    /**
+     * Index of the next step that is not skipped, in a direction (+1 / -1)
+     */
+    HTHPlugin.formWizard.findStep = function($form, from, direction) {
+        var wizard = $form.data('hthWizard');
+        var index = from + direction;
+
+        while (index >= 0 && index < wizard.$steps.length) {
+            if (!wizard.$steps.eq(index).prop('disabled')) {
+                return index;
+            }
+            index += direction;
+        }
+
+        return -1;
+    };
+
+    HTHPlugin.formWizard.isLastStep = function($form) {
+        var wizard = $form.data('hthWizard');
+        return HTHPlugin.formWizard.findStep($form, wizard.current, 1) === -1;
+    };
+
+    /**
+     * Show a step
+     *
+     * @param {Object} options focus: move focus into the step (default true)
+     */
+    HTHPlugin.formWizard.goTo = function($form, index, options) {
+        var wizard = $form.data('hthWizard');
+        var $step = wizard.$steps.eq(index);
+        var position = 0;
+        var total = 0;
+
+        options = $.extend({ focus: true }, options);
+
+        if (!$step.length) {
+            return;
+        }
+
+        wizard.current = index;
+
+        wizard.$steps.each(function(i) {
+            $(this).prop('hidden', i !== index);
+        });
+
+        if ($step.hasClass('hth-step-review')) {
+            HTHPlugin.formWizard.renderReview($form);
+        }
+
+        // Progress: count only the steps that apply
+        wizard.$progress.children().each(function(i) {
+            var active = i === index;
+
+            if (!wizard.$steps.eq(i).prop('disabled')) {
+                total++;
+                if (i <= index) {
+                    position++;
+                }
+            }
+
+            $(this)
+                .toggleClass('is-current', active)
+                .toggleClass('is-complete', i < index)
+                .attr('aria-current', active ? 'step' : null);
+        });
+
+        wizard.$status.text('Step ' + position + ' of ' + total);
+
+        var last = HTHPlugin.formWizard.isLastStep($form);
+        wizard.$back.prop('hidden', HTHPlugin.formWizard.findStep($form, index, -1) === -1);
+        wizard.$next.prop('hidden', last);
+        wizard.$submit.prop('hidden', !last);
+
+        if (options.focus) {
+            var $focus = $step.find('input, select, textarea').not(':disabled, [type="hidden"]').first();
+            ($focus.length ? $focus : $step.find('.hth-review-edit').first()).trigger('focus');
+        }
+
+        $form.trigger('hth:wizard:step', [index, $step]);
+    };
+
+    /**
+     * Validate the current step, then move to the next one that applies
+     */
+    HTHPlugin.formWizard.next = function($form) {
+        var wizard = $form.data('hthWizard');
+
+        HTHPlugin.validation.validateForm(wizard.$steps.eq(wizard.current)).done(function(result) {
+            if (!result.valid) {
+                result.errors[0].$field.trigger('focus');
+                return;
+            }
+
+            var next = HTHPlugin.formWizard.findStep($form, wizard.current, 1);
+
+            if (next !== -1) {
+                HTHPlugin.formWizard.goTo($form, next);
+            }
+        });
+    };
+
+    HTHPlugin.formWizard.back = function($form) {
+        var wizard = $form.data('hthWizard');
+        var previous = HTHPlugin.formWizard.findStep($form, wizard.current, -1);
+
+        if (previous !== -1) {
+            HTHPlugin.formWizard.goTo($form, previous);
+        }
+    };
+
+    /**
+     * Open the step that contains a field (e.g. one the server rejected)
+     */
+    HTHPlugin.formWizard.showStepFor = function($form, $field) {
+        var wizard = $form.data('hthWizard');
+        var index = wizard ? wizard.$steps.index($field.closest(STEP_SELECTOR)) : -1;
+
+        if (index !== -1 && index !== wizard.current) {
+            HTHPlugin.formWizard.goTo($form, index, { focus: false });
+        }
+    };
+
+    /**
+     * Fill the review step with every answer from the steps that apply
+     */
+    HTHPlugin.formWizard.renderReview = function($form) {
+        var wizard = $form.data('hthWizard');
+        var $list = wizard.$steps.filter('.hth-step-review').find('.hth-review-list').empty();
+
+        wizard.$steps.not('.hth-step-review').each(function(index) {
+            var $step = $(this);
+            var seen = {};
+
+            if ($step.prop('disabled')) {
+                return;
+            }
+
+            // Fields hidden by data-hth-show-if are disabled and not submitted
+            $step.find('input, select, textarea').not(':disabled, [type="hidden"], [type="submit"], [type="button"], [type="file"]').each(function() {
+                var $field = $(this);
+                var name = $field.attr('name');
+
+                if (!name || seen[name]) {
+                    return;
+                }
+                seen[name] = true;
+
+                var values = $field.is('select')
+                    ? $field.find('option:selected').map(function() { return $(this).text(); }).get()
+                    : getValues($form, name.replace(/\[\]$/, ''));
+
+                $('<dt></dt>').text(getLabel($field)).appendTo($list);
+                $('<dd></dd>')
+                    .text(values.join(', ') || '—')
+                    .append(
+                        ' ',
+                        $('<button type="button" class="hth-review-edit"></button>')
+                            .text('Edit')
+                            .attr({ 'data-step': index, 'aria-label': 'Edit ' + getLabel($field) })
+                    )
+                    .appendTo($list);
+            });
+        });
+    };
+
+})(jQuery);
@@ -0,0 +1,462 @@
+/**
+ * HTH Sample Plugin - Genre Archives
+ *
+ * Discovery tools for genre archives, using the hthGenre data localized by
+ * enqueue-scripts.php:
+ *
+ * - The books are listed from /hth/v1/books?genre={slug}; more are added by a
+ *   "Load more" button and, for the first few pages, automatically as the
+ *   reader nears the end of the list
+ * - The address bar follows the page being read (/genre/fantasy/page/3/),
+ *   so a copied link opens at the same place; "Show earlier books" then
+ *   fills in the pages before it
+ * - A navigator links to the parent genre, sub-genres and sibling genres,
+ *   built from /hth/v1/genres
+ * - A grid/list toggle, remembered per user in localStorage
+ *
+ * The list goes into .hth-books-in-genre when the theme provides it.
+ * Otherwise it is added at the top of the main content and the theme's own
+ * book list and pagination are hidden, so they still work without JavaScript.
+ * When the template already shows a [hth_book_catalog] (ajax.js), that
+ * catalog is the page's book list and only the navigator is added.
+ */
+
+(function($) {
+    'use strict';
+
+    // Plugin namespace
+    window.HTHPlugin = window.HTHPlugin || {};
+
+    var VIEWS = {
+        grid: 'Grid',
+        list: 'List'
+    };
+
+    // Pages loaded by scrolling before the reader has to press "Load more",
+    // so the footer can still be reached
+    var AUTO_PAGES = 3;
+
+    HTHPlugin.genre = {
+        config: null,
+        first: 1,       // First loaded page
+        last: 0,        // Last loaded page
+        total: 0,       // Number of books in the genre
+        totalPages: 1,
+        autoLoaded: 0,
+        nearEnd: false,
+        request: null,
+        $container: null,
+        $list: null
+    };
+
+    /**
+     * Set up the genre archive
+     *
+     * @param {Object} config The localized hthGenre data
+     */
+    HTHPlugin.genre.init = function(config) {
+        var genre = HTHPlugin.genre;
+
+        genre.config = $.extend({
+            id: 0,
+            slug: '',
+            name: '',
+            page: 1,
+            perPage: 10,
+            pageUrl: '',
+            firstUrl: '',
+            userId: 0
+        }, config);
+
+        genre.config.id = parseInt(genre.config.id, 10) || 0;
+        genre.config.perPage = parseInt(genre.config.perPage, 10) || 10;
+
+        if (!genre.config.slug) {
+            return;
+        }
+
+        // One book list per page: use the template's catalog if it has one
+        var $catalog = $('.hth-book-catalog').first();
+
+        if ($catalog.length) {
+            genre.$container = $catalog;
+            genre.initNavigator();
+            return;
+        }
+
+        genre.first = Math.max(1, parseInt(genre.config.page, 10) || 1);
+        genre.last = genre.first - 1;
+
+        genre.build();
+        genre.initNavigator();
+        genre.setView(genre.getSavedView());
+
+        genre.load('next');
+    };
+
+    /**
+     * Add the view toggle, list, status and buttons
+     */
+    HTHPlugin.genre.build = function() {
+        var genre = HTHPlugin.genre;
+        var $container = $('.hth-books-in-genre').first();
+
+        if (!$container.length) {
+            var $main = $('main, #main, .site-main').first();
+
+            $container = $('<section class="hth-books-in-genre"></section>');
+
+            if ($main.length) {
+                $main.find('.type-book, .pagination, .posts-navigation, .navigation.paging-navigation')
+                    .addClass('hth-genre-replaced')
+                    .prop('hidden', true);
+
+                var $header = $main.find('.page-header, .archive-header, .hth-genre-description').last();
+
+                if ($header.length) {
+                    $container.insertAfter($header);
+                } else {
+                    $container.prependTo($main);
+                }
+            } else {
+                $container.appendTo('body');
+            }
+        }
+
+        var $views = $('<div class="hth-genre-views" role="group" aria-label="Show books as"></div>');
+
+        $.each(VIEWS, function(view, label) {
+            $('<button type="button" class="hth-genre-view" aria-pressed="false"></button>')
+                .attr('data-view', view)
+                .text(label)
+                .appendTo($views);
+        });
+
+        genre.$container = $container.empty().append(
+            $views,
+            '<button type="button" class="hth-genre-previous" hidden>Show earlier books</button>',
+            '<ul class="hth-genre-books"></ul>',
+            '<div class="hth-genre-status" role="status" aria-live="polite"></div>',
+            '<button type="button" class="hth-genre-more" hidden>Load more books</button>',
+            '<div class="hth-genre-sentinel" aria-hidden="true"></div>'
+        );
+        genre.$list = $container.find('.hth-genre-books');
+
+        $container.on('click', '.hth-genre-view', function() {
+            genre.setView($(this).attr('data-view'));
+            genre.saveView($(this).attr('data-view'));
+        });
+
+        $container.on('click', '.hth-genre-more', function() {
+            genre.load('next', true);
+        });
+
+        $container.on('click', '.hth-genre-previous', function() {
+            genre.load('previous', true);
+        });
+
+        // Load the next page while the end of the list is in (or near) view
+        if (window.IntersectionObserver) {
+            new IntersectionObserver(function(entries) {
+                genre.nearEnd = entries[0].isIntersecting;
+                genre.autoLoad();
+            }, { rootMargin: '0px 0px 400px 0px' }).observe($container.find('.hth-genre-sentinel')[0]);
+        }
+
+        $(window).on('scroll.hthGenre', HTHPlugin.utils.debounce(genre.updateUrl, 150));
+    };
+
+    /**
+     * Load the next page if the end of the list is near and the reader has
+     * not used up the automatic pages
+     */
+    HTHPlugin.genre.autoLoad = function() {
+        var genre = HTHPlugin.genre;
+
+        if (genre.nearEnd && !genre.request && genre.autoLoaded < AUTO_PAGES && genre.last < genre.totalPages) {
+            genre.autoLoaded++;
+            genre.load('next');
+        }
+    };
+
+    /**
+     * Load the page after the last one shown, or before the first one
+     *
+     * @param {string}  direction 'next' or 'previous'
+     * @param {boolean} moveFocus Focus the first new book (after a button press)
+     */
+    HTHPlugin.genre.load = function(direction, moveFocus) {
+        var genre = HTHPlugin.genre;
+        var page = direction === 'previous' ? genre.first - 1 : genre.last + 1;
+
+        if (genre.request || page < 1) {
+            return;
+        }
+
+        genre.$container.addClass('hth-loading').attr('aria-busy', 'true');
+        genre.$container.find('.hth-genre-more, .hth-genre-previous').prop('disabled', true);
+        genre.$container.find('.hth-genre-status').text('Loading books...');
+
+        genre.request = HTHPlugin.api.books.list({
+            genre: genre.config.slug,
+            per_page: genre.config.perPage,
+            page: page
+        });
+
+        genre.request
+            .done(function(result) {
+                var $items = $($.map(result.data || [], function(book) {
+                    return genre.renderBook(book)[0];
+                }));
+
+                $items.first().attr('data-page', page);
+
+                genre.total = result.total || 0;
+                genre.totalPages = result.totalPages || 1;
+
+                if (direction === 'previous') {
+                    // Keep the books on screen where they are
+                    var before = document.documentElement.scrollHeight;
+
+                    genre.$list.prepend($items);
+                    window.scrollBy(0, document.documentElement.scrollHeight - before);
+                    genre.first = page;
+                } else {
+                    genre.$list.append($items);
+                    genre.last = page;
+                }
+
+                if (moveFocus) {
+                    $items.first().find('a').first().trigger('focus');
+                }
+
+                genre.updateControls();
+
+                // A short page can leave the end of the list in view
+                setTimeout(genre.autoLoad, 0);
+            })
+            .fail(function(error) {
+                // The endpoint answers an empty page with a 404 no_books error
+                if (error.code === 'no_books') {
+                    genre.totalPages = Math.min(genre.totalPages, page - 1);
+                    genre.last = Math.min(genre.last, genre.totalPages);
+                    genre.updateControls();
+                    return;
+                }
+
+                genre.$container.find('.hth-genre-status').text(error.message || 'Books could not be loaded.');
+                genre.$container.find('.hth-genre-more, .hth-genre-previous').prop('disabled', false);
+            })
+            .always(function() {
+                genre.request = null;
+                genre.$container.removeClass('hth-loading').removeAttr('aria-busy');
+            });
+    };
+
+    /**
+     * Show or hide the buttons and describe what is shown
+     */
+    HTHPlugin.genre.updateControls = function() {
+        var genre = HTHPlugin.genre;
+        var shown = genre.$list.children().length;
+        var $status = genre.$container.find('.hth-genre-status');
+
+        genre.$container.find('.hth-genre-previous').prop({ hidden: genre.first <= 1, disabled: false });
+        genre.$container.find('.hth-genre-more').prop({ hidden: genre.last >= genre.totalPages, disabled: false });
+
+        if (!shown) {
+            $status.text('No books in ' + genre.config.name + ' yet.');
+        } else if (genre.first > 1 || genre.last < genre.totalPages) {
+            $status.text('Showing ' + shown + ' of ' + genre.total + ' books.');
+        } else {
+            $status.text(genre.total === 1 ? '1 book.' : 'All ' + genre.total + ' books.');
+        }
+    };
+
+    /**
+     * Build the list item for a book from /hth/v1/books
+     */
+    HTHPlugin.genre.renderBook = function(book) {
+        var $item = $('<li class="hth-book-card"></li>');
+        var $content = $('<div class="hth-book-content"></div>');
+
+        if (book.featured_image) {
+            $('<div class="hth-book-thumbnail"></div>')
+                .append($('<img alt="" loading="lazy">').attr('src', book.featured_image))
+                .appendTo($item);
+        }
+
+        $('<h3 class="hth-book-title"></h3>')
+            .append($('<a></a>').attr('href', book.permalink).text(book.title))
+            .appendTo($content);
+
+        if (book.excerpt) {
+            $('<p class="hth-book-excerpt"></p>').text(book.excerpt).appendTo($content);
+        }
+
+        if (book.author) {
+            $('<div class="hth-book-meta-small"></div>').text(book.author).appendTo($content);
+        }
+
+        return $item.append($content);
+    };
+
+    /**
+     * Point the address bar at the page the reader is looking at
+     *
+     * replaceState keeps the Back button for leaving the archive, rather
+     * than stepping back through every page that was scrolled past.
+     */
+    HTHPlugin.genre.updateUrl = function() {
+        var genre = HTHPlugin.genre;
+
+        if (!window.history.replaceState || !genre.$list) {
+            return;
+        }
+
+        var page = genre.first;
+        var middle = window.innerHeight / 2;
+
+        genre.$list.children('[data-page]').each(function() {
+            if (this.getBoundingClientRect().top > middle) {
+                return false;
+            }
+
+            page = parseInt($(this).attr('data-page'), 10);
+        });
+
+        var url = page > 1 ? genre.config.pageUrl.replace('%#%', page) : genre.config.firstUrl;
+
+        if (url && url !== window.location.href) {
+            window.history.replaceState({ hthGenrePage: page }, '', url);
+        }
+    };
+
+    /**
+     * Link to the parent genre, sub-genres and sibling genres
+     */
+    HTHPlugin.genre.initNavigator = function() {
+        var genre = HTHPlugin.genre;
+
+        HTHPlugin.api.genres.list({ hide_empty: true }).done(function(result) {
+            var genres = result.data || [];
+            var current = null;
+
+            $.each(genres, function(i, item) {
+                if (parseInt(item.id, 10) === genre.config.id) {
+                    current = item;
+                }
+            });
+
+            if (!current) {
+                return;
+            }
+
+            var parentId = parseInt(current.parent, 10) || 0;
+            var parent = null;
+            var children = [];
+            var siblings = [];
+
+            $.each(genres, function(i, item) {
+                var itemParent = parseInt(item.parent, 10) || 0;
+
+                if (parseInt(item.id, 10) === parentId) {
+                    parent = item;
+                } else if (itemParent === genre.config.id) {
+                    children.push(item);
+                } else if (itemParent === parentId && item !== current) {
+                    siblings.push(item);
+                }
+            });
+
+            if (!parent && !children.length && !siblings.length) {
+                return;
+            }
+
+            var $nav = $('<nav class="hth-genre-nav" aria-label="Related genres"></nav>');
+
+            if (parent) {
+                $('<p class="hth-genre-parent"></p>')
+                    .append($('<a></a>').attr('href', parent.link).text('All of ' + parent.name))
+                    .appendTo($nav);
+            }
+
+            $nav.append(
+                genreList('Sub-genres', children),
+                genreList(parent ? 'More in ' + parent.name : 'Other genres', siblings)
+            );
+
+            genre.$container.before($nav);
+        });
+    };
+
+    /**
+     * A titled list of genre links, or nothing when the list is empty
+     */
+    function genreList(title, genres) {
+        if (!genres.length) {
+            return null;
+        }
+
+        var $list = $('<ul class="hth-genre-list"></ul>');
+
+        $.each(genres, function(i, item) {
+            $('<li></li>')
+                .append($('<a class="hth-genre-tag"></a>').attr('href', item.link).text(item.name + ' (' + item.count + ')'))
+                .appendTo($list);
+        });
+
+        return $('<div class="hth-genre-group"></div>')
+            .append($('<h2 class="hth-genre-group-title"></h2>').text(title), $list);
+    }
+
+    /**
+     * Switch between the grid and list views
+     */
+    HTHPlugin.genre.setView = function(view) {
+        var genre = HTHPlugin.genre;
+
+        if (!VIEWS[view]) {
+            view = 'grid';
+        }
+
+        $.each(VIEWS, function(key) {
+            genre.$container.toggleClass('is-' + key, key === view);
+        });
+
+        genre.$container.find('.hth-genre-view').each(function() {
+            $(this).attr('aria-pressed', $(this).attr('data-view') === view ? 'true' : 'false');
+        });
+    };
+
+    /**
+     * localStorage key for the view, per user (0 for visitors)
+     */
+    function viewKey() {
+        return 'hth-genre-view:' + (parseInt(HTHPlugin.genre.config.userId, 10) || 0);
+    }
+
+    HTHPlugin.genre.getSavedView = function() {
+        try {
+            return window.localStorage.getItem(viewKey());
+        } catch (e) {
+            return null;
+        }
+    };
+
+    HTHPlugin.genre.saveView = function(view) {
+        try {
+            window.localStorage.setItem(viewKey(), view);
+        } catch (e) {
+            // Private browsing or storage disabled: just don't persist
+        }
+    };
+
+    // Initialize when document is ready
+    $(document).ready(function() {
+        if (window.hthGenre) {
+            HTHPlugin.genre.init(window.hthGenre);
+        }
+    });
+
+})(jQuery);
@@ -0,0 +1,315 @@
+/**
+ * HTH Sample Plugin - Media Fields
+ *
+ * Single attachment and gallery fields that use the WordPress media frame,
+ * rendered by hth_render_media_field() in PHP:
+ *
+ *   <div class="hth-media-field" data-hth-media="gallery" data-hth-media-type="image">
+ *       <input type="hidden" class="hth-media-ids" name="book_gallery" value="12,7,31">
+ *       <ul class="hth-media-items"> <li class="hth-media-item" data-id="12"> ... </li> </ul>
+ *       <button type="button" class="button hth-media-select">Add images</button>
+ *       <button type="button" class="button-link hth-media-clear">Remove all</button>
+ *   </div>
+ *
+ * data-hth-media is "single" (one attachment) or "gallery" (an ordered list
+ * of attachments). The hidden input holds the IDs, comma separated, in the
+ * order of the thumbnails. Reopening the media frame selects the current
+ * items, so a gallery is edited rather than started over.
+ *
+ * Gallery thumbnails are reordered by dragging (jQuery UI Sortable) or by
+ * focusing one and using the arrow keys; Delete removes the focused item.
+ */
+
+(function($) {
+    'use strict';
+
+    // Admin namespace
+    window.HTHAdmin = window.HTHAdmin || {};
+
+    HTHAdmin.mediaField = {};
+
+    /**
+     * Pick a preview for an attachment
+     *
+     * Images use the smallest size that exists (a size is missing when the
+     * upload was smaller than it, or for SVGs). Other files use their poster
+     * image when they have one (video, audio) or the file type icon.
+     *
+     * @param {Object} attachment Attachment JSON from the media library
+     * @return {Object} { url, isImage, label }
+     */
+    HTHAdmin.mediaField.preview = function(attachment) {
+        var sizes = attachment.sizes || {};
+        var size = sizes.thumbnail || sizes.medium || sizes.full;
+        var label = attachment.title || attachment.filename || ('#' + attachment.id);
+
+        if (attachment.type === 'image') {
+            return { url: size ? size.url : attachment.url, isImage: true, label: label };
+        }
+
+        if (attachment.image && attachment.image.src && attachment.image.src !== attachment.icon) {
+            return { url: attachment.image.src, isImage: true, label: label };
+        }
+
+        return { url: attachment.icon || '', isImage: false, label: label };
+    };
+
+    /**
+     * Open a media frame with the given attachments already selected
+     *
+     * @param {Object} options title, button, multiple, type (library type, '' for any),
+     *                         ids (selected IDs), select (called with the attachments' JSON)
+     * @return {Object|null} The frame, or null when the media scripts are not loaded
+     */
+    HTHAdmin.mediaField.open = function(options) {
+        if (!window.wp || !wp.media) {
+            return null;
+        }
+
+        var frame = wp.media({
+            title: options.title,
+            button: { text: options.button },
+            multiple: options.multiple ? 'add' : false,
+            library: options.type ? { type: options.type } : {}
+        });
+
+        frame.on('open', function() {
+            var selection = frame.state().get('selection');
+
+            selection.reset($.map(options.ids || [], function(id) {
+                if (!id) {
+                    return null;
+                }
+
+                var attachment = wp.media.attachment(id);
+
+                attachment.fetch();
+                return attachment;
+            }));
+        });
+
+        frame.on('select', function() {
+            options.select(frame.state().get('selection').map(function(attachment) {
+                return attachment.toJSON();
+            }));
+        });
+
+        frame.open();
+
+        return frame;
+    };
+
+    /**
+     * IDs stored in a field, in order
+     */
+    HTHAdmin.mediaField.getIds = function($field) {
+        return $.map(String($field.find('.hth-media-ids').val() || '').split(','), function(id) {
+            id = parseInt(id, 10);
+            return id > 0 ? id : null;
+        });
+    };
+
+    /**
+     * Replace a field's items with the given attachments
+     */
+    HTHAdmin.mediaField.setItems = function($field, attachments) {
+        var $items = $field.find('.hth-media-items').empty();
+
+        if (!isGallery($field)) {
+            attachments = attachments.slice(0, 1);
+        }
+
+        $.each(attachments, function(i, attachment) {
+            $items.append(buildItem(attachment));
+        });
+
+        update($field);
+    };
+
+    /**
+     * Set up every media field inside context (default: the document)
+     */
+    HTHAdmin.mediaField.init = function(context) {
+        $(context || document).find('.hth-media-field').each(function() {
+            var $field = $(this);
+
+            if ($field.data('hthMediaReady')) {
+                return;
+            }
+
+            $field.data('hthMediaReady', true);
+
+            if (!$field.find('.hth-media-status').length) {
+                $field.append('<span class="hth-media-status screen-reader-text" aria-live="polite"></span>');
+            }
+
+            if (isGallery($field) && $.fn.sortable) {
+                $field.find('.hth-media-items').sortable({
+                    items: '> .hth-media-item',
+                    cancel: 'button',
+                    placeholder: 'hth-media-placeholder',
+                    forcePlaceholderSize: true,
+                    update: function() {
+                        update($field);
+                    }
+                });
+            }
+
+            update($field);
+        });
+    };
+
+    function isGallery($field) {
+        return $field.attr('data-hth-media') === 'gallery';
+    }
+
+    /**
+     * Build a thumbnail with its remove button
+     */
+    function buildItem(attachment) {
+        var preview = HTHAdmin.mediaField.preview(attachment);
+        var $item = $('<li class="hth-media-item" tabindex="0"></li>')
+            .attr({ 'data-id': attachment.id, 'aria-label': preview.label })
+            .toggleClass('is-file', !preview.isImage);
+
+        if (preview.url) {
+            $('<img alt="">').attr('src', preview.url).appendTo($item);
+        }
+
+        if (!preview.isImage) {
+            $('<span class="hth-media-filename"></span>').text(attachment.filename || preview.label).appendTo($item);
+        }
+
+        $('<button type="button" class="hth-media-remove"></button>')
+            .attr('aria-label', 'Remove ' + preview.label)
+            .append('<span class="dashicons dashicons-no-alt" aria-hidden="true"></span>')
+            .appendTo($item);
+
+        return $item;
+    }
+
+    /**
+     * Write the IDs in their on-screen order and update the buttons
+     */
+    function update($field) {
+        var $items = $field.find('.hth-media-item');
+        var ids = $items.map(function() {
+            return $(this).attr('data-id');
+        }).get();
+        var $input = $field.find('.hth-media-ids');
+
+        if ($input.val() !== ids.join(',')) {
+            $input.val(ids.join(',')).trigger('change');
+        }
+
+        $field.toggleClass('has-items', ids.length > 0);
+        $field.find('.hth-media-clear').prop('hidden', !ids.length);
+
+        if (!isGallery($field)) {
+            var $select = $field.find('.hth-media-select');
+
+            $select.text(ids.length ? $select.attr('data-hth-change-label') || 'Change' : $select.attr('data-hth-label') || $select.text());
+        }
+    }
+
+    function announce($field, message) {
+        $field.find('.hth-media-status').text(message);
+    }
+
+    // Controls are handled once for the whole document
+    $(document).on('click', '.hth-media-field .hth-media-select', function(e) {
+        e.preventDefault();
+
+        var $field = $(this).closest('.hth-media-field');
+        var $button = $(this);
+
+        if (!$button.attr('data-hth-label')) {
+            $button.attr('data-hth-label', $button.text());
+        }
+
+        HTHAdmin.mediaField.open({
+            title: $field.attr('data-hth-title') || $button.attr('data-hth-label'),
+            button: $field.attr('data-hth-button') || 'Use selected',
+            multiple: isGallery($field),
+            type: $field.attr('data-hth-media-type') !== undefined ? $field.attr('data-hth-media-type') : 'image',
+            ids: HTHAdmin.mediaField.getIds($field),
+            select: function(attachments) {
+                HTHAdmin.mediaField.setItems($field, attachments);
+                announce($field, attachments.length + ' selected.');
+            }
+        });
+    });
+
+    $(document).on('click', '.hth-media-field .hth-media-remove', function(e) {
+        e.preventDefault();
+        removeItem($(this).closest('.hth-media-item'));
+    });
+
+    $(document).on('click', '.hth-media-field .hth-media-clear', function(e) {
+        e.preventDefault();
+
+        var $field = $(this).closest('.hth-media-field');
+
+        $field.find('.hth-media-item').remove();
+        update($field);
+        announce($field, 'All items removed.');
+        $field.find('.hth-media-select').trigger('focus');
+    });
+
+    $(document).on('keydown', '.hth-media-field .hth-media-item', function(e) {
+        if (e.target !== this) {
+            return;
+        }
+
+        var $item = $(this);
+        var $field = $item.closest('.hth-media-field');
+
+        // Delete or Backspace
+        if (e.keyCode === 46 || e.keyCode === 8) {
+            e.preventDefault();
+            removeItem($item);
+            return;
+        }
+
+        if (!isGallery($field)) {
+            return;
+        }
+
+        // Left/Up and Right/Down move the item
+        var offset = { 37: -1, 38: -1, 39: 1, 40: 1 }[e.keyCode];
+        var $items = $field.find('.hth-media-item');
+        var to = $items.index($item) + (offset || 0);
+
+        if (!offset || to < 0 || to >= $items.length) {
+            return;
+        }
+
+        e.preventDefault();
+
+        if (offset < 0) {
+            $item.insertBefore($items.eq(to));
+        } else {
+            $item.insertAfter($items.eq(to));
+        }
+
+        $item.trigger('focus');
+        update($field);
+        announce($field, $item.attr('aria-label') + ' moved to position ' + (to + 1) + ' of ' + $items.length + '.');
+    });
+
+    function removeItem($item) {
+        var $field = $item.closest('.hth-media-field');
+        var $next = $item.next('.hth-media-item');
+
+        if (!$next.length) {
+            $next = $item.prev('.hth-media-item');
+        }
+
+        announce($field, $item.attr('aria-label') + ' removed.');
+        $item.remove();
+        update($field);
+
+        ($next.length ? $next : $field.find('.hth-media-select')).trigger('focus');
+    }
+
+})(jQuery);
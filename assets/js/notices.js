@@ -0,0 +1,298 @@
+/**
+ * HTH Sample Plugin - Notices
+ *
+ * Shared notifications for the front end (HTHPlugin.showMessage) and the
+ * admin (HTHAdmin.showNotice):
+ *
+ *   HTHPlugin.notices.show('Item deleted.', {
+ *       type: 'success',                       // info, success, warning or error
+ *       duration: 10000,                       // ms; 0 keeps it until dismissed
+ *       actions: [{ label: 'Undo', callback: undoDelete }]
+ *   });
+ *
+ * Messages are inserted as text unless html: true is passed for trusted
+ * markup. Notices live in a region with aria-live, errors use role="alert".
+ * Timed notices pause while hovered or focused. Showing a message that is
+ * already on screen refreshes it (with a counter) instead of stacking a
+ * copy, unless it has actions; a region shows at most maxVisible notices;
+ * the rest wait.
+ */
+
+(function($) {
+    'use strict';
+
+    // Plugin namespace
+    window.HTHPlugin = window.HTHPlugin || {};
+
+    /**
+     * Default display time per type; errors stay until dismissed
+     */
+    var DURATIONS = {
+        info: 5000,
+        success: 5000,
+        warning: 8000,
+        error: 0
+    };
+
+    var nextId = 0;
+
+    function prefersReducedMotion() {
+        return window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+
+    HTHPlugin.notices = {};
+
+    /**
+     * Find or create a region that holds notices
+     *
+     * @param {string|jQuery} anchor Element the region is placed next to (default: body)
+     * @param {Object} options insert: 'prepend', 'append' or 'after' (default 'prepend'),
+     *                         maxVisible: notices shown at once (default 3),
+     *                         className: extra class for the region,
+     *                         noticeClass: extra class per notice, "{type}" is replaced
+     * @return {jQuery} The region
+     */
+    HTHPlugin.notices.region = function(anchor, options) {
+        var $anchor = $(anchor || 'body').first();
+        var key = 'hthNoticeRegion';
+        var $region = $anchor.data(key);
+
+        if ($region && $.contains(document, $region[0])) {
+            return $region;
+        }
+
+        options = $.extend({ insert: 'prepend', maxVisible: 3, className: '', noticeClass: '' }, options);
+
+        $region = $('<div class="hth-notices" aria-live="polite" aria-relevant="additions"></div>')
+            .addClass(options.className)
+            .data('hthNotices', {
+                maxVisible: options.maxVisible,
+                noticeClass: options.noticeClass,
+                visible: [],
+                queue: [],
+                ready: false
+            });
+
+        if (options.insert === 'after') {
+            $anchor.after($region);
+        } else if (options.insert === 'append') {
+            $anchor.append($region);
+        } else {
+            $anchor.prepend($region);
+        }
+
+        // Screen readers only announce changes to a live region that was
+        // already in the page, so wait a moment before filling a new one
+        setTimeout(function() {
+            var state = $region.data('hthNotices');
+
+            state.ready = true;
+            fill($region);
+        }, 100);
+
+        $anchor.data(key, $region);
+
+        return $region;
+    };
+
+    /**
+     * Show a notice
+     *
+     * @param {string} message Text (or HTML with options.html)
+     * @param {Object} options type, duration, actions [{ label, callback, dismiss }],
+     *                         html, dedupe (default true; off for notices with actions), region
+     * @return {Object} The notice, with dismiss()
+     */
+    HTHPlugin.notices.show = function(message, options) {
+        options = $.extend({ type: 'info', actions: [], html: false, dedupe: true }, options);
+
+        var $region = options.region || HTHPlugin.notices.region('body', { className: 'hth-notices-page' });
+        var state = $region.data('hthNotices');
+        var key = options.type + '|' + message;
+
+        // The same message again: refresh the existing notice. Notices with
+        // actions are never merged, or the second Undo would be lost
+        if (options.dedupe && !options.actions.length) {
+            var existing = $.grep(state.visible.concat(state.queue), function(notice) {
+                return notice.key === key;
+            })[0];
+
+            if (existing) {
+                existing.count++;
+                existing.$element.find('.hth-notice-count').text('×' + existing.count).prop('hidden', false);
+                restartTimer(existing);
+                return existing;
+            }
+        }
+
+        var notice = {
+            id: 'hth-notice-' + (++nextId),
+            key: key,
+            count: 1,
+            type: options.type,
+            duration: options.duration !== undefined ? options.duration : (DURATIONS.hasOwnProperty(options.type) ? DURATIONS[options.type] : 5000),
+            $region: $region,
+            timer: null,
+            remaining: 0,
+            startedAt: 0,
+            dismissed: false
+        };
+
+        notice.dismiss = function() {
+            HTHPlugin.notices.dismiss(notice);
+        };
+
+        notice.$element = build(notice, message, options, state.noticeClass);
+
+        state.queue.push(notice);
+        fill($region);
+
+        return notice;
+    };
+
+    /**
+     * Remove a notice (or take it out of the queue)
+     */
+    HTHPlugin.notices.dismiss = function(notice) {
+        var state = notice.$region.data('hthNotices');
+        var $element = notice.$element;
+        var hadFocus = $.contains($element[0], document.activeElement);
+
+        if (notice.dismissed) {
+            return;
+        }
+
+        notice.dismissed = true;
+        clearTimeout(notice.timer);
+
+        state.queue = $.grep(state.queue, function(other) { return other !== notice; });
+        state.visible = $.grep(state.visible, function(other) { return other !== notice; });
+
+        var remove = function() {
+            $element.remove();
+            fill(notice.$region);
+
+            // Don't leave keyboard users stranded on a removed button
+            if (hadFocus && state.visible.length) {
+                state.visible[0].$element.find('.hth-notice-dismiss').trigger('focus');
+            }
+        };
+
+        if (prefersReducedMotion() || !$element.parent().length) {
+            remove();
+        } else {
+            $element.fadeOut(200, remove);
+        }
+    };
+
+    /**
+     * Dismiss every notice in a region
+     */
+    HTHPlugin.notices.clear = function($region) {
+        var state = ($region || HTHPlugin.notices.region('body')).data('hthNotices');
+
+        $.each(state.queue.concat(state.visible), function(i, notice) {
+            HTHPlugin.notices.dismiss(notice);
+        });
+    };
+
+    /**
+     * Build a notice's element
+     */
+    function build(notice, message, options, noticeClass) {
+        var $element = $('<div class="hth-notice"></div>')
+            .addClass('hth-notice-' + notice.type)
+            .addClass(noticeClass.replace(/\{type\}/g, notice.type))
+            .attr({ id: notice.id, role: notice.type === 'error' ? 'alert' : 'status' });
+
+        var $message = $('<p class="hth-notice-message"></p>');
+
+        if (options.html) {
+            $message.html(message);
+        } else {
+            $message.text(message);
+        }
+
+        $message.append(' ', '<span class="hth-notice-count" hidden></span>');
+
+        $.each(options.actions, function(i, action) {
+            $('<button type="button" class="button-link hth-notice-action"></button>')
+                .text(action.label)
+                .on('click', function() {
+                    if (action.dismiss !== false) {
+                        notice.dismiss();
+                    }
+                    action.callback(notice);
+                })
+                .appendTo($message.append(' '));
+        });
+
+        $element.append(
+            $message,
+            $('<button type="button" class="hth-notice-dismiss"></button>')
+                .append('<span class="screen-reader-text">Dismiss this notice.</span>')
+                .on('click', notice.dismiss)
+        );
+
+        // Pause the timer while the user reads or uses the notice
+        $element.on('mouseenter focusin', function() {
+            pauseTimer(notice);
+        });
+
+        $element.on('mouseleave focusout', function(e) {
+            if (!e.relatedTarget || !$.contains($element[0], e.relatedTarget)) {
+                resumeTimer(notice);
+            }
+        });
+
+        $element.on('keydown', function(e) {
+            if (e.keyCode === 27) {
+                notice.dismiss();
+            }
+        });
+
+        return $element;
+    }
+
+    /**
+     * Move queued notices into view while there is room
+     */
+    function fill($region) {
+        var state = $region.data('hthNotices');
+
+        while (state.ready && state.queue.length && state.visible.length < state.maxVisible) {
+            var notice = state.queue.shift();
+
+            state.visible.push(notice);
+            $region.append(notice.$element);
+            restartTimer(notice);
+        }
+    }
+
+    function restartTimer(notice) {
+        clearTimeout(notice.timer);
+        notice.timer = null;
+        notice.remaining = notice.duration;
+
+        // Queued notices start counting once they are shown
+        if (notice.$element.parent().length) {
+            resumeTimer(notice);
+        }
+    }
+
+    function pauseTimer(notice) {
+        if (notice.timer) {
+            clearTimeout(notice.timer);
+            notice.timer = null;
+            notice.remaining -= Date.now() - notice.startedAt;
+        }
+    }
+
+    function resumeTimer(notice) {
+        if (notice.duration > 0 && !notice.timer && !notice.dismissed) {
+            notice.startedAt = Date.now();
+            notice.timer = setTimeout(notice.dismiss, Math.max(notice.remaining, 1000));
+        }
+    }
+
+})(jQuery);
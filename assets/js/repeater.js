@@ -0,0 +1,428 @@
+/**
+ * HTH Sample Plugin - Repeater Fields
+ *
+ * Repeatable groups of fields for meta boxes and admin forms, rendered by
+ * hth_render_repeater() in PHP:
+ *
+ *   <div class="hth-repeater" data-hth-repeater="book_authors" data-hth-min="1" data-hth-max="10"
+ *        data-hth-row-label="Author" data-hth-row-title="{name}">
+ *       <div class="hth-repeater-rows">
+ *           <div class="hth-repeater-row">
+ *               <div class="hth-repeater-row-header"> handle, toggle with the title, remove </div>
+ *               <div class="hth-repeater-row-body">
+ *                   <input type="text" name="book_authors[0][name]" data-hth-field="name">
+ *                   <div class="hth-repeater" data-hth-repeater="formats"> ... </div>
+ *               </div>
+ *           </div>
+ *       </div>
+ *       <template class="hth-repeater-template"> one empty row </template>
+ *       <button type="button" class="button hth-repeater-add">Add author</button>
+ *   </div>
+ *
+ * Field names are never edited by hand: after every add, remove or move the
+ * rows are numbered again from their position, so a field is always named
+ * {repeater}[{row}][{data-hth-field}] and a nested repeater continues from
+ * its row ({repeater}[{row}][{nested}][{row}][{field}]).
+ *
+ * Rows are reordered by dragging the handle (jQuery UI Sortable) or by
+ * focusing it and using the arrow keys, Home and End. The repeater triggers
+ * hth:repeater:change after every change.
+ */
+
+(function($) {
+    'use strict';
+
+    // Admin namespace
+    window.HTHAdmin = window.HTHAdmin || {};
+
+    HTHAdmin.repeater = {};
+
+    var $status = null;
+
+    /**
+     * Set up every repeater inside context (default: the document)
+     */
+    HTHAdmin.repeater.init = function(context) {
+        $(context || document).find('.hth-repeater').filter(function() {
+            // Nested repeaters are set up by the repeater around them
+            return !$(this).parent().closest('.hth-repeater').length;
+        }).each(function() {
+            var $repeater = $(this);
+
+            prepare($repeater);
+            HTHAdmin.repeater.reindex($repeater);
+        });
+    };
+
+    /**
+     * Add an empty row at the end
+     *
+     * @return {jQuery} The new row, or an empty set at the maximum
+     */
+    HTHAdmin.repeater.add = function($repeater) {
+        if (getRows($repeater).length >= getLimit($repeater, 'max')) {
+            return $();
+        }
+
+        var $row = appendRow($repeater);
+
+        HTHAdmin.repeater.reindex($repeater);
+        changed($repeater);
+
+        return $row;
+    };
+
+    /**
+     * Remove a row, unless the repeater is at its minimum
+     */
+    HTHAdmin.repeater.remove = function($row) {
+        var $repeater = getRepeater($row);
+        var $rows = getRows($repeater);
+
+        if ($rows.length <= getLimit($repeater, 'min')) {
+            return false;
+        }
+
+        var index = $rows.index($row);
+        var title = getTitle($row);
+
+        $row.remove();
+        HTHAdmin.repeater.reindex($repeater);
+
+        // Keep the focus nearby: the row that took its place, or the add button
+        $rows = getRows($repeater);
+        if ($rows.length) {
+            getHandle($rows.eq(Math.min(index, $rows.length - 1))).trigger('focus');
+        } else {
+            $repeater.children('.hth-repeater-add').trigger('focus');
+        }
+
+        announce(title + ' removed.');
+        changed($repeater);
+
+        return true;
+    };
+
+    /**
+     * Move a row to another position (0-based, clamped to the rows)
+     */
+    HTHAdmin.repeater.move = function($row, position) {
+        var $repeater = getRepeater($row);
+        var $rows = getRows($repeater);
+        var from = $rows.index($row);
+        var to = Math.max(0, Math.min($rows.length - 1, position));
+
+        if (from === to) {
+            return;
+        }
+
+        if (to < from) {
+            $row.insertBefore($rows.eq(to));
+        } else {
+            $row.insertAfter($rows.eq(to));
+        }
+
+        HTHAdmin.repeater.reindex($repeater);
+
+        // Moving a focused element in the DOM drops the focus
+        getHandle($row).trigger('focus');
+
+        announce(getTitle($row) + ' moved to position ' + (to + 1) + ' of ' + $rows.length + '.');
+        changed($repeater);
+    };
+
+    /**
+     * Collapse or expand a row
+     *
+     * @param {boolean} collapsed Optional; toggles when left out
+     */
+    HTHAdmin.repeater.toggle = function($row, collapsed) {
+        if (collapsed === undefined) {
+            collapsed = !$row.hasClass('is-collapsed');
+        }
+
+        $row.toggleClass('is-collapsed', collapsed);
+        $row.children('.hth-repeater-row-body').prop('hidden', collapsed);
+        $row.children('.hth-repeater-row-header').find('.hth-repeater-toggle').first()
+            .attr('aria-expanded', collapsed ? 'false' : 'true');
+    };
+
+    /**
+     * Number the rows from their position and rename their fields
+     *
+     * @param {jQuery} $repeater The repeater
+     * @param {string} base Name the rows are prefixed with; nested repeaters get
+     *                      it from their row, top level ones use data-hth-repeater
+     */
+    HTHAdmin.repeater.reindex = function($repeater, base) {
+        if (base === undefined) {
+            base = $repeater.data('hthBase') || $repeater.attr('data-hth-repeater');
+        }
+
+        $repeater.data('hthBase', base);
+
+        var $rows = getRows($repeater);
+
+        $rows.each(function(index) {
+            var $row = $(this);
+            var rowBase = base + '[' + index + ']';
+
+            ownElements($row, '[data-hth-field]').each(function() {
+                var $field = $(this);
+                var name = rowBase + '[' + $field.attr('data-hth-field') + ']';
+                var oldId = this.id;
+
+                if ($field.is('select[multiple]')) {
+                    name += '[]';
+                }
+
+                $field.attr('name', name);
+
+                if (oldId) {
+                    var id = name.replace(/\]\[|\[/g, '_').replace(/\]/g, '');
+
+                    $row.find('label').filter(function() {
+                        return $(this).attr('for') === oldId;
+                    }).attr('for', id);
+
+                    this.id = id;
+                }
+            });
+
+            ownElements($row, '.hth-repeater').each(function() {
+                var $nested = $(this);
+
+                HTHAdmin.repeater.reindex($nested, rowBase + '[' + $nested.attr('data-hth-repeater') + ']');
+            });
+
+            $row.attr('data-hth-index', index);
+            updateTitle($row, index, $rows.length);
+        });
+
+        updateControls($repeater);
+    };
+
+    /**
+     * Mark a repeater and the repeaters in its rows as ready: drag and drop,
+     * the minimum number of rows and the starting collapsed state
+     */
+    function prepare($repeater) {
+        if ($repeater.data('hthRepeaterReady')) {
+            return;
+        }
+
+        $repeater.data('hthRepeaterReady', true);
+
+        var $container = $repeater.children('.hth-repeater-rows');
+
+        if ($.fn.sortable) {
+            $container.sortable({
+                items: '> .hth-repeater-row',
+                handle: '> .hth-repeater-row-header .hth-repeater-handle',
+                // The handle is a button, which Sortable ignores by default
+                cancel: 'input, textarea, select, option',
+                axis: 'y',
+                placeholder: 'hth-repeater-placeholder',
+                forcePlaceholderSize: true,
+                update: function(e, ui) {
+                    HTHAdmin.repeater.reindex($repeater);
+                    announce(getTitle(ui.item) + ' moved to position ' + (getRows($repeater).index(ui.item) + 1) + '.');
+                    changed($repeater);
+                }
+            });
+        }
+
+        getRows($repeater).each(function() {
+            var $row = $(this);
+
+            HTHAdmin.repeater.toggle($row, $repeater.attr('data-hth-collapsed') === 'true');
+
+            ownElements($row, '.hth-repeater').each(function() {
+                prepare($(this));
+            });
+        });
+
+        while (getRows($repeater).length < getLimit($repeater, 'min')) {
+            appendRow($repeater);
+        }
+    }
+
+    /**
+     * Append a copy of the template row (names are set by reindex)
+     */
+    function appendRow($repeater) {
+        var template = $repeater.children('template.hth-repeater-template')[0];
+        var $row = $(document.importNode(template.content, true).firstElementChild);
+
+        $repeater.children('.hth-repeater-rows').append($row);
+        HTHAdmin.repeater.toggle($row, false);
+
+        ownElements($row, '.hth-repeater').each(function() {
+            prepare($(this));
+        });
+
+        return $row;
+    }
+
+    /**
+     * Disable add at the maximum and remove at the minimum
+     */
+    function updateControls($repeater) {
+        var count = getRows($repeater).length;
+
+        $repeater.children('.hth-repeater-add').prop('disabled', count >= getLimit($repeater, 'max'));
+
+        getRows($repeater).children('.hth-repeater-row-header').find('.hth-repeater-remove')
+            .prop('disabled', count <= getLimit($repeater, 'min'));
+
+        $repeater.attr('data-hth-count', count);
+    }
+
+    /**
+     * Show a summary of the row's fields in its header
+     *
+     * data-hth-row-title holds the pattern, e.g. "{title} ({year})". Rows
+     * without any of those values fall back to "{data-hth-row-label} {n}".
+     */
+    function updateTitle($row, index, count) {
+        var $repeater = getRepeater($row);
+        var pattern = $repeater.attr('data-hth-row-title') || '';
+        var found = false;
+        var title = pattern.replace(/\{([\w-]+)\}/g, function(match, key) {
+            var value = fieldText(ownElements($row, '[data-hth-field="' + key + '"]').first());
+
+            if (value) {
+                found = true;
+            }
+
+            return value;
+        });
+
+        if (found) {
+            title = $.trim(title.replace(/\(\s*\)/g, '').replace(/\s+/g, ' '));
+        } else {
+            title = ($repeater.attr('data-hth-row-label') || 'Row') + ' ' + (index + 1);
+        }
+
+        var $header = $row.children('.hth-repeater-row-header');
+
+        $header.find('.hth-repeater-title').first().text(title);
+        getHandle($row).attr('aria-label', 'Move ' + title + ', position ' + (index + 1) + ' of ' + count +
+            '. Use the arrow keys to reorder.');
+        $header.find('.hth-repeater-remove').first().attr('aria-label', 'Remove ' + title);
+        $row.data('hthTitle', title);
+    }
+
+    function fieldText($field) {
+        if (!$field.length) {
+            return '';
+        }
+
+        if ($field.is('select')) {
+            return $field.val() ? $.trim($field.find('option:selected').first().text()) : '';
+        }
+
+        if ($field.is(':checkbox, :radio')) {
+            return $field.is(':checked') ? $.trim($field.val()) : '';
+        }
+
+        return $.trim($field.val() || '');
+    }
+
+    /**
+     * Elements in a row that belong to it, not to a nested repeater's rows
+     */
+    function ownElements($row, selector) {
+        return $row.find(selector).filter(function() {
+            return $(this).parent().closest('.hth-repeater-row')[0] === $row[0];
+        });
+    }
+
+    function getRows($repeater) {
+        return $repeater.children('.hth-repeater-rows').children('.hth-repeater-row');
+    }
+
+    function getRepeater($row) {
+        return $row.closest('.hth-repeater');
+    }
+
+    function getHandle($row) {
+        return $row.children('.hth-repeater-row-header').find('.hth-repeater-handle').first();
+    }
+
+    function getTitle($row) {
+        return $row.data('hthTitle') || 'Row';
+    }
+
+    function getLimit($repeater, which) {
+        var value = parseInt($repeater.attr('data-hth-' + which), 10);
+
+        if (isNaN(value)) {
+            return which === 'min' ? 0 : Infinity;
+        }
+
+        return value;
+    }
+
+    function changed($repeater) {
+        $repeater.trigger('hth:repeater:change', [getRows($repeater).length]);
+    }
+
+    /**
+     * Tell screen reader users what happened
+     */
+    function announce(message) {
+        if (!$status) {
+            $status = $('<div class="screen-reader-text" aria-live="polite"></div>').appendTo('body');
+        }
+
+        $status.text(message);
+    }
+
+    // Controls are handled once for the whole document, so rows added
+    // later (and nested repeaters) work without binding anything again
+    $(document).on('click', '.hth-repeater-add', function(e) {
+        e.preventDefault();
+
+        var $row = HTHAdmin.repeater.add($(this).closest('.hth-repeater'));
+
+        if ($row.length) {
+            $row.find(':input:not(button)').first().trigger('focus');
+        }
+    });
+
+    $(document).on('click', '.hth-repeater-remove', function(e) {
+        e.preventDefault();
+        HTHAdmin.repeater.remove($(this).closest('.hth-repeater-row'));
+    });
+
+    $(document).on('click', '.hth-repeater-toggle', function(e) {
+        e.preventDefault();
+        HTHAdmin.repeater.toggle($(this).closest('.hth-repeater-row'));
+    });
+
+    $(document).on('keydown', '.hth-repeater-handle', function(e) {
+        var $row = $(this).closest('.hth-repeater-row');
+        var index = getRows(getRepeater($row)).index($row);
+        var positions = {
+            38: index - 1,  // Up
+            40: index + 1,  // Down
+            36: 0,          // Home
+            35: Infinity    // End
+        };
+
+        if (positions.hasOwnProperty(e.keyCode)) {
+            e.preventDefault();
+            HTHAdmin.repeater.move($row, positions[e.keyCode]);
+        }
+    });
+
+    // Keep the summary in the header up to date while typing
+    $(document).on('input change', '.hth-repeater-row [data-hth-field]', function() {
+        var $row = $(this).closest('.hth-repeater-row');
+        var $rows = getRows(getRepeater($row));
+
+        updateTitle($row, $rows.index($row), $rows.length);
+    });
+
+})(jQuery);
@@ -24,45 +24,26 @@
 
     /**
      * Initialize tab functionality
+     *
+     * The tabs component lives in tabs.js (HTHPlugin.tabs); this is kept
+     * so existing calls to HTHPlugin.initTabs() keep working.
      */
     HTHPlugin.initTabs = function() {
-        $('.hth-tabs-container').each(function() {
-            var $container = $(this);
-            var $navLinks = $container.find('.hth-tab-nav-link');
-            var $tabPanes = $container.find('.hth-tab-pane');
-
-            // Handle tab clicks
-            $navLinks.on('click', function(e) {
-                e.preventDefault();
-                
-                var $this = $(this);
-                var target = $this.attr('href') || $this.data('target');
-                
-                // Remove active classes
-                $navLinks.removeClass('active');
-                $tabPanes.removeClass('active');
-                
-                // Add active class to clicked tab
-                $this.addClass('active');
-                
-                // Show corresponding content
-                $(target).addClass('active');
-                
-                // Trigger custom event
-                $container.trigger('hth:tab:changed', [target, $this]);
-            });
-
-            // Initialize first tab if none is active
-            if (!$navLinks.hasClass('active') && $navLinks.length > 0) {
-                $navLinks.first().trigger('click');
-            }
-        });
+        if (HTHPlugin.tabs) {
+            HTHPlugin.tabs.init();
+        }
     };
 
     /**
      * Initialize form functionality
      */
     HTHPlugin.initForms = function() {
+        // The [hth_ajax_form] shortcode script handles these forms, including
+        // validation; binding here as well would submit them twice
+        if (HTHPlugin.ajaxForm) {
+            return;
+        }
+
         // Handle AJAX forms
         $('.hth-ajax-form').on('submit', function(e) {
             e.preventDefault();
@@ -161,25 +142,18 @@
     };
 
     /**
-     * Show message to user
+     * Show a message to the visitor
+     *
+     * A thin wrapper around HTHPlugin.notices (notices.js), which escapes the
+     * message and handles stacking, timing and screen reader announcements.
+     *
+     * @param {string} type    success, error, warning or info
+     * @param {string} message Plain text (not HTML)
+     * @param {Object} options See HTHPlugin.notices.show()
+     * @return {Object} The notice, with dismiss()
      */
-    HTHPlugin.showMessage = function(type, message) {
-        var $message = $('<div class="hth-message hth-message-' + type + '">' + message + '</div>');
-        
-        // Find or create message container
-        var $container = $('.hth-messages');
-        if ($container.length === 0) {
-            $container = $('<div class="hth-messages"></div>').prependTo('body');
-        }
-        
-        $container.append($message);
-        
-        // Auto remove after 5 seconds
-        setTimeout(function() {
-            $message.fadeOut(function() {
-                $message.remove();
-            });
-        }, 5000);
+    HTHPlugin.showMessage = function(type, message, options) {
+        return HTHPlugin.notices.show(message, $.extend({ type: type }, options));
     };
 
     /**
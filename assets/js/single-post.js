@@ -0,0 +1,412 @@
+/**
+ * HTH Sample Plugin - Single Post Reader Tools
+ *
+ * Helpers for long posts, using the hthSinglePost data localized by
+ * enqueue-scripts.php ({ id, readingTime }):
+ *
+ * - A table of contents built from the post's h2-h4 headings, with the
+ *   section being read highlighted (scroll spy)
+ * - A "copy link" button on each heading
+ * - The estimated time remaining, from the reading time worked out by
+ *   hth_calculate_reading_time() (book pages show their own, from book.js)
+ * - "Resume where you left off": the reading position is saved per post in
+ *   localStorage and offered back on the next visit
+ */
+
+(function($) {
+    'use strict';
+
+    // Plugin namespace
+    window.HTHPlugin = window.HTHPlugin || {};
+
+    // Where the post's text is, first match wins
+    var CONTENT_SELECTOR = '.entry-content, .post-content, article';
+    var HEADING_SELECTOR = 'h2, h3, h4';
+
+    // A table of contents for fewer headings than this is not worth the space
+    var MIN_HEADINGS = 3;
+
+    // Headings closer than this to the top of the window count as being read,
+    // leaving room for sticky headers
+    var SPY_OFFSET = 100;
+
+    // Saved positions are forgotten after 30 days
+    var RESUME_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+    HTHPlugin.singlePost = {
+        config: null,
+        $content: $(),
+        $headings: $(),
+        offered: false
+    };
+
+    /**
+     * Set up the reader tools
+     *
+     * @param {Object} config The localized hthSinglePost data
+     */
+    HTHPlugin.singlePost.init = function(config) {
+        var post = HTHPlugin.singlePost;
+
+        post.config = $.extend({ id: 0, readingTime: 1 }, config);
+        post.config.id = parseInt(post.config.id, 10) || 0;
+        post.config.readingTime = parseInt(post.config.readingTime, 10) || 1;
+        post.$content = $(CONTENT_SELECTOR).first();
+
+        if (!post.$content.length) {
+            return;
+        }
+
+        post.$headings = post.$content.find(HEADING_SELECTOR).filter(function() {
+            return $.trim($(this).text()) !== '';
+        });
+
+        post.$headings.each(function() {
+            ensureId($(this));
+        });
+
+        post.initToc();
+        post.initHeadingLinks();
+        post.scrollToHash();
+
+        if (!window.hthBook) {
+            post.initTimeRemaining();
+        }
+
+        post.initResume();
+
+        var pending = false;
+
+        // Scroll events fire faster than the screen repaints
+        $(window).on('scroll.hthSinglePost resize.hthSinglePost', function() {
+            if (pending) {
+                return;
+            }
+
+            pending = true;
+
+            (window.requestAnimationFrame || function(callback) {
+                setTimeout(callback, 16);
+            })(function() {
+                pending = false;
+                post.update();
+            });
+        });
+
+        // Writing to storage on every frame is wasteful; save once scrolling stops
+        $(window).on('scroll.hthSinglePost', HTHPlugin.utils.debounce(function() {
+            post.savePosition(post.getProgress());
+        }, 500));
+
+        $(window).on('pagehide.hthSinglePost', function() {
+            post.savePosition(post.getProgress());
+        });
+
+        post.update();
+    };
+
+    /**
+     * Build the table of contents at the top of the post
+     *
+     * Levels are nested as far as the headings allow; a heading that skips a
+     * level (h2 then h4) is nested one level down only.
+     */
+    HTHPlugin.singlePost.initToc = function() {
+        var post = HTHPlugin.singlePost;
+
+        if (post.$headings.length < MIN_HEADINGS) {
+            return;
+        }
+
+        var $root = $('<ol class="hth-toc-list"></ol>');
+        var stack = [{ level: 0, $list: $root, $item: null }];
+
+        post.$headings.each(function() {
+            var $heading = $(this);
+            var level = parseInt(this.tagName.charAt(1), 10);
+
+            while (stack.length > 1 && stack[stack.length - 1].level >= level) {
+                stack.pop();
+            }
+
+            var parent = stack[stack.length - 1];
+
+            // First heading below this item: start its sub-list
+            if (parent.$item && !parent.$sublist) {
+                parent.$sublist = $('<ol></ol>').appendTo(parent.$item);
+            }
+
+            var $item = $('<li></li>').append(
+                $('<a></a>').attr('href', '#' + $heading.attr('id')).text(headingText($heading))
+            );
+
+            (parent.$sublist || parent.$list).append($item);
+            stack.push({ level: level, $item: $item, $sublist: null });
+        });
+
+        $('<nav class="hth-toc" aria-labelledby="hth-toc-title"></nav>')
+            .append('<h2 id="hth-toc-title" class="hth-toc-title">Contents</h2>', $root)
+            .prependTo(post.$content);
+    };
+
+    /**
+     * Add a copy-link button to every heading
+     */
+    HTHPlugin.singlePost.initHeadingLinks = function() {
+        HTHPlugin.singlePost.$headings.each(function() {
+            var $heading = $(this);
+
+            $('<button type="button" class="hth-heading-link"></button>')
+                .attr('aria-label', 'Copy link to "' + headingText($heading) + '"')
+                .append('<span aria-hidden="true">#</span>')
+                .appendTo($heading);
+        });
+
+        HTHPlugin.singlePost.$content.on('click', '.hth-heading-link', function() {
+            var $heading = $(this).closest(HEADING_SELECTOR);
+            var url = window.location.href.split('#')[0] + '#' + $heading.attr('id');
+
+            HTHPlugin.singlePost.copy(url).done(function() {
+                HTHPlugin.showMessage('success', 'Link to "' + headingText($heading) + '" copied.');
+            }).fail(function() {
+                HTHPlugin.showMessage('error', 'The link could not be copied: ' + url);
+            });
+        });
+    };
+
+    /**
+     * Go to the heading named in the address (#section)
+     *
+     * The browser looked for it before the ids above existed, so links to a
+     * heading would otherwise open at the top of the post.
+     */
+    HTHPlugin.singlePost.scrollToHash = function() {
+        var id;
+
+        try {
+            id = decodeURIComponent(window.location.hash.slice(1));
+        } catch (e) {
+            return;
+        }
+
+        var heading = id ? document.getElementById(id) : null;
+
+        if (heading && HTHPlugin.singlePost.$headings.is(heading)) {
+            // Leave room for sticky headers, as the scroll spy does
+            window.scrollTo(0, Math.max(0, Math.round($(heading).offset().top - SPY_OFFSET / 2)));
+        }
+    };
+
+    /**
+     * Copy text to the clipboard
+     *
+     * The Clipboard API needs a secure (https) page; older browsers and
+     * plain http fall back to execCommand('copy').
+     *
+     * @return {Promise} jQuery promise, resolved once copied
+     */
+    HTHPlugin.singlePost.copy = function(text) {
+        var deferred = $.Deferred();
+
+        if (navigator.clipboard && window.isSecureContext) {
+            navigator.clipboard.writeText(text).then(deferred.resolve, deferred.reject);
+            return deferred.promise();
+        }
+
+        var $field = $('<textarea readonly class="hth-copy-field"></textarea>').val(text).appendTo('body');
+        var copied = false;
+
+        $field[0].select();
+
+        try {
+            copied = document.execCommand('copy');
+        } catch (e) {}
+
+        $field.remove();
+
+        return (copied ? deferred.resolve() : deferred.reject()).promise();
+    };
+
+    /**
+     * Add the time remaining indicator
+     */
+    HTHPlugin.singlePost.initTimeRemaining = function() {
+        $('<div class="hth-time-remaining" aria-hidden="true"></div>').appendTo('body');
+    };
+
+    /**
+     * Refresh the highlighted section and the time remaining
+     */
+    HTHPlugin.singlePost.update = function() {
+        var post = HTHPlugin.singlePost;
+        var progress = post.getProgress();
+        var $current = $();
+
+        post.$headings.each(function() {
+            if (this.getBoundingClientRect().top > SPY_OFFSET) {
+                return false;
+            }
+
+            $current = $(this);
+        });
+
+        $('.hth-toc a').each(function() {
+            var active = $current.length > 0 && $(this).attr('href') === '#' + $current.attr('id');
+
+            $(this).toggleClass('is-active', active);
+
+            if (active) {
+                $(this).attr('aria-current', 'location');
+            } else {
+                $(this).removeAttr('aria-current');
+            }
+        });
+
+        var left = Math.ceil(post.config.readingTime * (1 - progress));
+
+        $('.hth-time-remaining')
+            .text(left > 0 ? left + ' min left' : 'Finished')
+            .toggleClass('is-visible', progress > 0 && progress < 1);
+    };
+
+    /**
+     * How far through the post the reader has scrolled, from 0 to 1
+     */
+    HTHPlugin.singlePost.getProgress = function() {
+        var rect = HTHPlugin.singlePost.$content[0].getBoundingClientRect();
+        var viewport = window.innerHeight || document.documentElement.clientHeight;
+        var scrollable = rect.height - viewport;
+
+        if (scrollable <= 0) {
+            return rect.top >= 0 && rect.bottom <= viewport ? 1 : 0;
+        }
+
+        return Math.min(1, Math.max(0, -rect.top / scrollable));
+    };
+
+    /**
+     * Offer to go back to the position saved on the last visit
+     *
+     * Nothing is offered when the visitor followed a link to a section, the
+     * browser already restored the position (a reload), or the saved position
+     * is at the very start or end.
+     */
+    HTHPlugin.singlePost.initResume = function() {
+        var post = HTHPlugin.singlePost;
+        var saved = readPosition();
+
+        post.offered = true;
+
+        if (!saved || window.location.hash || (window.pageYOffset || 0) > SPY_OFFSET) {
+            return;
+        }
+
+        if (saved.progress < 0.05 || saved.progress > 0.95 || Date.now() - saved.time > RESUME_MAX_AGE) {
+            return;
+        }
+
+        // Don't overwrite the saved position until the reader has chosen
+        post.offered = false;
+
+        HTHPlugin.notices.show('Continue where you left off?', {
+            type: 'info',
+            duration: 15000,
+            actions: [{
+                label: 'Resume reading',
+                callback: function() {
+                    post.offered = true;
+                    post.scrollToProgress(saved.progress);
+                }
+            }]
+        });
+
+        $(window).one('scroll.hthSinglePostResume', function() {
+            setTimeout(function() {
+                post.offered = true;
+            }, 1000);
+        });
+    };
+
+    /**
+     * Scroll so that the given share of the post has been read
+     */
+    HTHPlugin.singlePost.scrollToProgress = function(progress) {
+        var $content = HTHPlugin.singlePost.$content;
+        var viewport = window.innerHeight || document.documentElement.clientHeight;
+        var top = $content.offset().top + progress * Math.max(0, $content.outerHeight() - viewport);
+
+        window.scrollTo(0, Math.round(top));
+    };
+
+    HTHPlugin.singlePost.savePosition = function(progress) {
+        var post = HTHPlugin.singlePost;
+
+        if (!post.offered || !post.config.id) {
+            return;
+        }
+
+        try {
+            if (progress >= 1) {
+                window.localStorage.removeItem(resumeKey());
+            } else if (progress > 0) {
+                window.localStorage.setItem(resumeKey(), JSON.stringify({ progress: progress, time: Date.now() }));
+            }
+        } catch (e) {
+            // Private browsing or storage disabled: just don't save
+        }
+    };
+
+    /**
+     * localStorage key for this post's reading position
+     */
+    function resumeKey() {
+        return 'hth-resume:' + HTHPlugin.singlePost.config.id;
+    }
+
+    function readPosition() {
+        try {
+            var saved = JSON.parse(window.localStorage.getItem(resumeKey()));
+
+            return saved && typeof saved.progress === 'number' ? saved : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Heading text without the copy-link button
+     */
+    function headingText($heading) {
+        return $.trim($heading.clone().find('.hth-heading-link').remove().end().text());
+    }
+
+    /**
+     * Give a heading an id from its text, unique on the page
+     */
+    function ensureId($heading) {
+        if ($heading.attr('id')) {
+            return;
+        }
+
+        var base = headingText($heading).toLowerCase()
+            .replace(/[^a-z0-9\s-]/g, '')
+            .replace(/[\s-]+/g, '-')
+            .replace(/^-+|-+$/g, '') || 'section';
+        var id = base;
+        var suffix = 2;
+
+        while (document.getElementById(id)) {
+            id = base + '-' + suffix++;
+        }
+
+        $heading.attr('id', id);
+    }
+
+    // Initialize when document is ready
+    $(document).ready(function() {
+        if (window.hthSinglePost) {
+            HTHPlugin.singlePost.init(window.hthSinglePost);
+        }
+    });
+
+})(jQuery);
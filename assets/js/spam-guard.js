@@ -0,0 +1,374 @@
+/**
+ * HTH Sample Plugin - Spam Guard
+ *
+ * Client side of the [hth_ajax_form] spam protection. No third-party
+ * CAPTCHA is involved; the server checks (hth_ajax_form_check_spam()) are:
+ *
+ * - A honeypot field (hth_website) that must stay empty
+ * - A minimum time between getting a challenge and submitting the form
+ * - A proof of work: the browser finds a number (hth_proof) for which
+ *   sha256(challenge + ':' + number) starts with enough zero bits. It takes
+ *   a fraction of a second once, but makes sending spam in bulk expensive.
+ *
+ * Each challenge can be spent once, so it is fetched (hth_ajax_form_challenge)
+ * when the visitor starts using the form instead of being part of the page,
+ * which may come from a cache.
+ *
+ * On top of that, repeat submissions from the same form are throttled.
+ */
+
+(function($) {
+    'use strict';
+
+    // Plugin namespace
+    window.HTHPlugin = window.HTHPlugin || {};
+
+    var THROTTLE_SECONDS = 10;
+
+    /**
+     * Hashes tried per tick, so the page stays responsive while solving
+     */
+    var BATCH_SIZE = 500;
+
+    /**
+     * SHA-256 of a string, as hex
+     *
+     * A small synchronous implementation: crypto.subtle is only available on
+     * HTTPS pages and is asynchronous per hash, which is slow for thousands
+     * of tiny hashes.
+     */
+    var sha256 = (function() {
+        var K = [];
+        var H = [];
+        var n = 2;
+        var found = 0;
+
+        function frac(x) {
+            return ((x - Math.floor(x)) * 4294967296) | 0;
+        }
+
+        // First 32 bits of the fractional parts of the square and cube roots of the first primes
+        while (found < 64) {
+            var prime = true;
+            for (var d = 2; d * d <= n; d++) {
+                if (n % d === 0) {
+                    prime = false;
+                    break;
+                }
+            }
+            if (prime) {
+                if (found < 8) {
+                    H[found] = frac(Math.pow(n, 1 / 2));
+                }
+                K[found] = frac(Math.pow(n, 1 / 3));
+                found++;
+            }
+            n++;
+        }
+
+        function rotr(value, bits) {
+            return (value >>> bits) | (value << (32 - bits));
+        }
+
+        return function(message) {
+            var bytes = unescape(encodeURIComponent(message));
+            var length = bytes.length;
+            var words = [];
+            var hash = H.slice(0);
+            var w = new Array(64);
+            var i, j;
+
+            for (i = 0; i < length; i++) {
+                words[i >> 2] |= (bytes.charCodeAt(i) & 0xff) << (24 - (i % 4) * 8);
+            }
+
+            // Padding: a 1 bit, zeros, then the message length in bits
+            words[length >> 2] |= 0x80 << (24 - (length % 4) * 8);
+            words[(((length + 8) >> 6) << 4) + 15] = length * 8;
+
+            for (i = 0; i < words.length; i += 16) {
+                var a = hash[0], b = hash[1], c = hash[2], d = hash[3];
+                var e = hash[4], f = hash[5], g = hash[6], h = hash[7];
+
+                for (j = 0; j < 64; j++) {
+                    if (j < 16) {
+                        w[j] = words[i + j] | 0;
+                    } else {
+                        var s0 = rotr(w[j - 15], 7) ^ rotr(w[j - 15], 18) ^ (w[j - 15] >>> 3);
+                        var s1 = rotr(w[j - 2], 17) ^ rotr(w[j - 2], 19) ^ (w[j - 2] >>> 10);
+                        w[j] = (w[j - 16] + s0 + w[j - 7] + s1) | 0;
+                    }
+
+                    var t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[j] + w[j]) | 0;
+                    var t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+
+                    h = g;
+                    g = f;
+                    f = e;
+                    e = (d + t1) | 0;
+                    d = c;
+                    c = b;
+                    b = a;
+                    a = (t1 + t2) | 0;
+                }
+
+                hash[0] = (hash[0] + a) | 0;
+                hash[1] = (hash[1] + b) | 0;
+                hash[2] = (hash[2] + c) | 0;
+                hash[3] = (hash[3] + d) | 0;
+                hash[4] = (hash[4] + e) | 0;
+                hash[5] = (hash[5] + f) | 0;
+                hash[6] = (hash[6] + g) | 0;
+                hash[7] = (hash[7] + h) | 0;
+            }
+
+            return $.map(hash, function(word) {
+                return ('00000000' + (word >>> 0).toString(16)).slice(-8);
+            }).join('');
+        };
+    })();
+
+    /**
+     * Count the leading zero bits of a hex string
+     */
+    function leadingZeroBits(hex) {
+        var bits = 0;
+
+        for (var i = 0; i < hex.length; i++) {
+            var value = parseInt(hex.charAt(i), 16);
+
+            if (value === 0) {
+                bits += 4;
+                continue;
+            }
+
+            bits += 3 - Math.floor(Math.log(value) / Math.LN2);
+            break;
+        }
+
+        return bits;
+    }
+
+    /**
+     * Remember the last submission time per form for the throttle
+     * (sessionStorage, so a reload doesn't reset it)
+     */
+    function getLastSubmit(id) {
+        try {
+            return parseInt(window.sessionStorage.getItem('hth-form-submitted:' + id), 10) || 0;
+        } catch (e) {
+            return 0;
+        }
+    }
+
+    function setLastSubmit(id, time) {
+        try {
+            window.sessionStorage.setItem('hth-form-submitted:' + id, String(time));
+        } catch (e) {
+            // Storage disabled: the server-side checks still apply
+        }
+    }
+
+    HTHPlugin.spamGuard = {};
+
+    HTHPlugin.spamGuard.sha256 = sha256;
+
+    /**
+     * Get the challenge and start solving on the form's first use
+     */
+    function startOnFirstUse($form) {
+        $form.one('focusin input', function() {
+            HTHPlugin.spamGuard.fetch($form).done(function() {
+                HTHPlugin.spamGuard.solve($form);
+            });
+        });
+    }
+
+    /**
+     * Start protecting a form
+     *
+     * The challenge is fetched and solved as soon as the visitor interacts
+     * with the form, so the proof is usually ready before they press Submit.
+     */
+    HTHPlugin.spamGuard.init = function($form) {
+        if (!$form.find('[name="hth_challenge"]').length || $form.data('hthSpamGuard')) {
+            return;
+        }
+
+        $form.data('hthSpamGuard', { renderedAt: Date.now(), fetching: null, solving: null });
+
+        startOnFirstUse($form);
+
+        // The server sends a new challenge with every success
+        $form.on('hth:form:success', function(e, data) {
+            setLastSubmit($form.attr('id'), Date.now());
+
+            if (data && data.challenge) {
+                HTHPlugin.spamGuard.reset($form, data.challenge);
+            }
+        });
+
+        // The queued submission will spend the current challenge when it is
+        // sent, so the next message from this form needs a new one
+        $form.on('hth:form:queued', function() {
+            HTHPlugin.spamGuard.clear($form);
+            startOnFirstUse($form);
+        });
+    };
+
+    /**
+     * Get a challenge from the server, unless the form already has one
+     *
+     * @return {Promise} Resolves once the challenge is in the form
+     */
+    HTHPlugin.spamGuard.fetch = function($form) {
+        var state = $form.data('hthSpamGuard');
+        var $challenge = $form.find('[name="hth_challenge"]');
+
+        if ($challenge.val()) {
+            return $.Deferred().resolve().promise();
+        }
+
+        if (state.fetching) {
+            return state.fetching;
+        }
+
+        var deferred = $.Deferred();
+        var promise = deferred.promise();
+
+        state.fetching = promise;
+
+        $.ajax({
+            url: $challenge.attr('data-hth-challenge-url') || window.ajaxurl,
+            type: 'POST',
+            data: { action: 'hth_ajax_form_challenge' },
+            dataType: 'json'
+        }).done(function(response) {
+            if (response && response.success) {
+                HTHPlugin.spamGuard.reset($form, response.data);
+                deferred.resolve();
+            } else {
+                deferred.reject();
+            }
+        }).fail(function() {
+            deferred.reject();
+        }).always(function() {
+            state.fetching = null;
+        });
+
+        return promise;
+    };
+
+    /**
+     * Put a new challenge in the form (fetched, or sent after a success)
+     */
+    HTHPlugin.spamGuard.reset = function($form, challenge) {
+        var state = $form.data('hthSpamGuard');
+
+        $form.find('[name="hth_challenge"]')
+            .val(challenge.token)
+            .attr('data-hth-difficulty', challenge.difficulty)
+            .attr('data-hth-min-time', challenge.min_time);
+        $form.find('[name="hth_proof"]').val('');
+
+        state.renderedAt = Date.now();
+        state.solving = null;
+    };
+
+    /**
+     * Drop the form's challenge and proof; the next use fetches a new one
+     */
+    HTHPlugin.spamGuard.clear = function($form) {
+        var state = $form.data('hthSpamGuard');
+
+        $form.find('[name="hth_challenge"]').val('');
+        $form.find('[name="hth_proof"]').val('');
+
+        state.solving = null;
+    };
+
+    /**
+     * Find the proof of work for the form's challenge
+     *
+     * @return {Promise} Resolves with the proof once it is in the form
+     */
+    HTHPlugin.spamGuard.solve = function($form) {
+        var state = $form.data('hthSpamGuard');
+
+        if (state.solving) {
+            return state.solving;
+        }
+
+        var deferred = $.Deferred();
+        var $challenge = $form.find('[name="hth_challenge"]');
+        var token = $challenge.val();
+        var difficulty = parseInt($challenge.attr('data-hth-difficulty'), 10) || 0;
+        var counter = 0;
+
+        state.solving = deferred.promise();
+
+        (function work() {
+            // A newer challenge replaced this one: stop
+            if ($challenge.val() !== token) {
+                deferred.reject();
+                return;
+            }
+
+            for (var i = 0; i < BATCH_SIZE; i++, counter++) {
+                if (leadingZeroBits(sha256(token + ':' + counter)) >= difficulty) {
+                    $form.find('[name="hth_proof"]').val(String(counter));
+                    deferred.resolve(counter);
+                    return;
+                }
+            }
+
+            setTimeout(work, 0);
+        })();
+
+        return state.solving;
+    };
+
+    /**
+     * Get a form ready to submit
+     *
+     * Applies the throttle, waits out the minimum time-to-submit and
+     * finishes the proof of work.
+     *
+     * @return {Promise} Resolves when the form may be sent, rejects with a message
+     */
+    HTHPlugin.spamGuard.prepare = function($form) {
+        var state = $form.data('hthSpamGuard');
+
+        if (!state) {
+            return $.Deferred().resolve().promise();
+        }
+
+        var deferred = $.Deferred();
+        var now = Date.now();
+        var waited = (now - getLastSubmit($form.attr('id'))) / 1000;
+
+        if (waited < THROTTLE_SECONDS) {
+            return deferred.reject(
+                'Please wait ' + Math.ceil(THROTTLE_SECONDS - waited) + ' seconds before submitting again.'
+            ).promise();
+        }
+
+        HTHPlugin.spamGuard.fetch($form).done(function() {
+            var minTime = (parseInt($form.find('[name="hth_challenge"]').attr('data-hth-min-time'), 10) || 0) * 1000;
+            var delay = Math.max(state.renderedAt + minTime - Date.now(), 0);
+
+            HTHPlugin.spamGuard.solve($form).done(function() {
+                setTimeout(function() {
+                    deferred.resolve();
+                }, delay);
+            }).fail(function() {
+                deferred.reject('Please try again.');
+            });
+        }).fail(function() {
+            deferred.reject('The form could not be prepared. Please check your connection and try again.');
+        });
+
+        return deferred.promise();
+    };
+
+})(jQuery);
@@ -1,89 +1,370 @@
 /**
  * HTH Sample Plugin - Tab Functionality
- * 
- * JavaScript for tab shortcode functionality.
+ *
+ * The single tabs component used by the [hth_tabs] shortcode and by any
+ * markup built with the .hth-tab-nav-link / .hth-tab-pane classes.
+ * Implements the WAI-ARIA tabs pattern (tablist, tab, tabpanel).
+ *
+ * The active tab is mirrored in the URL hash (#panel-id) so tabs can be
+ * linked to, and containers with data-persist remember the last tab.
  */
 
 (function($) {
     'use strict';
 
+    // Plugin namespace
+    window.HTHPlugin = window.HTHPlugin || {};
+
     /**
-     * Initialize tab functionality for shortcodes
+     * Markup the component understands
+     * - Shortcode: .hth-tabs-container > .tab-nav a + .tab-pane
+     * - Legacy shortcode: .hth-shortcode-tabs > .tab-nav a + .tab-pane
+     * - Theme/template markup: .hth-tabs-container .hth-tab-nav-link + .hth-tab-pane
      */
-    function initShortcodeTabs() {
-        $('.hth-shortcode-tabs').each(function() {
-            var $tabContainer = $(this);
-            var $navLinks = $tabContainer.find('.tab-nav a');
-            var $tabPanes = $tabContainer.find('.tab-pane');
-
-            // Handle tab clicks
-            $navLinks.on('click', function(e) {
-                e.preventDefault();
-                
-                var $clickedTab = $(this);
-                var targetId = $clickedTab.attr('href');
+    var CONTAINER_SELECTOR = '.hth-tabs-container, .hth-shortcode-tabs';
+    var NAV_SELECTOR = '.tab-nav, .hth-tabs-nav';
+    var TAB_SELECTOR = '.tab-nav a, .hth-tab-nav-link';
 
-                // Remove active classes
-                $navLinks.removeClass('active');
-                $tabPanes.removeClass('active');
+    /**
+     * Keep only elements that belong to this container, not to a nested tab set
+     */
+    function ownElements($container, $elements) {
+        return $elements.filter(function() {
+            return $(this).closest(CONTAINER_SELECTOR)[0] === $container[0];
+        });
+    }
 
-                // Add active class to clicked tab and show content
-                $clickedTab.addClass('active');
-                $(targetId).addClass('active');
+    /**
+     * Find the panel a tab controls
+     */
+    function getPanel($tab) {
+        var target = $tab.attr('aria-controls') || $tab.data('target') || $tab.attr('href');
 
-                // Trigger custom event
-                $tabContainer.trigger('hth:tab:activated', [targetId]);
-            });
+        if (!target) {
+            return $();
+        }
 
-            // Initialize first tab if none is active
-            if (!$navLinks.hasClass('active') && $navLinks.length > 0) {
-                $navLinks.first().trigger('click');
-            }
-        });
+        target = String(target);
+        return $(document.getElementById(target.charAt(0) === '#' ? target.slice(1) : target));
     }
 
     /**
-     * Handle keyboard navigation for tabs
+     * Read the element id from the current URL hash
      */
-    function initTabKeyboardNavigation() {
-        $('.hth-shortcode-tabs .tab-nav').on('keydown', 'a', function(e) {
-            var $current = $(this);
-            var $tabs = $current.closest('.tab-nav').find('a');
-            var currentIndex = $tabs.index($current);
-            var $target;
+    function getHashId() {
+        var hash = window.location.hash.slice(1);
+
+        try {
+            return decodeURIComponent(hash);
+        } catch (e) {
+            return hash;
+        }
+    }
+
+    /**
+     * localStorage key used by data-persist containers
+     */
+    function storageKey($container) {
+        // Shortcode ids count up per page (hth-tabs-1), so the page is part of the key
+        return 'hth-tabs:' + window.location.pathname + ':' + ($container.attr('id') || '');
+    }
+
+    /**
+     * Read or write the persisted panel id (storage may be unavailable)
+     */
+    function readPersisted($container) {
+        try {
+            return window.localStorage.getItem(storageKey($container));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function writePersisted($container, panelId) {
+        try {
+            window.localStorage.setItem(storageKey($container), panelId);
+        } catch (e) {
+            // Private browsing or storage disabled: just don't persist
+        }
+    }
+
+    function isPersistent($container) {
+        var persist = $container.attr('data-persist');
+        return persist !== undefined && persist !== 'false' && persist !== '0' && !!$container.attr('id');
+    }
+
+    HTHPlugin.tabs = {};
+
+    /**
+     * Initialize all tab containers inside a context (defaults to document)
+     *
+     * Safe to call repeatedly: containers that are already set up are skipped.
+     */
+    HTHPlugin.tabs.init = function(context) {
+        $(context || document).find(CONTAINER_SELECTOR).each(function() {
+            HTHPlugin.tabs.setup($(this));
+        });
+    };
+
+    /**
+     * Set up one tab container
+     */
+    HTHPlugin.tabs.setup = function($container) {
+        if ($container.data('hthTabs')) {
+            return;
+        }
+
+        var $tabs = ownElements($container, $container.find(TAB_SELECTOR));
+
+        if (!$tabs.length) {
+            return;
+        }
+
+        $container.data('hthTabs', true);
+
+        // Apply ARIA roles (the shortcode already renders them, other markup may not)
+        ownElements($container, $container.find(NAV_SELECTOR)).attr('role', 'tablist');
+
+        $tabs.each(function(index) {
+            var $tab = $(this);
+            var $panel = getPanel($tab);
+            var tabId = $tab.attr('id') || ($panel.attr('id') || ($container.attr('id') || 'hth-tabs') + '-' + index) + '-label';
+
+            $tab.attr({ id: tabId, role: 'tab' }).parent('li').attr('role', 'presentation');
+
+            if ($panel.length) {
+                $tab.attr('aria-controls', $panel.attr('id'));
+                $panel.attr({ role: 'tabpanel', 'aria-labelledby': tabId, tabindex: '0' });
+            }
+        });
+
+        // Handle tab clicks
+        $tabs.on('click', function(e) {
+            e.preventDefault();
+            HTHPlugin.tabs.activate($container, $tabs.index(this), { push: true });
+        });
+
+        // Handle keyboard navigation (arrows wrap, Home/End jump)
+        $tabs.on('keydown', function(e) {
+            var current = $tabs.index(this);
+            var last = $tabs.length - 1;
+            var next = null;
 
             switch (e.keyCode) {
                 case 37: // Left arrow
-                    e.preventDefault();
-                    $target = currentIndex > 0 ? $tabs.eq(currentIndex - 1) : $tabs.last();
-                    $target.focus().trigger('click');
+                case 38: // Up arrow
+                    next = current > 0 ? current - 1 : last;
                     break;
-                    
+
                 case 39: // Right arrow
-                    e.preventDefault();
-                    $target = currentIndex < $tabs.length - 1 ? $tabs.eq(currentIndex + 1) : $tabs.first();
-                    $target.focus().trigger('click');
+                case 40: // Down arrow
+                    next = current < last ? current + 1 : 0;
+                    break;
+
+                case 36: // Home
+                    next = 0;
                     break;
-                    
+
+                case 35: // End
+                    next = last;
+                    break;
+
                 case 13: // Enter
                 case 32: // Space
-                    e.preventDefault();
-                    $current.trigger('click');
+                    next = current;
                     break;
             }
+
+            if (next !== null) {
+                e.preventDefault();
+                HTHPlugin.tabs.activate($container, next, { focus: true });
+            }
         });
-    }
+
+        // Links to a tab (or to an anchor inside one) win over everything else
+        var hashMatch = HTHPlugin.tabs.findByElementId($container, getHashId());
+
+        if (hashMatch) {
+            HTHPlugin.tabs.activate($container, hashMatch.index, { silent: true });
+            HTHPlugin.tabs.revealTarget(hashMatch);
+        } else {
+            HTHPlugin.tabs.activate($container, HTHPlugin.tabs.getInitialIndex($container, $tabs), { silent: true });
+        }
+    };
+
+    /**
+     * Find the tab whose panel is, or contains, the element with the given id
+     *
+     * @return {Object|null} { index, target } or null when the id is not in this container
+     */
+    HTHPlugin.tabs.findByElementId = function($container, id) {
+        var target = id ? document.getElementById(id) : null;
+        var match = null;
+
+        if (!target) {
+            return null;
+        }
+
+        ownElements($container, $container.find(TAB_SELECTOR)).each(function(index) {
+            var panel = getPanel($(this))[0];
+
+            if (panel && (panel === target || $.contains(panel, target))) {
+                match = { index: index, target: target, isPanel: panel === target };
+                return false;
+            }
+        });
+
+        return match;
+    };
+
+    /**
+     * Scroll an anchored element into view once its tab is open
+     *
+     * The browser's own jump to the anchor happens while the panel is still
+     * hidden, so it has to be repeated after activation.
+     */
+    HTHPlugin.tabs.revealTarget = function(match) {
+        if (match && !match.isPanel && match.target.scrollIntoView) {
+            match.target.scrollIntoView();
+        }
+    };
+
+    /**
+     * Sync every tab container with the current URL hash
+     *
+     * Runs on back/forward navigation (popstate) and on manual hash changes.
+     */
+    HTHPlugin.tabs.syncWithHash = function() {
+        var id = getHashId();
+
+        $(CONTAINER_SELECTOR).each(function() {
+            var $container = $(this);
+
+            if (!$container.data('hthTabs')) {
+                return;
+            }
+
+            var match = HTHPlugin.tabs.findByElementId($container, id);
+
+            if (match) {
+                HTHPlugin.tabs.activate($container, match.index, { fromHistory: true });
+                HTHPlugin.tabs.revealTarget(match);
+            } else if (!id) {
+                // Navigated back to the page without a hash: restore the default tab
+                var $tabs = ownElements($container, $container.find(TAB_SELECTOR));
+                HTHPlugin.tabs.activate($container, HTHPlugin.tabs.getInitialIndex($container, $tabs), { fromHistory: true });
+            }
+        });
+    };
+
+    /**
+     * Work out which tab should be open when the container is set up
+     *
+     * Order of precedence (a matching URL hash is checked before this):
+     * 1. The remembered tab, for data-persist containers
+     * 2. data-active (1-based, as in the shortcode's active attribute)
+     * 3. A tab or list item already marked .active in the markup
+     * 4. The first tab
+     */
+    HTHPlugin.tabs.getInitialIndex = function($container, $tabs) {
+        if (isPersistent($container)) {
+            var persisted = HTHPlugin.tabs.findByElementId($container, readPersisted($container));
+
+            if (persisted && persisted.isPanel) {
+                return persisted.index;
+            }
+        }
+
+        var active = parseInt($container.attr('data-active'), 10);
+
+        if (active >= 1 && active <= $tabs.length) {
+            return active - 1;
+        }
+
+        var marked = -1;
+        $tabs.each(function(index) {
+            if ($(this).hasClass('active') || $(this).parent('li').hasClass('active')) {
+                marked = index;
+                return false;
+            }
+        });
+
+        return marked >= 0 ? marked : 0;
+    };
+
+    /**
+     * Activate a tab by index
+     *
+     * @param {jQuery} $container The tab container
+     * @param {number} index      Zero-based tab index
+     * @param {Object} options    focus: move focus to the tab, silent: skip events
+     *                            and URL updates, fromHistory: the URL already
+     *                            reflects this tab (back/forward), don't push,
+     *                            push: add a history entry (a click) instead of
+     *                            replacing the current one (keyboard, scripts)
+     */
+    HTHPlugin.tabs.activate = function($container, index, options) {
+        options = options || {};
+
+        var $tabs = ownElements($container, $container.find(TAB_SELECTOR));
+        var $tab = $tabs.eq(index);
+
+        if (!$tab.length) {
+            return;
+        }
+
+        $tabs.each(function() {
+            var $other = $(this);
+            var selected = this === $tab[0];
+
+            $other
+                .toggleClass('active', selected)
+                .attr({ 'aria-selected': selected ? 'true' : 'false', tabindex: selected ? '0' : '-1' })
+                .parent('li').toggleClass('active', selected);
+
+            getPanel($other).toggleClass('active', selected).prop('hidden', !selected);
+        });
+
+        if (options.focus) {
+            $tab.trigger('focus');
+        }
+
+        var panelId = getPanel($tab).attr('id');
+
+        if (isPersistent($container) && panelId) {
+            writePersisted($container, panelId);
+        }
+
+        // Put the tab in the URL so it can be linked to; a click adds a
+        // history entry so Back returns to the previous tab, while arrow keys
+        // only replace it (walking through tabs shouldn't fill the history).
+        // Both change the hash without jumping.
+        if (!options.silent && !options.fromHistory && panelId && getHashId() !== panelId && window.history.pushState) {
+            window.history[options.push ? 'pushState' : 'replaceState']({ hthTab: panelId }, '', '#' + panelId);
+        }
+
+        if (!options.silent) {
+            var target = '#' + panelId;
+
+            // Both event names are kept for code written against the old implementations
+            $container.trigger('hth:tab:changed', [target, $tab]);
+            $container.trigger('hth:tab:activated', [target]);
+        }
+    };
 
     // Initialize when document is ready
     $(document).ready(function() {
-        initShortcodeTabs();
-        initTabKeyboardNavigation();
+        HTHPlugin.tabs.init();
     });
 
     // Re-initialize if new content is loaded via AJAX
-    $(document).on('hth:content:loaded', function() {
-        initShortcodeTabs();
-        initTabKeyboardNavigation();
+    $(document).on('hth:content:loaded', function(e, context) {
+        HTHPlugin.tabs.init(context);
+    });
+
+    // Follow back/forward navigation and links to #panel-id
+    $(window).on('popstate hashchange', function() {
+        HTHPlugin.tabs.syncWithHash();
     });
 
 })(jQuery);
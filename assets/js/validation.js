@@ -0,0 +1,584 @@
+/**
+ * HTH Sample Plugin - Form Validation
+ *
+ * Shared validation engine for front-end shortcode forms (ajax-form.js)
+ * and admin forms (admin.js). Understands HTML5 constraints, custom
+ * data-hth-rule rules and asynchronous server-side rules, and renders
+ * accessible inline error messages.
+ *
+ * Custom rules are listed in data-hth-rule, separated by "|", with an
+ * optional parameter after ":" - for example:
+ *   <input name="isbn" data-hth-rule="isbn">
+ *   <input name="email_confirm" data-hth-rule="match:user_email">
+ *   <input name="username" data-hth-rule="remote:hth_check_username">
+ * A message can be overridden per rule with data-hth-message-{rule}.
+ */
+
+(function($) {
+    'use strict';
+
+    // Plugin namespace
+    window.HTHPlugin = window.HTHPlugin || {};
+
+    /**
+     * Localized settings from enqueue-scripts.php
+     */
+    var settings = window.hthValidation || {};
+
+    /**
+     * Fields the engine looks at: everything a user can fill in
+     * Disabled fields are skipped - they are not submitted either
+     */
+    var FIELD_SELECTOR = 'input, select, textarea';
+    var SKIP_SELECTOR = ':disabled, [type="hidden"], [type="submit"], [type="button"], [type="reset"], [type="image"]';
+
+    var fieldCounter = 0;
+
+    /**
+     * Replace {0} in a message with a rule parameter
+     */
+    function format(message, param) {
+        return String(message).replace('{0}', param);
+    }
+
+    /**
+     * Read a field's value, handling checkboxes and radio groups
+     */
+    function getValue($field) {
+        var type = ($field.attr('type') || '').toLowerCase();
+
+        if (type === 'checkbox' || type === 'radio') {
+            var $group = $field.closest('form').find('[name="' + $field.attr('name') + '"]');
+            return $group.filter(':checked').length ? $group.filter(':checked').val() : '';
+        }
+
+        if (type === 'file') {
+            return $field[0].files && $field[0].files.length ? $field[0].files : '';
+        }
+
+        var value = $field.val();
+        return $.isArray(value) ? value.join(',') : $.trim(value || '');
+    }
+
+    /**
+     * Ensure a field has an id, so its error message can be referenced
+     */
+    function ensureId($field) {
+        if (!$field.attr('id')) {
+            fieldCounter++;
+            $field.attr('id', 'hth-field-' + fieldCounter);
+        }
+        return $field.attr('id');
+    }
+
+    /**
+     * Where the error message goes: after the field, or after the last
+     * option of a checkbox/radio group
+     */
+    function getErrorAnchor($field) {
+        var type = ($field.attr('type') || '').toLowerCase();
+
+        if (type === 'checkbox' || type === 'radio') {
+            var $group = $field.closest('form').find('[name="' + $field.attr('name') + '"]');
+            var $last = $group.last();
+            return $last.parent('label').length ? $last.parent('label') : $last;
+        }
+
+        return $field;
+    }
+
+    HTHPlugin.validation = {};
+
+    /**
+     * Default error messages
+     */
+    HTHPlugin.validation.messages = {
+        required: 'This field is required.',
+        email: 'Please enter a valid email address.',
+        url: 'Please enter a valid URL.',
+        number: 'Please enter a number.',
+        tel: 'Please enter a valid phone number.',
+        minlength: 'Please enter at least {0} characters.',
+        maxlength: 'Please enter no more than {0} characters.',
+        pattern: 'Please match the requested format.',
+        min: 'Please enter a value of at least {0}.',
+        max: 'Please enter a value no greater than {0}.',
+        isbn: 'Please enter a valid ISBN-10 or ISBN-13.',
+        match: 'This field does not match.',
+        remote: 'This value is not accepted.',
+        invalid: 'Please correct this field.'
+    };
+
+    /**
+     * ISBN helpers (used by the isbn rule)
+     */
+    HTHPlugin.validation.isbn = {
+        /**
+         * Strip hyphens and spaces, upper-case the X check digit
+         */
+        clean: function(value) {
+            return String(value || '').replace(/[\s-]/g, '').toUpperCase();
+        },
+
+        /**
+         * ISBN-10: weighted sum (10..1) must be divisible by 11; X = 10
+         */
+        isValid10: function(value) {
+            var isbn = HTHPlugin.validation.isbn.clean(value);
+
+            if (!/^\d{9}[\dX]$/.test(isbn)) {
+                return false;
+            }
+
+            var sum = 0;
+            for (var i = 0; i < 10; i++) {
+                var digit = isbn.charAt(i) === 'X' ? 10 : parseInt(isbn.charAt(i), 10);
+                sum += digit * (10 - i);
+            }
+
+            return sum % 11 === 0;
+        },
+
+        /**
+         * ISBN-13: alternating 1/3 weights, sum must be divisible by 10
+         */
+        isValid13: function(value) {
+            var isbn = HTHPlugin.validation.isbn.clean(value);
+
+            if (!/^97[89]\d{10}$/.test(isbn)) {
+                return false;
+            }
+
+            var sum = 0;
+            for (var i = 0; i < 13; i++) {
+                sum += parseInt(isbn.charAt(i), 10) * (i % 2 === 0 ? 1 : 3);
+            }
+
+            return sum % 10 === 0;
+        },
+
+        isValid: function(value) {
+            return HTHPlugin.validation.isbn.isValid10(value) || HTHPlugin.validation.isbn.isValid13(value);
+        },
+
+        /**
+         * Convert a valid ISBN-10 to ISBN-13 (978 prefix, new check digit)
+         *
+         * @return {string|null} The ISBN-13, or null when value is not a valid ISBN-10
+         */
+        to13: function(value) {
+            var isbn = HTHPlugin.validation.isbn.clean(value);
+
+            if (!HTHPlugin.validation.isbn.isValid10(isbn)) {
+                return null;
+            }
+
+            var digits = '978' + isbn.substr(0, 9);
+            var sum = 0;
+
+            for (var i = 0; i < 12; i++) {
+                sum += parseInt(digits.charAt(i), 10) * (i % 2 === 0 ? 1 : 3);
+            }
+
+            return digits + ((10 - sum % 10) % 10);
+        },
+
+        /**
+         * Convert a valid ISBN-13 to ISBN-10
+         *
+         * Only 978 ISBNs have an ISBN-10; 979 ones were never issued as ISBN-10.
+         *
+         * @return {string|null} The ISBN-10, or null when there is none
+         */
+        to10: function(value) {
+            var isbn = HTHPlugin.validation.isbn.clean(value);
+
+            if (!HTHPlugin.validation.isbn.isValid13(isbn) || isbn.substr(0, 3) !== '978') {
+                return null;
+            }
+
+            var digits = isbn.substr(3, 9);
+            var sum = 0;
+
+            for (var i = 0; i < 9; i++) {
+                sum += parseInt(digits.charAt(i), 10) * (10 - i);
+            }
+
+            var check = (11 - sum % 11) % 11;
+
+            return digits + (check === 10 ? 'X' : String(check));
+        }
+    };
+
+    /**
+     * Rule registry
+     *
+     * Each rule's validate(value, $field, param) returns:
+     * - true when the value is valid
+     * - false to fail with the rule's default message
+     * - a string to fail with that message
+     * - a jQuery promise resolving to any of the above (async rules)
+     */
+    HTHPlugin.validation.rules = {
+        required: function(value) {
+            return value !== '' && value !== null && value !== undefined;
+        },
+
+        email: function(value) {
+            return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+        },
+
+        url: function(value) {
+            return /^https?:\/\/[^\s\/$.?#].[^\s]*$/i.test(value);
+        },
+
+        number: function(value) {
+            return value !== '' && !isNaN(value) && isFinite(value);
+        },
+
+        tel: function(value) {
+            return /^\+?[\d\s().-]{6,20}$/.test(value) && value.replace(/\D/g, '').length >= 6;
+        },
+
+        minlength: function(value, $field, param) {
+            return String(value).length >= parseInt(param, 10);
+        },
+
+        maxlength: function(value, $field, param) {
+            return String(value).length <= parseInt(param, 10);
+        },
+
+        pattern: function(value, $field, param) {
+            // HTML5 patterns must match the whole value
+            try {
+                return new RegExp('^(?:' + param + ')$').test(value);
+            } catch (e) {
+                return true;
+            }
+        },
+
+        min: function(value, $field, param) {
+            return parseFloat(value) >= parseFloat(param);
+        },
+
+        max: function(value, $field, param) {
+            return parseFloat(value) <= parseFloat(param);
+        },
+
+        isbn: function(value) {
+            return HTHPlugin.validation.isbn.isValid(value);
+        },
+
+        match: function(value, $field, param) {
+            return value === getValue($field.closest('form').find('[name="' + param + '"]').first());
+        },
+
+        /**
+         * Ask the server: posts { action: param, field, value, nonce } to admin-ajax.php
+         * and expects wp_send_json_success() or wp_send_json_error(array('message' => ...)).
+         * Handlers must check the nonce with check_ajax_referer('hth_validation_nonce', 'nonce');
+         * hth_check_username_handler() in shortcodes.php is an example.
+         */
+        remote: function(value, $field, param) {
+            var deferred = $.Deferred();
+
+            $.ajax({
+                url: settings.ajaxUrl || window.ajaxurl,
+                type: 'POST',
+                data: {
+                    action: param,
+                    field: $field.attr('name'),
+                    value: value,
+                    nonce: settings.nonce
+                }
+            }).done(function(response) {
+                if (response && response.success) {
+                    deferred.resolve(true);
+                } else {
+                    deferred.resolve((response && response.data && response.data.message) || false);
+                }
+            }).fail(function() {
+                // Don't block the user when the check itself fails;
+                // the server validates again on submit
+                deferred.resolve(true);
+            });
+
+            return deferred.promise();
+        }
+    };
+
+    /**
+     * Rules that run on empty fields; all others only check entered values
+     */
+    HTHPlugin.validation.runOnEmpty = {
+        required: true
+    };
+
+    /**
+     * Register a custom rule
+     *
+     * @param {string}   name     Rule name, used in data-hth-rule
+     * @param {Function} validate validate(value, $field, param)
+     * @param {string}   message  Default error message ({0} = param)
+     * @param {Object}   options  runOnEmpty: also check fields left empty
+     */
+    HTHPlugin.validation.addRule = function(name, validate, message, options) {
+        HTHPlugin.validation.rules[name] = validate;
+
+        if (message) {
+            HTHPlugin.validation.messages[name] = message;
+        }
+
+        if (options && options.runOnEmpty) {
+            HTHPlugin.validation.runOnEmpty[name] = true;
+        }
+    };
+
+    /**
+     * Collect the rules that apply to a field, in the order they run
+     *
+     * @return {Array} List of { name, param }
+     */
+    HTHPlugin.validation.getRules = function($field) {
+        var rules = [];
+        var type = ($field.attr('type') || '').toLowerCase();
+
+        if ($field.prop('required') || $field.attr('aria-required') === 'true') {
+            rules.push({ name: 'required' });
+        }
+
+        if (type === 'email' || type === 'url' || type === 'number' || type === 'tel') {
+            rules.push({ name: type });
+        }
+
+        $.each(['minlength', 'maxlength', 'pattern', 'min', 'max'], function(i, attr) {
+            var param = $field.attr(attr);
+
+            // Browsers report maxlength="-1" when none is set
+            if (param !== undefined && param !== '' && !(attr === 'maxlength' && parseInt(param, 10) < 0)) {
+                rules.push({ name: attr, param: param });
+            }
+        });
+
+        $.each(String($field.attr('data-hth-rule') || '').split('|'), function(i, rule) {
+            rule = $.trim(rule);
+
+            if (rule) {
+                var separator = rule.indexOf(':');
+                rules.push(separator === -1
+                    ? { name: rule }
+                    : { name: rule.slice(0, separator), param: rule.slice(separator + 1) });
+            }
+        });
+
+        return rules;
+    };
+
+    /**
+     * Validate one field and update its error state
+     *
+     * @return {Promise} Resolves with { valid, message, $field }
+     */
+    HTHPlugin.validation.validateField = function($field) {
+        var deferred = $.Deferred();
+        var rules = HTHPlugin.validation.getRules($field);
+        var value = getValue($field);
+        var token = ($field.data('hthValidationToken') || 0) + 1;
+        var index = 0;
+
+        // Only the most recent run may update the field (async rules can finish late)
+        $field.data('hthValidationToken', token);
+
+        function finish(valid, message) {
+            if ($field.data('hthValidationToken') === token) {
+                if (valid) {
+                    HTHPlugin.validation.clearError($field);
+                } else {
+                    HTHPlugin.validation.showError($field, message);
+                }
+            }
+            deferred.resolve({ valid: valid, message: message || '', $field: $field });
+        }
+
+        function next() {
+            if (index >= rules.length) {
+                finish(true);
+                return;
+            }
+
+            var rule = rules[index++];
+            var validate = HTHPlugin.validation.rules[rule.name];
+
+            // Optional fields are only checked once something is entered
+            if (!validate || (value === '' && !HTHPlugin.validation.runOnEmpty[rule.name])) {
+                next();
+                return;
+            }
+
+            $.when(validate(value, $field, rule.param)).done(function(result) {
+                if (result === true || result === undefined) {
+                    next();
+                    return;
+                }
+
+                var message = typeof result === 'string'
+                    ? result
+                    : $field.attr('data-hth-message-' + rule.name) ||
+                        $field.attr('data-hth-message') ||
+                        HTHPlugin.validation.messages[rule.name] ||
+                        HTHPlugin.validation.messages.invalid;
+
+                finish(false, format(message, rule.param));
+            });
+        }
+
+        next();
+
+        return deferred.promise();
+    };
+
+    /**
+     * Get the fields of a form that take part in validation
+     */
+    HTHPlugin.validation.getFields = function($form) {
+        var seen = {};
+
+        return $form.find(FIELD_SELECTOR).not(SKIP_SELECTOR).filter(function() {
+            var type = (this.type || '').toLowerCase();
+
+            // Validate each checkbox/radio group once
+            if ((type === 'checkbox' || type === 'radio') && this.name) {
+                if (seen[this.name]) {
+                    return false;
+                }
+                seen[this.name] = true;
+            }
+
+            return true;
+        });
+    };
+
+    /**
+     * Validate every field in a form (or in any container, e.g. a fieldset)
+     *
+     * @return {Promise} Resolves with { valid, errors: [{ $field, message }] }
+     */
+    HTHPlugin.validation.validateForm = function($form) {
+        var deferred = $.Deferred();
+        var checks = [];
+
+        HTHPlugin.validation.getFields($form).each(function() {
+            checks.push(HTHPlugin.validation.validateField($(this)));
+        });
+
+        $.when.apply($, checks).done(function() {
+            var errors = [];
+
+            $.each(arguments, function(i, result) {
+                if (result && !result.valid) {
+                    errors.push(result);
+                }
+            });
+
+            deferred.resolve({ valid: errors.length === 0, errors: errors });
+        });
+
+        return deferred.promise();
+    };
+
+    /**
+     * Show an inline error message on a field
+     *
+     * Adds aria-invalid and links the message with aria-describedby so
+     * screen readers announce it together with the field.
+     */
+    HTHPlugin.validation.showError = function($field, message) {
+        var fieldId = ensureId($field);
+        var errorId = fieldId + '-error';
+        var $error = $(document.getElementById(errorId));
+        var describedBy = ($field.attr('aria-describedby') || '').split(/\s+/);
+
+        if (!$error.length) {
+            $error = $('<span class="hth-field-error" role="alert"></span>').attr('id', errorId);
+            getErrorAnchor($field).after($error);
+        }
+
+        $error.text(message);
+
+        if ($.inArray(errorId, describedBy) === -1) {
+            describedBy.push(errorId);
+        }
+
+        $field
+            .addClass('error')
+            .attr('aria-invalid', 'true')
+            .attr('aria-describedby', $.trim(describedBy.join(' ')));
+
+        // Admin forms style the wrapping .hth-form-field
+        $field.closest('.hth-form-field').addClass('error');
+    };
+
+    /**
+     * Remove a field's error state
+     */
+    HTHPlugin.validation.clearError = function($field) {
+        var errorId = $field.attr('id') ? $field.attr('id') + '-error' : null;
+
+        $field.removeClass('error').removeAttr('aria-invalid');
+        $field.closest('.hth-form-field').removeClass('error');
+
+        if (errorId) {
+            $(document.getElementById(errorId)).remove();
+
+            var describedBy = $.grep(($field.attr('aria-describedby') || '').split(/\s+/), function(id) {
+                return id && id !== errorId;
+            });
+
+            if (describedBy.length) {
+                $field.attr('aria-describedby', describedBy.join(' '));
+            } else {
+                $field.removeAttr('aria-describedby');
+            }
+        }
+    };
+
+    /**
+     * Clear every error in a form
+     */
+    HTHPlugin.validation.reset = function($form) {
+        $form.find(FIELD_SELECTOR).each(function() {
+            HTHPlugin.validation.clearError($(this));
+        });
+    };
+
+    /**
+     * Turn on real-time validation for a form
+     *
+     * Fields are checked when they lose focus; once a field has an error,
+     * it is re-checked as the user types so the message clears promptly.
+     */
+    HTHPlugin.validation.bind = function($form) {
+        if ($form.data('hthValidationBound')) {
+            return;
+        }
+
+        $form.data('hthValidationBound', true).attr('novalidate', 'novalidate');
+
+        $form.on('blur', FIELD_SELECTOR, function() {
+            var $field = $(this);
+
+            if (!$field.is(SKIP_SELECTOR)) {
+                HTHPlugin.validation.validateField($field);
+            }
+        });
+
+        $form.on('input change', FIELD_SELECTOR, function() {
+            var $field = $(this);
+
+            if ($field.attr('aria-invalid') === 'true') {
+                HTHPlugin.validation.validateField($field);
+            }
+        });
+    };
+
+})(jQuery);
@@ -235,18 +235,54 @@ function hth_render_book_meta_box($post) {
     // - $single: true = return single value, false = return array
     $author = get_post_meta($post->ID, '_book_author', true);
     $isbn = get_post_meta($post->ID, '_book_isbn', true);
+    $authors = get_post_meta($post->ID, '_book_authors', true);
+    $editions = get_post_meta($post->ID, '_book_editions', true);
+
+    // _book_author is still written by the REST API and other code that only
+    // knows the plain "A, B" list. When it no longer matches the list, it is
+    // the newer value: rebuild the rows from it, keeping the role of anyone
+    // who was already listed.
+    if (!is_array($authors)) {
+        $authors = array();
+    }
+
+    if (implode(', ', array_filter(wp_list_pluck($authors, 'name'))) !== $author) {
+        $roles = wp_list_pluck($authors, 'role', 'name');
+        $authors = array();
+
+        foreach (array_filter(array_map('trim', explode(',', (string) $author))) as $name) {
+            $authors[] = array(
+                'name' => $name,
+                'role' => isset($roles[$name]) ? $roles[$name] : 'author',
+            );
+        }
+    }
+
+    $repeaters = hth_get_book_repeaters();
 
     // Create form fields with proper labeling and escaping
     // Note: Meta keys starting with underscore (_) are "private" and won't show in custom fields UI
-    echo '<p>';
-    echo '<label for="book_author">' . __('Author:', 'hth-sample-plugin') . '</label><br>';
-    echo '<input type="text" id="book_author" name="book_author" value="' . esc_attr($author) . '" class="widefat" />';
-    echo '</p>';
+    echo '<fieldset class="hth-repeater-fieldset">';
+    echo '<legend>' . __('Authors', 'hth-sample-plugin') . '</legend>';
+    hth_render_repeater('book_authors', $repeaters['book_authors'], $authors);
+    echo '</fieldset>';
 
     echo '<p>';
     echo '<label for="book_isbn">' . __('ISBN:', 'hth-sample-plugin') . '</label><br>';
-    echo '<input type="text" id="book_isbn" name="book_isbn" value="' . esc_attr($isbn) . '" class="widefat" />';
+    // data-hth-isbn turns on the live checks in admin.js (HTHAdmin.initIsbnField)
+    echo '<input type="text" id="book_isbn" name="book_isbn" value="' . esc_attr($isbn) . '" class="widefat"'
+        . ' data-hth-isbn data-hth-post-id="' . absint($post->ID) . '" autocomplete="off" spellcheck="false"'
+        . ' aria-describedby="book_isbn_status book_isbn_help" />';
     echo '</p>';
+    echo '<div id="book_isbn_status" class="hth-isbn-status" aria-live="polite"></div>';
+    // Hyphen positions depend on the ISBN agency's ranges, which the plugin
+    // doesn't ship, so valid ISBNs are kept as digits only
+    echo '<p id="book_isbn_help" class="description">' . __('Hyphens and spaces are removed: valid ISBNs are stored as digits only, e.g. 9780306406157.', 'hth-sample-plugin') . '</p>';
+
+    echo '<fieldset class="hth-repeater-fieldset">';
+    echo '<legend>' . __('Editions', 'hth-sample-plugin') . '</legend>';
+    hth_render_repeater('book_editions', $repeaters['book_editions'], is_array($editions) ? $editions : array());
+    echo '</fieldset>';
 }
 
 /**
@@ -276,24 +312,605 @@ function hth_save_book_details($post_id) {
     //     return;
     // }
 
-    // Save the author field
-    if (isset($_POST['book_author'])) {
-        // update_post_meta() parameters:
-        // - $post_id: ID of the post
-        // - $meta_key: Meta key to save
-        // - $meta_value: Value to save (sanitized)
-        update_post_meta($post_id, '_book_author', sanitize_text_field($_POST['book_author']));
-    }
+    // Save the authors; _book_author keeps a plain "A, B" list for the
+    // admin columns and the REST API
+    $repeaters = hth_get_book_repeaters();
+    $authors = isset($_POST['book_authors']) ? hth_sanitize_repeater(wp_unslash($_POST['book_authors']), $repeaters['book_authors']) : array();
+
+    // update_post_meta() parameters:
+    // - $post_id: ID of the post
+    // - $meta_key: Meta key to save
+    // - $meta_value: Value to save (sanitized)
+    update_post_meta($post_id, '_book_authors', $authors);
+    update_post_meta($post_id, '_book_author', implode(', ', array_filter(wp_list_pluck($authors, 'name'))));
 
-    // Save the ISBN field
+    // Save the ISBN field; valid ISBNs are stored without hyphens so they
+    // can be compared (see hth_find_books_by_isbn())
     if (isset($_POST['book_isbn'])) {
-        update_post_meta($post_id, '_book_isbn', sanitize_text_field($_POST['book_isbn']));
+        $isbn = sanitize_text_field(wp_unslash($_POST['book_isbn']));
+        update_post_meta($post_id, '_book_isbn', hth_isbn_type($isbn) ? hth_normalize_isbn($isbn) : $isbn);
     }
+
+    // Save the editions (removing every row posts nothing, which means none)
+    $editions = isset($_POST['book_editions']) ? hth_sanitize_repeater(wp_unslash($_POST['book_editions']), $repeaters['book_editions']) : array();
+    update_post_meta($post_id, '_book_editions', $editions);
 }
 
 // Hook to save_post action - this runs when any post is saved
 add_action('save_post', 'hth_save_book_details');
 
+// SECTION 3A: ISBN HELPERS
+// Checking, converting and finding ISBNs (assets/js/validation.js has the same checks)
+
+/**
+ * Function to normalize an ISBN
+ *
+ * Removes hyphens and spaces and upper-cases the X check digit, so
+ * "0-306-40615-2" and "0306406152" are stored and compared the same way.
+ *
+ * @param string $isbn ISBN as entered
+ * @return string Compact ISBN
+ */
+function hth_normalize_isbn($isbn) {
+    return strtoupper(preg_replace('/[\s-]+/', '', (string) $isbn));
+}
+
+/**
+ * Function to check an ISBN-10 or ISBN-13 checksum
+ *
+ * @param string $isbn ISBN, with or without hyphens
+ * @return int|false 10 or 13 for a valid ISBN, false otherwise
+ */
+function hth_isbn_type($isbn) {
+    $isbn = hth_normalize_isbn($isbn);
+
+    // ISBN-10: weighted sum (10..1) must be divisible by 11; X = 10
+    if (preg_match('/^\d{9}[\dX]$/', $isbn)) {
+        $sum = 0;
+        for ($i = 0; $i < 10; $i++) {
+            $sum += ($isbn[$i] === 'X' ? 10 : (int) $isbn[$i]) * (10 - $i);
+        }
+
+        return $sum % 11 === 0 ? 10 : false;
+    }
+
+    // ISBN-13: alternating 1/3 weights, sum must be divisible by 10
+    if (preg_match('/^97[89]\d{10}$/', $isbn)) {
+        $sum = 0;
+        for ($i = 0; $i < 13; $i++) {
+            $sum += (int) $isbn[$i] * ($i % 2 === 0 ? 1 : 3);
+        }
+
+        return $sum % 10 === 0 ? 13 : false;
+    }
+
+    return false;
+}
+
+/**
+ * Function to get both forms of a valid ISBN
+ *
+ * @param string $isbn ISBN-10 or ISBN-13
+ * @return array|false array('isbn10' => ..., 'isbn13' => ...), isbn10 is
+ *                     empty for 979 ISBNs; false when the ISBN is invalid
+ */
+function hth_isbn_forms($isbn) {
+    $isbn = hth_normalize_isbn($isbn);
+    $type = hth_isbn_type($isbn);
+
+    if ($type === 10) {
+        $digits = '978' . substr($isbn, 0, 9);
+        $sum = 0;
+        for ($i = 0; $i < 12; $i++) {
+            $sum += (int) $digits[$i] * ($i % 2 === 0 ? 1 : 3);
+        }
+
+        return array('isbn10' => $isbn, 'isbn13' => $digits . ((10 - $sum % 10) % 10));
+    }
+
+    if ($type === 13) {
+        // Only 978 ISBNs were ever issued as ISBN-10
+        if (substr($isbn, 0, 3) !== '978') {
+            return array('isbn10' => '', 'isbn13' => $isbn);
+        }
+
+        $digits = substr($isbn, 3, 9);
+        $sum = 0;
+        for ($i = 0; $i < 9; $i++) {
+            $sum += (int) $digits[$i] * (10 - $i);
+        }
+        $check = (11 - $sum % 11) % 11;
+
+        return array('isbn10' => $digits . ($check === 10 ? 'X' : $check), 'isbn13' => $isbn);
+    }
+
+    return false;
+}
+
+/**
+ * Function to find books that use an ISBN
+ *
+ * Matches the ISBN-10 and the ISBN-13 form, ignoring hyphens and spaces in
+ * the stored values (older books may have been saved hyphenated).
+ *
+ * @param string $isbn ISBN to look for
+ * @param int $exclude Book ID to leave out (the book being edited)
+ * @return array WP_Post objects of books in any status except trash
+ */
+function hth_find_books_by_isbn($isbn, $exclude = 0) {
+    global $wpdb;
+
+    $forms = hth_isbn_forms($isbn);
+    $values = $forms ? array_values(array_filter($forms)) : array_filter(array(hth_normalize_isbn($isbn)));
+
+    if (empty($values)) {
+        return array();
+    }
+
+    $placeholders = implode(', ', array_fill(0, count($values), '%s'));
+    $post_ids = $wpdb->get_col($wpdb->prepare(
+        "SELECT post_id FROM {$wpdb->postmeta}
+         WHERE meta_key = '_book_isbn'
+         AND UPPER(REPLACE(REPLACE(meta_value, '-', ''), ' ', '')) IN ($placeholders)",
+        $values
+    ));
+
+    $post_ids = array_diff(array_map('absint', $post_ids), array(absint($exclude)));
+
+    if (empty($post_ids)) {
+        return array();
+    }
+
+    return get_posts(array(
+        'post_type' => 'book',
+        'post__in' => $post_ids,
+        'post_status' => array('publish', 'future', 'draft', 'pending', 'private'),
+        'posts_per_page' => 10,
+    ));
+}
+
+// SECTION 3B: REPEATABLE FIELDS
+// Groups of fields the user can add, remove and reorder (assets/js/repeater.js)
+
+/**
+ * Function to describe the repeatable fields of the book meta box
+ *
+ * Every repeater lists its fields by key. A field of type 'repeater' is a
+ * nested repeater with the same options. Options:
+ * - row_label: Used in row titles ("Author 2") until the row has values
+ * - row_title: Summary shown in the row header, e.g. '{name} ({role})'
+ * - add_label: Text of the add button
+ * - min / max: Number of rows allowed (0 = no maximum)
+ * - collapsed: Whether saved rows start collapsed
+ *
+ * @return array Repeater configurations keyed by field name
+ */
+function hth_get_book_repeaters() {
+    $repeaters = array(
+        'book_authors' => array(
+            'row_label' => __('Author', 'hth-sample-plugin'),
+            'row_title' => '{name} ({role})',
+            'add_label' => __('Add author', 'hth-sample-plugin'),
+            'min' => 1,
+            'max' => 10,
+            'fields' => array(
+                'name' => array(
+                    'label' => __('Name', 'hth-sample-plugin'),
+                ),
+                'role' => array(
+                    'label' => __('Role', 'hth-sample-plugin'),
+                    'type' => 'select',
+                    'options' => array(
+                        'author' => __('Author', 'hth-sample-plugin'),
+                        'co-author' => __('Co-author', 'hth-sample-plugin'),
+                        'editor' => __('Editor', 'hth-sample-plugin'),
+                        'translator' => __('Translator', 'hth-sample-plugin'),
+                        'illustrator' => __('Illustrator', 'hth-sample-plugin'),
+                    ),
+                ),
+            ),
+        ),
+        'book_editions' => array(
+            'row_label' => __('Edition', 'hth-sample-plugin'),
+            'row_title' => '{edition} ({year})',
+            'add_label' => __('Add edition', 'hth-sample-plugin'),
+            'max' => 20,
+            'collapsed' => true,
+            'fields' => array(
+                'edition' => array(
+                    'label' => __('Edition', 'hth-sample-plugin'),
+                ),
+                'publisher' => array(
+                    'label' => __('Publisher', 'hth-sample-plugin'),
+                ),
+                'year' => array(
+                    'label' => __('Year', 'hth-sample-plugin'),
+                    'type' => 'number',
+                ),
+                // A nested repeater: each edition has its own formats
+                'formats' => array(
+                    'label' => __('Formats', 'hth-sample-plugin'),
+                    'type' => 'repeater',
+                    'row_label' => __('Format', 'hth-sample-plugin'),
+                    'row_title' => '{format}',
+                    'add_label' => __('Add format', 'hth-sample-plugin'),
+                    'max' => 5,
+                    'fields' => array(
+                        'format' => array(
+                            'label' => __('Format', 'hth-sample-plugin'),
+                            'type' => 'select',
+                            'options' => array(
+                                'hardcover' => __('Hardcover', 'hth-sample-plugin'),
+                                'paperback' => __('Paperback', 'hth-sample-plugin'),
+                                'ebook' => __('E-book', 'hth-sample-plugin'),
+                                'audiobook' => __('Audiobook', 'hth-sample-plugin'),
+                            ),
+                        ),
+                        'pages' => array(
+                            'label' => __('Pages', 'hth-sample-plugin'),
+                            'type' => 'number',
+                        ),
+                    ),
+                ),
+            ),
+        ),
+    );
+
+    // Let other code add fields (or repeaters) to the book meta box
+    return apply_filters('hth_book_repeaters', $repeaters);
+}
+
+/**
+ * Fill in the default repeater options
+ *
+ * @param array $config Repeater configuration
+ * @return array
+ */
+function hth_repeater_defaults($config) {
+    return wp_parse_args($config, array(
+        'row_label' => __('Row', 'hth-sample-plugin'),
+        'row_title' => '',
+        'add_label' => __('Add row', 'hth-sample-plugin'),
+        'min' => 0,
+        'max' => 0,
+        'collapsed' => false,
+        'fields' => array(),
+    ));
+}
+
+/**
+ * Function to render a repeater
+ *
+ * Saved rows are rendered with their values; a <template> holds an empty
+ * row that repeater.js copies when a row is added. Field names follow the
+ * row position ({name}[0][field]); repeater.js renumbers them after every
+ * add, remove or move, so the saved order is the order on screen.
+ *
+ * @param string $key Field key of the repeater
+ * @param array $config Repeater configuration (see hth_get_book_repeaters())
+ * @param array $rows Saved rows
+ * @param string $base Name of the row around a nested repeater, empty at the top level
+ */
+function hth_render_repeater($key, $config, $rows, $base = '') {
+    $config = hth_repeater_defaults($config);
+    $name = $base === '' ? $key : $base . '[' . $key . ']';
+    $rows = is_array($rows) ? array_values($rows) : array();
+
+    // Without JavaScript the minimum still has to be there
+    while (count($rows) < $config['min']) {
+        $rows[] = array();
+    }
+
+    echo '<div class="hth-repeater" data-hth-repeater="' . esc_attr($key) . '"'
+        . ' data-hth-min="' . absint($config['min']) . '"'
+        . ($config['max'] ? ' data-hth-max="' . absint($config['max']) . '"' : '')
+        . ' data-hth-row-label="' . esc_attr($config['row_label']) . '"'
+        . ' data-hth-row-title="' . esc_attr($config['row_title']) . '"'
+        . ' data-hth-collapsed="' . ($config['collapsed'] ? 'true' : 'false') . '">';
+
+    echo '<div class="hth-repeater-rows">';
+    foreach ($rows as $index => $row) {
+        hth_render_repeater_row($name . '[' . $index . ']', $config, $row, $index);
+    }
+    echo '</div>';
+
+    // The template is never submitted; __i__ is replaced when a row is added
+    echo '<template class="hth-repeater-template">';
+    hth_render_repeater_row($name . '[__i__]', $config, array(), 0);
+    echo '</template>';
+
+    echo '<button type="button" class="button hth-repeater-add">' . esc_html($config['add_label']) . '</button>';
+    echo '</div>';
+}
+
+/**
+ * Function to render one repeater row
+ *
+ * @param string $name Name prefix of the row, e.g. book_authors[2]
+ * @param array $config Repeater configuration
+ * @param array $row Saved values of the row
+ * @param int $index Position of the row
+ */
+function hth_render_repeater_row($name, $config, $row, $index) {
+    $title = sprintf('%s %d', $config['row_label'], $index + 1);
+
+    echo '<div class="hth-repeater-row">';
+
+    echo '<div class="hth-repeater-row-header">';
+    echo '<button type="button" class="hth-repeater-handle" aria-label="' . esc_attr(sprintf(__('Move %s', 'hth-sample-plugin'), $title)) . '">';
+    echo '<span class="dashicons dashicons-menu" aria-hidden="true"></span>';
+    echo '</button>';
+    echo '<button type="button" class="hth-repeater-toggle" aria-expanded="true">';
+    echo '<span class="hth-repeater-title">' . esc_html($title) . '</span>';
+    echo '</button>';
+    echo '<button type="button" class="button-link hth-repeater-remove">' . __('Remove', 'hth-sample-plugin') . '</button>';
+    echo '</div>';
+
+    echo '<div class="hth-repeater-row-body">';
+
+    foreach ($config['fields'] as $field_key => $field) {
+        $field = wp_parse_args($field, array('label' => $field_key, 'type' => 'text', 'options' => array()));
+        $value = isset($row[$field_key]) ? $row[$field_key] : '';
+
+        if ($field['type'] === 'repeater') {
+            echo '<fieldset class="hth-repeater-fieldset">';
+            echo '<legend>' . esc_html($field['label']) . '</legend>';
+            hth_render_repeater($field_key, $field, $value, $name);
+            echo '</fieldset>';
+            continue;
+        }
+
+        // The same id repeater.js builds from the name: book_authors_2_name
+        $field_name = $name . '[' . $field_key . ']';
+        $id = str_replace(array('][', '[', ']'), array('_', '_', ''), $field_name);
+
+        echo '<p class="hth-repeater-field">';
+        echo '<label for="' . esc_attr($id) . '">' . esc_html($field['label']) . '</label>';
+
+        if ($field['type'] === 'select') {
+            echo '<select id="' . esc_attr($id) . '" name="' . esc_attr($field_name) . '" data-hth-field="' . esc_attr($field_key) . '">';
+            echo '<option value="">' . __('— Select —', 'hth-sample-plugin') . '</option>';
+            foreach ($field['options'] as $option_value => $option_label) {
+                echo '<option value="' . esc_attr($option_value) . '"' . selected($value, $option_value, false) . '>' . esc_html($option_label) . '</option>';
+            }
+            echo '</select>';
+        } else {
+            echo '<input type="' . esc_attr($field['type']) . '" id="' . esc_attr($id) . '" name="' . esc_attr($field_name) . '"'
+                . ' data-hth-field="' . esc_attr($field_key) . '" value="' . esc_attr($value) . '" class="widefat" />';
+        }
+
+        echo '</p>';
+    }
+
+    echo '</div>';
+    echo '</div>';
+}
+
+/**
+ * Function to sanitize submitted repeater rows
+ *
+ * Keeps only the configured fields, drops empty rows and rows over the
+ * maximum, and returns the rows in the order they were submitted.
+ *
+ * @param mixed $rows Submitted rows (unslashed)
+ * @param array $config Repeater configuration
+ * @return array Clean rows
+ */
+function hth_sanitize_repeater($rows, $config) {
+    $config = hth_repeater_defaults($config);
+    $clean = array();
+
+    if (!is_array($rows)) {
+        return $clean;
+    }
+
+    foreach ($rows as $row) {
+        if (!is_array($row)) {
+            continue;
+        }
+
+        $item = array();
+        $has_value = false;
+
+        foreach ($config['fields'] as $field_key => $field) {
+            $field = wp_parse_args($field, array('type' => 'text', 'options' => array()));
+            $value = isset($row[$field_key]) ? $row[$field_key] : '';
+
+            switch ($field['type']) {
+                case 'repeater':
+                    $value = hth_sanitize_repeater($value, $field);
+                    break;
+                case 'number':
+                    $value = is_numeric($value) ? absint($value) : '';
+                    break;
+                case 'select':
+                    $value = is_string($value) && isset($field['options'][$value]) ? $value : '';
+                    break;
+                default:
+                    $value = is_string($value) ? sanitize_text_field($value) : '';
+            }
+
+            $item[$field_key] = $value;
+            $has_value = $has_value || !empty($value);
+        }
+
+        if ($has_value) {
+            $clean[] = $item;
+        }
+    }
+
+    if ($config['max']) {
+        $clean = array_slice($clean, 0, $config['max']);
+    }
+
+    return $clean;
+}
+
+// SECTION 3C: MEDIA FIELDS
+// Picking attachments from the media library (assets/js/media-field.js)
+
+/**
+ * Function to add the book media meta box
+ *
+ * The cover is a single image; the interior preview is a gallery of pages
+ * the reader can flip through.
+ */
+function hth_add_book_media_meta_box() {
+    add_meta_box(
+        'book_media',
+        __('Book Media', 'hth-sample-plugin'),
+        'hth_render_book_media_meta_box',
+        'book',
+        'side',
+        'default'
+    );
+}
+
+// Hook to add_meta_boxes action, like the book details meta box
+add_action('add_meta_boxes', 'hth_add_book_media_meta_box');
+
+/**
+ * Function to render the book media meta box
+ *
+ * @param WP_Post $post The post object being edited
+ */
+function hth_render_book_media_meta_box($post) {
+    wp_nonce_field('hth_save_book_media', 'hth_book_media_nonce');
+
+    echo '<p><strong>' . __('Cover', 'hth-sample-plugin') . '</strong></p>';
+    hth_render_media_field('book_cover', get_post_meta($post->ID, '_book_cover', true), array(
+        'select_label' => __('Select cover', 'hth-sample-plugin'),
+        'change_label' => __('Change cover', 'hth-sample-plugin'),
+    ));
+
+    echo '<p><strong>' . __('Interior preview', 'hth-sample-plugin') . '</strong></p>';
+    hth_render_media_field('book_gallery', get_post_meta($post->ID, '_book_gallery', true), array(
+        'gallery' => true,
+        'select_label' => __('Add pages', 'hth-sample-plugin'),
+    ));
+}
+
+/**
+ * Function to render a media field
+ *
+ * Attachments that were deleted from the library are left out, and files
+ * that are not images show their file type icon and name.
+ *
+ * @param string $name Input name
+ * @param int|array|string $ids Saved attachment ID(s), as an array or "1,2,3"
+ * @param array $args Options:
+ *                    - gallery: Allow several attachments (default false)
+ *                    - type: Library type, e.g. 'image', 'video' or '' for any (default 'image')
+ *                    - select_label: Text of the select button
+ *                    - change_label: Text of the select button when a single field has a value
+ *                    - title: Title of the media frame
+ *                    - button: Text of the media frame's button
+ */
+function hth_render_media_field($name, $ids, $args = array()) {
+    $args = wp_parse_args($args, array(
+        'gallery' => false,
+        'type' => 'image',
+        'select_label' => __('Select', 'hth-sample-plugin'),
+        'change_label' => __('Change', 'hth-sample-plugin'),
+        'title' => '',
+        'button' => __('Use selected', 'hth-sample-plugin'),
+    ));
+
+    $ids = array_filter(hth_sanitize_id_list($ids), function($id) {
+        return get_post_type($id) === 'attachment';
+    });
+
+    if (!$args['gallery']) {
+        $ids = array_slice($ids, 0, 1);
+    }
+
+    echo '<div class="hth-media-field" data-hth-media="' . ($args['gallery'] ? 'gallery' : 'single') . '"'
+        . ' data-hth-media-type="' . esc_attr($args['type']) . '"'
+        . ' data-hth-title="' . esc_attr($args['title'] ? $args['title'] : $args['select_label']) . '"'
+        . ' data-hth-button="' . esc_attr($args['button']) . '">';
+
+    echo '<input type="hidden" class="hth-media-ids" name="' . esc_attr($name) . '" value="' . esc_attr(implode(',', $ids)) . '" />';
+
+    echo '<ul class="hth-media-items">';
+    foreach ($ids as $id) {
+        $label = get_the_title($id);
+        $label = $label !== '' ? $label : basename(get_attached_file($id));
+        $is_image = wp_attachment_is_image($id);
+
+        echo '<li class="hth-media-item' . ($is_image ? '' : ' is-file') . '" data-id="' . absint($id) . '" tabindex="0" aria-label="' . esc_attr($label) . '">';
+
+        // The third argument falls back to the file type icon for other files
+        echo wp_get_attachment_image($id, 'thumbnail', !$is_image, array('alt' => ''));
+
+        if (!$is_image) {
+            echo '<span class="hth-media-filename">' . esc_html(basename(get_attached_file($id))) . '</span>';
+        }
+
+        echo '<button type="button" class="hth-media-remove" aria-label="' . esc_attr(sprintf(__('Remove %s', 'hth-sample-plugin'), $label)) . '">';
+        echo '<span class="dashicons dashicons-no-alt" aria-hidden="true"></span>';
+        echo '</button>';
+        echo '</li>';
+    }
+    echo '</ul>';
+
+    echo '<p class="hth-media-actions">';
+    echo '<button type="button" class="button hth-media-select" data-hth-label="' . esc_attr($args['select_label']) . '" data-hth-change-label="' . esc_attr($args['change_label']) . '">';
+    echo esc_html(!$args['gallery'] && $ids ? $args['change_label'] : $args['select_label']);
+    echo '</button> ';
+    echo '<button type="button" class="button-link hth-media-clear"' . ($ids ? '' : ' hidden') . '>' . __('Remove all', 'hth-sample-plugin') . '</button>';
+    echo '</p>';
+
+    echo '</div>';
+}
+
+/**
+ * Function to turn a list of IDs into an array of unique positive integers
+ *
+ * @param int|array|string $ids An ID, an array of IDs or "1,2,3"
+ * @return array IDs in their original order
+ */
+function hth_sanitize_id_list($ids) {
+    if (!is_array($ids)) {
+        $ids = explode(',', (string) $ids);
+    }
+
+    return array_values(array_unique(array_filter(array_map('absint', $ids))));
+}
+
+/**
+ * Function to save the book media meta box
+ *
+ * @param int $post_id The ID of the post being saved
+ */
+function hth_save_book_media($post_id) {
+    if (!isset($_POST['hth_book_media_nonce']) || !wp_verify_nonce($_POST['hth_book_media_nonce'], 'hth_save_book_media')) {
+        return;
+    }
+
+    if (defined('DOING_AUTOSAVE') && DOING_AUTOSAVE) {
+        return;
+    }
+
+    if (!current_user_can('edit_post', $post_id)) {
+        return;
+    }
+
+    $cover = isset($_POST['book_cover']) ? hth_sanitize_id_list($_POST['book_cover']) : array();
+    $gallery = isset($_POST['book_gallery']) ? hth_sanitize_id_list($_POST['book_gallery']) : array();
+
+    if ($cover) {
+        update_post_meta($post_id, '_book_cover', $cover[0]);
+    } else {
+        delete_post_meta($post_id, '_book_cover');
+    }
+
+    // Stored as an array so the order of the thumbnails is kept
+    update_post_meta($post_id, '_book_gallery', $gallery);
+}
+
+// Hook to save_post action; the nonce check limits it to the book screen
+add_action('save_post', 'hth_save_book_media');
+
 // SECTION 4: CUSTOM ADMIN COLUMNS
 // Adding custom columns to the admin post list table
 
@@ -399,6 +1016,90 @@ function hth_book_orderby($query) {
 // Hook to pre_get_posts action - this modifies queries before they run
 add_action('pre_get_posts', 'hth_book_orderby');
 
+// SECTION 6: BOOK MANAGER SCREEN
+// A single-page screen for triaging many books at once (assets/js/books-manager.js)
+
+/**
+ * Function to add the Book Manager screen under the Books menu
+ *
+ * add_submenu_page() with 'edit.php?post_type=book' as the parent puts the
+ * screen under Books; its hook name becomes 'book_page_hth-books'.
+ * The screen reads from /hth/v1/admin/books, which requires manage_options.
+ */
+function hth_add_books_manager_page() {
+    add_submenu_page(
+        'edit.php?post_type=book',                   // Parent menu (Books)
+        __('Book Manager', 'hth-sample-plugin'),     // Page title
+        __('Book Manager', 'hth-sample-plugin'),     // Menu title
+        'manage_options',                            // Capability required
+        'hth-books',                                 // Menu slug
+        'hth_display_books_manager'                  // Callback function
+    );
+}
+
+// Hook to admin_menu action
+add_action('admin_menu', 'hth_add_books_manager_page');
+
+/**
+ * Function to render the Book Manager screen
+ *
+ * Only the frame is rendered here; HTHAdmin.booksManager loads the books
+ * through the REST API and draws the grid, the facets and the pages.
+ */
+function hth_display_books_manager() {
+    echo '<div class="wrap hth-books-manager">';
+    echo '<h1 class="wp-heading-inline">' . __('Book Manager', 'hth-sample-plugin') . '</h1>';
+    echo '<a href="' . esc_url(admin_url('post-new.php?post_type=book')) . '" class="page-title-action">' . __('Add New', 'hth-sample-plugin') . '</a>';
+    echo '<hr class="wp-header-end">';
+
+    echo '<div id="hth-books-app">';
+
+    // Quick create: title, author and ISBN are enough to start a draft
+    echo '<form class="hth-books-create">';
+    echo '<h2>' . __('Quick Add', 'hth-sample-plugin') . '</h2>';
+    echo '<label for="hth-books-new-title">' . __('Title', 'hth-sample-plugin') . '</label>';
+    echo '<input type="text" id="hth-books-new-title" name="title" required>';
+    echo '<label for="hth-books-new-author">' . __('Author', 'hth-sample-plugin') . '</label>';
+    echo '<input type="text" id="hth-books-new-author" name="author">';
+    echo '<label for="hth-books-new-isbn">' . __('ISBN', 'hth-sample-plugin') . '</label>';
+    echo '<input type="text" id="hth-books-new-isbn" name="isbn">';
+    echo '<button type="submit" class="button button-primary">' . __('Add draft', 'hth-sample-plugin') . '</button>';
+    echo '</form>';
+
+    echo '<div class="hth-books-layout">';
+
+    echo '<div class="hth-books-facets">';
+    echo '<label for="hth-books-search">' . __('Search books', 'hth-sample-plugin') . '</label>';
+    echo '<input type="search" id="hth-books-search" placeholder="' . esc_attr__('Title, author or ISBN', 'hth-sample-plugin') . '">';
+    echo '<fieldset class="hth-books-genres">';
+    echo '<legend>' . __('Genres', 'hth-sample-plugin') . '</legend>';
+    echo '<div class="hth-books-genre-list"></div>';
+    echo '</fieldset>';
+    echo '</div>';
+
+    echo '<div class="hth-books-main">';
+    echo '<p class="hth-books-summary" aria-live="polite">' . __('Loading books…', 'hth-sample-plugin') . '</p>';
+    echo '<table class="wp-list-table widefat fixed striped hth-books-grid">';
+    echo '<thead><tr>';
+    echo '<th scope="col" class="column-title">' . __('Title', 'hth-sample-plugin') . '</th>';
+    echo '<th scope="col" class="column-author">' . __('Author', 'hth-sample-plugin') . '</th>';
+    echo '<th scope="col" class="column-isbn">' . __('ISBN', 'hth-sample-plugin') . '</th>';
+    echo '<th scope="col" class="column-genres">' . __('Genres', 'hth-sample-plugin') . '</th>';
+    echo '<th scope="col" class="column-status">' . __('Status', 'hth-sample-plugin') . '</th>';
+    echo '<th scope="col" class="column-actions">' . __('Actions', 'hth-sample-plugin') . '</th>';
+    echo '</tr></thead>';
+    echo '<tbody></tbody>';
+    echo '</table>';
+    echo '<div class="tablenav bottom hth-books-pages"></div>';
+    echo '</div>';
+
+    echo '</div>';
+    echo '</div>';
+
+    echo '<noscript><p>' . __('The Book Manager needs JavaScript. Use the Books list instead.', 'hth-sample-plugin') . '</p></noscript>';
+    echo '</div>';
+}
+
 /**
  * ADDITIONAL LEARNING RESOURCES AND TIPS:
  * 
@@ -425,8 +1126,8 @@ add_action('pre_get_posts', 'hth_book_orderby');
  * 
  * 6. Advanced Meta Box Features:
  *    - Use wp_editor() for rich text fields
- *    - Add media upload buttons with wp_enqueue_media()
- *    - Create repeatable fields with JavaScript
+ *    - Add media upload buttons with wp_enqueue_media() (see SECTION 3C)
+ *    - Create repeatable fields with JavaScript (see SECTION 3B)
  * 
  * 7. Performance Considerations:
  *    - Use meta_query carefully (can be slow)
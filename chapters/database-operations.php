@@ -252,6 +252,12 @@ function hth_get_custom_data($limit = null, $order_by = 'id', $order = 'ASC')
 
     $table_name = $wpdb->prefix . 'hth_custom_table';
 
+    // Column names and sort direction can't be passed through $wpdb->prepare(),
+    // so only accept known values
+    $columns = hth_custom_data_columns();
+    $order_by = isset($columns[$order_by]) ? $order_by : 'id';
+    $order = strtoupper($order) === 'DESC' ? 'DESC' : 'ASC';
+
     // Build the query with optional parameters
     $sql = "SELECT * FROM $table_name ORDER BY $order_by $order";
     
@@ -309,9 +315,10 @@ function hth_get_custom_data_by_id($id)
  * - Case-insensitive searching
  * 
  * @param string $search_term The term to search for
+ * @param int $limit Optional. Maximum number of records
  * @return array Array of matching records
  */
-function hth_search_custom_data($search_term)
+function hth_search_custom_data($search_term, $limit = null)
 {
     global $wpdb;
 
@@ -322,12 +329,159 @@ function hth_search_custom_data($search_term)
 
     // Use prepare for safe LIKE queries
     $sql = $wpdb->prepare("SELECT * FROM $table_name WHERE name LIKE %s", $search_term);
+
+    if ($limit !== null) {
+        $sql .= " LIMIT " . absint($limit);
+    }
     
     $results = $wpdb->get_results($sql, ARRAY_A);
 
     return $results;
 }
 
+/**
+ * Columns of the custom table that can be sorted and filtered
+ *
+ * The type decides how a filter matches: "number" columns match exactly,
+ * the others match any part of the value.
+ *
+ * @return array Column name => type (number, text or date)
+ */
+function hth_custom_data_columns()
+{
+    return array(
+        'id' => 'number',
+        'name' => 'text',
+        'value' => 'text',
+        'created_at' => 'date'
+    );
+}
+
+/**
+ * Function to count all records in the custom table
+ *
+ * @return int Number of records
+ */
+function hth_count_custom_data()
+{
+    global $wpdb;
+
+    $table_name = $wpdb->prefix . 'hth_custom_table';
+
+    // get_var() returns the first column of the first row
+    return (int) $wpdb->get_var("SELECT COUNT(*) FROM $table_name");
+}
+
+/**
+ * Function to retrieve one page of filtered, sorted data
+ *
+ * Used by the admin table when there are too many records to sort and
+ * filter in the browser.
+ *
+ * Demonstrates:
+ * - Building a WHERE clause from optional filters
+ * - LIMIT/OFFSET pagination
+ * - Counting the total matches for the pagination controls
+ *
+ * @param array $args {
+ *     @type int    $per_page Records per page (1-100). Default 20.
+ *     @type int    $page     Page number, starting at 1. Default 1.
+ *     @type string $order_by Column from hth_custom_data_columns(). Default 'id'.
+ *     @type string $order    ASC or DESC. Default 'ASC'.
+ *     @type array  $filters  Column => search term.
+ * }
+ * @return array rows, total (matching records), page and per_page
+ */
+function hth_query_custom_data($args = array())
+{
+    global $wpdb;
+
+    $table_name = $wpdb->prefix . 'hth_custom_table';
+    $columns = hth_custom_data_columns();
+
+    $args = wp_parse_args($args, array(
+        'per_page' => 20,
+        'page' => 1,
+        'order_by' => 'id',
+        'order' => 'ASC',
+        'filters' => array()
+    ));
+
+    // Filters: exact match for numbers, partial match for everything else
+    $where = array();
+    $params = array();
+
+    foreach ((array) $args['filters'] as $column => $term) {
+        $term = trim((string) $term);
+
+        if ($term === '' || !isset($columns[$column])) {
+            continue;
+        }
+
+        if ($columns[$column] === 'number') {
+            $where[] = "$column = %d";
+            $params[] = absint($term);
+        } else {
+            $where[] = "$column LIKE %s";
+            $params[] = '%' . $wpdb->esc_like($term) . '%';
+        }
+    }
+
+    $where_sql = $where ? 'WHERE ' . implode(' AND ', $where) : '';
+
+    // Whitelist the sort column and direction (see hth_get_custom_data())
+    $order_by = isset($columns[$args['order_by']]) ? $args['order_by'] : 'id';
+    $order = strtoupper($args['order']) === 'DESC' ? 'DESC' : 'ASC';
+
+    $per_page = min(100, max(1, absint($args['per_page'])));
+    $page = max(1, absint($args['page']));
+
+    $count_sql = "SELECT COUNT(*) FROM $table_name $where_sql";
+    $total = (int) $wpdb->get_var($params ? $wpdb->prepare($count_sql, $params) : $count_sql);
+
+    // Sorting by ID second keeps the order stable between pages
+    $sql = $wpdb->prepare(
+        "SELECT * FROM $table_name $where_sql ORDER BY $order_by $order, id ASC LIMIT %d OFFSET %d",
+        array_merge($params, array($per_page, ($page - 1) * $per_page))
+    );
+
+    return array(
+        'rows' => $wpdb->get_results($sql, ARRAY_A),
+        'total' => $total,
+        'page' => $page,
+        'per_page' => $per_page
+    );
+}
+
+/**
+ * Read table state (sorting, filters, page) from request parameters
+ *
+ * The admin table keeps this state in the URL (?orderby=name&order=desc&
+ * paged=2&per_page=50&filter_name=foo), and sends the same parameters
+ * with its AJAX requests.
+ *
+ * @param array $request Usually $_GET or $_POST
+ * @return array Arguments for hth_query_custom_data()
+ */
+function hth_custom_data_query_args($request)
+{
+    $filters = array();
+
+    foreach (array_keys(hth_custom_data_columns()) as $column) {
+        if (isset($request['filter_' . $column])) {
+            $filters[$column] = sanitize_text_field(wp_unslash($request['filter_' . $column]));
+        }
+    }
+
+    return array(
+        'per_page' => isset($request['per_page']) ? absint($request['per_page']) : 20,
+        'page' => isset($request['paged']) ? absint($request['paged']) : 1,
+        'order_by' => isset($request['orderby']) ? sanitize_key($request['orderby']) : 'id',
+        'order' => isset($request['order']) ? sanitize_key($request['order']) : 'asc',
+        'filters' => $filters
+    );
+}
+
 // SECTION 4: UPDATE OPERATIONS
 // Modifying existing data
 
@@ -485,48 +639,155 @@ function hth_delete_all_custom_data($reset_auto_increment = false)
  */
 function hth_display_custom_data()
 {
-    // Get all data from the custom table
-    $data = hth_get_custom_data();
+    // Small tables are sorted, filtered and paged in the browser. Larger
+    // ones are queried page by page through hth_ajax_query_custom_data().
+    $total = hth_count_custom_data();
+    $server_mode = $total > apply_filters('hth_custom_data_client_limit', 200);
+
+    if ($server_mode) {
+        // Start from the state in the URL, so reloading keeps the view
+        $query = hth_query_custom_data(hth_custom_data_query_args($_GET));
+        $data = $query['rows'];
+    } else {
+        // Get all data from the custom table
+        $data = hth_get_custom_data();
+    }
 
-    if (!empty($data)) {
-        echo '<div class="wrap">';
-        echo '<h2>' . __('Custom Data', 'hth-sample-plugin') . '</h2>';
-        
-        // Use WordPress admin table styling
-        echo '<table class="wp-list-table widefat fixed striped">';
-        echo '<thead>';
-        echo '<tr>';
-        echo '<th scope="col" class="manage-column">' . __('ID', 'hth-sample-plugin') . '</th>';
-        echo '<th scope="col" class="manage-column">' . __('Name', 'hth-sample-plugin') . '</th>';
-        echo '<th scope="col" class="manage-column">' . __('Value', 'hth-sample-plugin') . '</th>';
-        echo '<th scope="col" class="manage-column">' . __('Created', 'hth-sample-plugin') . '</th>';
-        echo '<th scope="col" class="manage-column">' . __('Actions', 'hth-sample-plugin') . '</th>';
-        echo '</tr>';
-        echo '</thead>';
-        echo '<tbody>';
+    echo '<div class="wrap">';
+    echo '<h1>' . __('Custom Data', 'hth-sample-plugin') . '</h1>';
+
+    // Nonce for the AJAX handlers below (read by admin.js)
+    wp_nonce_field('hth_custom_data', 'hth_nonce', false);
+
+    hth_render_admin_search();
+
+    // Add-row form, submitted via AJAX by HTHAdmin.initCustomData()
+    echo '<form class="hth-add-row-form">';
+    echo '<h2>' . __('Add New Item', 'hth-sample-plugin') . '</h2>';
+    echo '<div class="hth-form-field">';
+    echo '<label for="hth-new-name">' . __('Name', 'hth-sample-plugin') . '</label>';
+    echo '<input type="text" id="hth-new-name" name="name" maxlength="255" required>';
+    echo '</div>';
+    echo '<div class="hth-form-field">';
+    echo '<label for="hth-new-value">' . __('Value', 'hth-sample-plugin') . '</label>';
+    echo '<textarea id="hth-new-value" name="value" rows="2"></textarea>';
+    echo '</div>';
+    echo '<p><button type="submit" class="button button-primary">' . __('Add Item', 'hth-sample-plugin') . '</button></p>';
+    echo '</form>';
+
+    // Export and import, handled in the browser by custom-data.js
+    echo '<div class="hth-data-transfer">';
+    echo '<div class="hth-export">';
+    echo '<label for="hth-export-scope">' . __('Export', 'hth-sample-plugin') . '</label> ';
+    echo '<select id="hth-export-scope">';
+    echo '<option value="filtered">' . __('Rows matching the filters', 'hth-sample-plugin') . '</option>';
+    echo '<option value="all">' . __('All rows', 'hth-sample-plugin') . '</option>';
+    echo '</select> ';
+    echo '<button type="button" class="button hth-export-button" data-format="csv">' . __('Export CSV', 'hth-sample-plugin') . '</button> ';
+    echo '<button type="button" class="button hth-export-button" data-format="json">' . __('Export JSON', 'hth-sample-plugin') . '</button>';
+    echo '</div>';
+    echo '<button type="button" class="button hth-import-toggle" aria-expanded="false" aria-controls="hth-import">' . __('Import…', 'hth-sample-plugin') . '</button>';
+    echo '<div id="hth-import" class="hth-import" hidden>';
+    echo '<h2>' . __('Import Items', 'hth-sample-plugin') . '</h2>';
+    echo '<div class="hth-import-drop">';
+    echo '<input type="file" id="hth-import-file" accept=".csv,.json,text/csv,application/json">';
+    echo '<label for="hth-import-file">' . __('Drop a CSV or JSON file here, or click to choose one.', 'hth-sample-plugin') . '</label>';
+    echo '</div>';
+    echo '<div class="hth-import-preview" hidden></div>';
+    echo '<div class="hth-import-result" aria-live="polite"></div>';
+    echo '</div>';
+    echo '</div>';
+
+    // Use WordPress admin table styling
+    // The .hth-data-table class and data-id attributes are used by admin.js,
+    // the data-hth-* attributes by data-table.js (sorting, filters, paging)
+    printf(
+        '<table class="wp-list-table widefat fixed striped hth-data-table" data-hth-table="custom-data" data-hth-mode="%s" data-hth-action="hth_query_custom_data" data-hth-total="%d">',
+        $server_mode ? 'server' : 'client',
+        $server_mode ? $query['total'] : $total
+    );
+    echo '<thead>';
+    echo '<tr>';
+    echo '<td class="manage-column column-cb check-column"><input type="checkbox" class="hth-select-all" aria-label="' . esc_attr__('Select all', 'hth-sample-plugin') . '"></td>';
+    echo '<th scope="col" class="manage-column column-id" data-hth-column="id" data-hth-type="number">' . __('ID', 'hth-sample-plugin') . '</th>';
+    echo '<th scope="col" class="manage-column column-name" data-hth-column="name">' . __('Name', 'hth-sample-plugin') . '</th>';
+    echo '<th scope="col" class="manage-column column-value" data-hth-column="value">' . __('Value', 'hth-sample-plugin') . '</th>';
+    echo '<th scope="col" class="manage-column column-created" data-hth-column="created_at" data-hth-type="date">' . __('Created', 'hth-sample-plugin') . '</th>';
+    echo '<th scope="col" class="manage-column column-actions">' . __('Actions', 'hth-sample-plugin') . '</th>';
+    echo '</tr>';
+    echo '</thead>';
+    echo '<tbody>';
 
+    if (!empty($data)) {
         foreach ($data as $row) {
-            echo '<tr>';
-            echo '<td>' . esc_html($row['id']) . '</td>';
-            echo '<td>' . esc_html($row['name']) . '</td>';
-            echo '<td>' . esc_html($row['value']) . '</td>';
-            echo '<td>' . esc_html($row['created_at']) . '</td>';
-            echo '<td>';
-            echo '<a href="#" class="button button-small" onclick="editRecord(' . esc_attr($row['id']) . ')">' . __('Edit', 'hth-sample-plugin') . '</a> ';
-            echo '<a href="#" class="button button-small button-link-delete" onclick="deleteRecord(' . esc_attr($row['id']) . ')">' . __('Delete', 'hth-sample-plugin') . '</a>';
-            echo '</td>';
-            echo '</tr>';
+            hth_display_custom_data_row($row);
         }
-
-        echo '</tbody>';
-        echo '</table>';
-        echo '</div>';
     } else {
-        echo '<div class="wrap">';
-        echo '<h2>' . __('Custom Data', 'hth-sample-plugin') . '</h2>';
-        echo '<p>' . __('No data found.', 'hth-sample-plugin') . '</p>';
-        echo '</div>';
+        echo '<tr class="no-items"><td colspan="6">' . __('No data found.', 'hth-sample-plugin') . '</td></tr>';
     }
+
+    echo '</tbody>';
+    echo '</table>';
+    echo '</div>';
+}
+
+/**
+ * Output one row of the custom data table
+ *
+ * admin.js renders rows with the same markup after AJAX changes.
+ *
+ * @param array $row Record from hth_get_custom_data()
+ */
+function hth_display_custom_data_row($row)
+{
+    echo '<tr data-id="' . esc_attr($row['id']) . '">';
+    echo '<th scope="row" class="check-column"><input type="checkbox" class="hth-row-select" value="' . esc_attr($row['id']) . '" aria-label="' . esc_attr(sprintf(__('Select %s', 'hth-sample-plugin'), $row['name'])) . '"></th>';
+    echo '<td class="column-id">' . esc_html($row['id']) . '</td>';
+    echo '<td class="column-name">' . esc_html($row['name']) . '</td>';
+    echo '<td class="column-value">' . esc_html($row['value']) . '</td>';
+    echo '<td class="column-created">' . esc_html($row['created_at']) . '</td>';
+    echo '<td class="column-actions actions">';
+    echo '<button type="button" class="button button-small hth-edit-row">' . __('Edit', 'hth-sample-plugin') . '</button> ';
+    echo '<button type="button" class="button button-small button-link-delete hth-delete-row">' . __('Delete', 'hth-sample-plugin') . '</button>';
+    echo '</td>';
+    echo '</tr>';
+}
+
+/**
+ * Function to restore a deleted record with its original ID
+ *
+ * Used by the "Undo" after a delete. Inserting with an explicit ID puts
+ * the record back exactly as it was, so links and references keep working.
+ *
+ * @param array $row The deleted record (id, name, value, created_at)
+ * @return int|false The restored row ID, or false on failure
+ */
+function hth_restore_custom_data($row)
+{
+    global $wpdb;
+
+    $row = wp_parse_args($row, array('id' => 0, 'name' => '', 'value' => '', 'created_at' => current_time('mysql')));
+
+    $id = absint($row['id']);
+    if ($id <= 0 || hth_get_custom_data_by_id($id)) {
+        return false; // Invalid ID, or the ID is in use again
+    }
+
+    $table_name = $wpdb->prefix . 'hth_custom_table';
+
+    $result = $wpdb->insert(
+        $table_name,
+        array(
+            'id' => $id,
+            'name' => sanitize_text_field($row['name']),
+            'value' => sanitize_textarea_field($row['value']),
+            'created_at' => sanitize_text_field($row['created_at']),
+            'updated_at' => current_time('mysql')
+        ),
+        array('%d', '%s', '%s', '%s', '%s')
+    );
+
+    return $result !== false ? $id : false;
 }
 
 /**
@@ -578,6 +839,420 @@ function hth_add_custom_menu_item()
 // Hook to add menu item to admin
 add_action('admin_menu', 'hth_add_custom_menu_item');
 
+// SECTION 6B: AJAX HANDLERS
+// Create, update, delete, undo and paging for the admin table (used by admin.js)
+//
+// Every handler answers with the same structure as the [hth_ajax_form]
+// handler: wp_send_json_success(array('message' => ..., 'row' => ...)) or
+// wp_send_json_error(array('message' => ..., 'errors' => array(field => message))).
+
+/**
+ * Check the nonce and capability for custom data AJAX requests
+ *
+ * Ends the request with a 403 error if either check fails.
+ */
+function hth_custom_data_ajax_check()
+{
+    if (!check_ajax_referer('hth_custom_data', 'nonce', false)) {
+        wp_send_json_error(array('message' => __('Security check failed. Please reload the page.', 'hth-sample-plugin')), 403);
+    }
+
+    if (!current_user_can('manage_options')) {
+        wp_send_json_error(array('message' => __('You are not allowed to manage this data.', 'hth-sample-plugin')), 403);
+    }
+}
+
+/**
+ * Validate name/value input from an AJAX request
+ *
+ * @return array Field errors (empty when valid)
+ */
+function hth_custom_data_validate($name, $value)
+{
+    $errors = array();
+
+    if ($name === '') {
+        $errors['name'] = __('Please enter a name.', 'hth-sample-plugin');
+    } elseif (strlen($name) > 255) {
+        $errors['name'] = __('The name must be 255 characters or fewer.', 'hth-sample-plugin');
+    }
+
+    return $errors;
+}
+
+/**
+ * AJAX: create a record
+ */
+function hth_ajax_create_custom_data()
+{
+    hth_custom_data_ajax_check();
+
+    $name = isset($_POST['name']) ? sanitize_text_field(wp_unslash($_POST['name'])) : '';
+    $value = isset($_POST['value']) ? sanitize_textarea_field(wp_unslash($_POST['value'])) : '';
+    $errors = hth_custom_data_validate($name, $value);
+
+    if (!empty($errors)) {
+        wp_send_json_error(array('message' => __('Please correct the highlighted fields.', 'hth-sample-plugin'), 'errors' => $errors));
+    }
+
+    $id = hth_insert_custom_data($name, $value);
+
+    if (!$id) {
+        wp_send_json_error(array('message' => __('The item could not be saved.', 'hth-sample-plugin')), 500);
+    }
+
+    wp_send_json_success(array(
+        'message' => __('Item added.', 'hth-sample-plugin'),
+        'row' => hth_get_custom_data_by_id($id)
+    ));
+}
+add_action('wp_ajax_hth_create_custom_data', 'hth_ajax_create_custom_data');
+
+/**
+ * AJAX: update a record's name and value
+ */
+function hth_ajax_update_custom_data()
+{
+    hth_custom_data_ajax_check();
+
+    $id = isset($_POST['id']) ? absint($_POST['id']) : 0;
+    $name = isset($_POST['name']) ? sanitize_text_field(wp_unslash($_POST['name'])) : '';
+    $value = isset($_POST['value']) ? sanitize_textarea_field(wp_unslash($_POST['value'])) : '';
+
+    if (!hth_get_custom_data_by_id($id)) {
+        wp_send_json_error(array('message' => __('This item no longer exists.', 'hth-sample-plugin')), 404);
+    }
+
+    $errors = hth_custom_data_validate($name, $value);
+
+    if (!empty($errors)) {
+        wp_send_json_error(array('message' => __('Please correct the highlighted fields.', 'hth-sample-plugin'), 'errors' => $errors));
+    }
+
+    if (!hth_update_custom_data($id, $name, $value)) {
+        wp_send_json_error(array('message' => __('The item could not be saved.', 'hth-sample-plugin')), 500);
+    }
+
+    wp_send_json_success(array(
+        'message' => __('Item updated.', 'hth-sample-plugin'),
+        'row' => hth_get_custom_data_by_id($id)
+    ));
+}
+add_action('wp_ajax_hth_update_custom_data', 'hth_ajax_update_custom_data');
+
+/**
+ * AJAX: delete a record
+ *
+ * The deleted record is sent back so the browser can offer "Undo".
+ */
+function hth_ajax_delete_custom_data()
+{
+    hth_custom_data_ajax_check();
+
+    $id = isset($_POST['id']) ? absint($_POST['id']) : 0;
+    $row = hth_get_custom_data_by_id($id);
+
+    if (!$row) {
+        wp_send_json_error(array('message' => __('This item no longer exists.', 'hth-sample-plugin')), 404);
+    }
+
+    if (!hth_delete_custom_data($id)) {
+        wp_send_json_error(array('message' => __('The item could not be deleted.', 'hth-sample-plugin')), 500);
+    }
+
+    wp_send_json_success(array(
+        'message' => __('Item deleted.', 'hth-sample-plugin'),
+        'row' => $row
+    ));
+}
+add_action('wp_ajax_hth_delete_custom_data', 'hth_ajax_delete_custom_data');
+
+/**
+ * AJAX: undo a delete by restoring the record
+ */
+function hth_ajax_restore_custom_data()
+{
+    hth_custom_data_ajax_check();
+
+    $row = array(
+        'id' => isset($_POST['id']) ? absint($_POST['id']) : 0,
+        'name' => isset($_POST['name']) ? wp_unslash($_POST['name']) : '',
+        'value' => isset($_POST['value']) ? wp_unslash($_POST['value']) : '',
+        'created_at' => isset($_POST['created_at']) ? wp_unslash($_POST['created_at']) : current_time('mysql')
+    );
+
+    $id = hth_restore_custom_data($row);
+
+    if (!$id) {
+        wp_send_json_error(array('message' => __('The item could not be restored.', 'hth-sample-plugin')), 409);
+    }
+
+    wp_send_json_success(array(
+        'message' => __('Item restored.', 'hth-sample-plugin'),
+        'row' => hth_get_custom_data_by_id($id)
+    ));
+}
+add_action('wp_ajax_hth_restore_custom_data', 'hth_ajax_restore_custom_data');
+
+/**
+ * AJAX: delete several records (bulk action)
+ *
+ * admin.js sends large selections in chunks, so each request stays small.
+ * The deleted records are sent back for "Undo".
+ */
+function hth_ajax_bulk_delete_custom_data()
+{
+    hth_custom_data_ajax_check();
+
+    $ids = isset($_POST['ids']) ? array_map('absint', (array) $_POST['ids']) : array();
+    $deleted = array();
+
+    foreach ($ids as $id) {
+        $row = hth_get_custom_data_by_id($id);
+
+        if ($row && hth_delete_custom_data($id)) {
+            $deleted[] = $row;
+        }
+    }
+
+    wp_send_json_success(array(
+        'message' => sprintf(_n('%d item deleted.', '%d items deleted.', count($deleted), 'hth-sample-plugin'), count($deleted)),
+        'rows' => $deleted
+    ));
+}
+add_action('wp_ajax_hth_bulk_delete_custom_data', 'hth_ajax_bulk_delete_custom_data');
+
+/**
+ * AJAX: undo a bulk delete by restoring the records
+ */
+function hth_ajax_bulk_restore_custom_data()
+{
+    hth_custom_data_ajax_check();
+
+    $rows = isset($_POST['rows']) ? wp_unslash((array) $_POST['rows']) : array();
+    $restored = array();
+
+    foreach ($rows as $row) {
+        if (is_array($row) && ($id = hth_restore_custom_data($row))) {
+            $restored[] = hth_get_custom_data_by_id($id);
+        }
+    }
+
+    wp_send_json_success(array(
+        'message' => sprintf(_n('%d item restored.', '%d items restored.', count($restored), 'hth-sample-plugin'), count($restored)),
+        'rows' => $restored
+    ));
+}
+add_action('wp_ajax_hth_bulk_restore_custom_data', 'hth_ajax_bulk_restore_custom_data');
+
+/**
+ * AJAX: set the value of several records (bulk action)
+ *
+ * Takes rows of { id, value }, so the same handler undoes the change with
+ * the previous values it sends back. Names are left as they are.
+ */
+function hth_ajax_bulk_update_custom_data()
+{
+    hth_custom_data_ajax_check();
+
+    $rows = isset($_POST['rows']) ? wp_unslash((array) $_POST['rows']) : array();
+    $updated = array();
+    $previous = array();
+
+    foreach ($rows as $row) {
+        $existing = is_array($row) && isset($row['id']) ? hth_get_custom_data_by_id(absint($row['id'])) : null;
+
+        if (!$existing) {
+            continue;
+        }
+
+        $value = isset($row['value']) ? sanitize_textarea_field($row['value']) : '';
+
+        if (hth_update_custom_data($existing['id'], $existing['name'], $value)) {
+            $previous[] = array('id' => $existing['id'], 'value' => $existing['value']);
+            $updated[] = hth_get_custom_data_by_id($existing['id']);
+        }
+    }
+
+    wp_send_json_success(array(
+        'message' => sprintf(_n('%d item updated.', '%d items updated.', count($updated), 'hth-sample-plugin'), count($updated)),
+        'rows' => $updated,
+        'previous' => $previous
+    ));
+}
+add_action('wp_ajax_hth_bulk_update_custom_data', 'hth_ajax_bulk_update_custom_data');
+
+/**
+ * AJAX: import a batch of records
+ *
+ * custom-data.js parses the file in the browser and sends the rows in
+ * batches of { line, name, value }. Every row is validated and inserted on
+ * its own, and the result is reported per row (by its row number in the file),
+ * so one bad row doesn't stop the rest.
+ */
+function hth_ajax_import_custom_data()
+{
+    hth_custom_data_ajax_check();
+
+    $rows = isset($_POST['rows']) ? wp_unslash((array) $_POST['rows']) : array();
+
+    if (count($rows) > 100) {
+        wp_send_json_error(array('message' => __('Send at most 100 rows per request.', 'hth-sample-plugin')), 400);
+    }
+
+    $results = array();
+    $inserted = array();
+
+    foreach ($rows as $row) {
+        $line = isset($row['line']) ? absint($row['line']) : 0;
+        $name = isset($row['name']) ? sanitize_text_field($row['name']) : '';
+        $value = isset($row['value']) ? sanitize_textarea_field($row['value']) : '';
+        $errors = hth_custom_data_validate($name, $value);
+
+        if (!empty($errors)) {
+            $results[] = array('line' => $line, 'success' => false, 'message' => implode(' ', $errors));
+            continue;
+        }
+
+        $id = hth_insert_custom_data($name, $value);
+
+        if (!$id) {
+            $results[] = array('line' => $line, 'success' => false, 'message' => __('The item could not be saved.', 'hth-sample-plugin'));
+            continue;
+        }
+
+        $results[] = array('line' => $line, 'success' => true, 'id' => $id);
+        $inserted[] = hth_get_custom_data_by_id($id);
+    }
+
+    wp_send_json_success(array(
+        'message' => sprintf(_n('%d item imported.', '%d items imported.', count($inserted), 'hth-sample-plugin'), count($inserted)),
+        'results' => $results,
+        'rows' => $inserted
+    ));
+}
+add_action('wp_ajax_hth_import_custom_data', 'hth_ajax_import_custom_data');
+
+// SECTION 6C: ADMIN SEARCH
+// One search box for books, genres and custom data (HTHAdmin.initSearch in admin.js)
+
+/**
+ * Output the admin search box
+ *
+ * admin.js turns it into an autocomplete with results grouped by type.
+ */
+function hth_render_admin_search()
+{
+    echo '<div class="hth-admin-search">';
+    echo '<label for="hth-search-input">' . __('Search books, genres and custom data', 'hth-sample-plugin') . '</label>';
+    echo '<input type="search" id="hth-search-input" class="regular-text" autocomplete="off">';
+    echo '<div id="hth-search-results" class="hth-search-results"></div>';
+    wp_nonce_field('hth_search', 'hth_search_nonce', false);
+    echo '</div>';
+}
+
+/**
+ * AJAX: search books, genres and custom data
+ *
+ * Each type is only searched when the user may edit it. Every result has
+ * the same shape, so the browser can group and render them the same way:
+ * array('type' => ..., 'id' => ..., 'title' => ..., 'excerpt' => ..., 'url' => ...)
+ *
+ * Titles and excerpts are plain text; admin.js escapes them when it
+ * highlights the matched terms.
+ */
+function hth_ajax_search()
+{
+    if (!check_ajax_referer('hth_search', 'nonce', false)) {
+        wp_send_json_error(array('message' => __('Security check failed. Please reload the page.', 'hth-sample-plugin')), 403);
+    }
+
+    $query = isset($_GET['query']) ? sanitize_text_field(wp_unslash($_GET['query'])) : '';
+    $limit = apply_filters('hth_search_results_per_type', 5);
+    $results = array();
+
+    if (strlen($query) < 2) {
+        wp_send_json_success(array('results' => $results));
+    }
+
+    // Books: title and content, any status an editor can see
+    if (current_user_can('edit_posts')) {
+        $books = get_posts(array(
+            'post_type' => 'book',
+            'post_status' => array('publish', 'draft', 'pending', 'future', 'private'),
+            's' => $query,
+            'posts_per_page' => $limit
+        ));
+
+        // Results are inserted as text by admin.js, so send plain text:
+        // get_the_title() texturizes (&#8217;) and content holds entities
+        foreach ($books as $book) {
+            $text = wp_strip_all_tags($book->post_excerpt ? $book->post_excerpt : $book->post_content);
+
+            $results[] = array(
+                'type' => 'book',
+                'id' => $book->ID,
+                'title' => html_entity_decode(get_the_title($book), ENT_QUOTES, get_bloginfo('charset')),
+                'excerpt' => wp_trim_words(html_entity_decode($text, ENT_QUOTES, get_bloginfo('charset')), 15, '…'),
+                'url' => get_edit_post_link($book->ID, 'raw')
+            );
+        }
+    }
+
+    // Genres: term names
+    if (current_user_can('manage_categories')) {
+        $genres = get_terms(array(
+            'taxonomy' => 'genre',
+            'search' => $query,
+            'number' => $limit,
+            'hide_empty' => false
+        ));
+
+        if (!is_wp_error($genres)) {
+            foreach ($genres as $genre) {
+                $results[] = array(
+                    'type' => 'genre',
+                    'id' => $genre->term_id,
+                    'title' => html_entity_decode($genre->name, ENT_QUOTES, get_bloginfo('charset')), // Stored with &amp;
+                    'excerpt' => sprintf(_n('%d book', '%d books', $genre->count, 'hth-sample-plugin'), $genre->count),
+                    'url' => get_edit_term_link($genre->term_id, 'genre')
+                );
+            }
+        }
+    }
+
+    // Custom data: names; the link opens the table filtered to the record
+    if (current_user_can('manage_options')) {
+        foreach (hth_search_custom_data($query, $limit) as $row) {
+            $results[] = array(
+                'type' => 'custom_data',
+                'id' => (int) $row['id'],
+                'title' => $row['name'],
+                'excerpt' => wp_trim_words($row['value'], 15, '…'),
+                'url' => add_query_arg(array('page' => 'hth-custom-data', 'filter_id' => $row['id']), admin_url('admin.php'))
+            );
+        }
+    }
+
+    wp_send_json_success(array('results' => $results));
+}
+add_action('wp_ajax_hth_search', 'hth_ajax_search');
+
+/**
+ * AJAX: one page of records for the table's server mode
+ *
+ * Accepts the same parameters as the page URL (see hth_custom_data_query_args()).
+ */
+function hth_ajax_query_custom_data()
+{
+    hth_custom_data_ajax_check();
+
+    $query = hth_query_custom_data(hth_custom_data_query_args($_POST));
+
+    wp_send_json_success($query);
+}
+add_action('wp_ajax_hth_query_custom_data', 'hth_ajax_query_custom_data');
+
 // SECTION 7: PLUGIN LIFECYCLE HOOKS
 // Functions for plugin activation and deactivation
 
@@ -42,6 +42,114 @@
 // SECTION 1: FRONTEND ENQUEUING
 // Loading scripts and styles for the public-facing side of the website
 
+/**
+ * Enqueue the shared REST API client
+ *
+ * assets/js/api.js exposes HTHPlugin.api, a small wrapper around the hth/v1
+ * routes from Chapter 4. It is used on both the frontend and in the admin,
+ * so the enqueue and localization live in one place.
+ *
+ * The X-WP-Nonce header sent by the client must be created with the
+ * 'wp_rest' action - this is what WordPress checks for cookie authentication.
+ */
+function hth_enqueue_api_script() {
+    // wp_enqueue_script() ignores repeated calls, but localizing twice would
+    // print the data twice, so bail out early if we have already run
+    if (wp_script_is('hth-api-script', 'enqueued')) {
+        return;
+    }
+
+    wp_enqueue_script(
+        'hth-api-script',
+        plugin_dir_url(__FILE__) . '../assets/js/api.js',
+        array('jquery'),
+        '1.0.0',
+        true
+    );
+
+    wp_localize_script(
+        'hth-api-script',
+        'hthApi',
+        array(
+            'restUrl'   => rest_url('hth/v1/'),
+            'restNonce' => wp_create_nonce('wp_rest')
+        )
+    );
+}
+
+/**
+ * Register the shared notices script
+ *
+ * assets/js/notices.js exposes HTHPlugin.notices, used by
+ * HTHPlugin.showMessage() on the frontend and HTHAdmin.showNotice() in the
+ * admin. Registering it is enough: both scripts list it as a dependency.
+ */
+function hth_register_notices_script() {
+    if (wp_script_is('hth-notices-script', 'registered')) {
+        return;
+    }
+
+    wp_register_script(
+        'hth-notices-script',
+        plugin_dir_url(__FILE__) . '../assets/js/notices.js',
+        array('jquery'),
+        '1.0.0',
+        true
+    );
+}
+
+/**
+ * Register the shared form scripts
+ *
+ * - assets/js/validation.js exposes HTHPlugin.validation
+ * - assets/js/form-draft.js exposes HTHPlugin.formDraft (opt-in autosave)
+ * - assets/js/conditions.js exposes HTHPlugin.conditions (data-hth-show-if)
+ *
+ * Both the shortcode forms (ajax-form.js) and the admin forms (admin.js)
+ * list them as dependencies, so registering them is enough - WordPress
+ * enqueues them automatically when a script that needs them is enqueued.
+ *
+ * The nonce is sent with data-hth-rule="remote:..." checks.
+ */
+function hth_register_form_scripts() {
+    if (wp_script_is('hth-validation-script', 'registered')) {
+        return;
+    }
+
+    wp_register_script(
+        'hth-validation-script',
+        plugin_dir_url(__FILE__) . '../assets/js/validation.js',
+        array('jquery'),
+        '1.0.0',
+        true
+    );
+
+    wp_localize_script(
+        'hth-validation-script',
+        'hthValidation',
+        array(
+            'ajaxUrl' => admin_url('admin-ajax.php'),
+            'nonce'   => wp_create_nonce('hth_validation_nonce')
+        )
+    );
+
+    wp_register_script(
+        'hth-form-draft-script',
+        plugin_dir_url(__FILE__) . '../assets/js/form-draft.js',
+        array('jquery'),
+        '1.0.0',
+        true
+    );
+
+    wp_register_script(
+        'hth-conditions-script',
+        plugin_dir_url(__FILE__) . '../assets/js/conditions.js',
+        array('jquery', 'hth-validation-script'),
+        '1.0.0',
+        true
+    );
+}
+
 /**
  * Enqueue frontend scripts and styles
  * 
@@ -83,11 +191,28 @@ function hth_enqueue_frontend_scripts() {
         'all'                                               // Media type
     );
 
+    // Enqueue the shared REST API client (HTHPlugin.api)
+    // Other plugin scripts list it as a dependency instead of making their own requests
+    hth_enqueue_api_script();
+
+    // Register the tabs component (HTHPlugin.tabs)
+    // Registering makes it available as a dependency without loading it on its own
+    wp_register_script(
+        'hth-tabs-script',
+        plugin_dir_url(__FILE__) . '../assets/js/tabs.js',
+        array('jquery'),
+        '1.0.0',
+        true
+    );
+
+    // Register the notices used by HTHPlugin.showMessage()
+    hth_register_notices_script();
+
     // Enqueue main plugin script
     wp_enqueue_script(
         'hth-sample-plugin-script',                         // Handle
         plugin_dir_url(__FILE__) . '../assets/js/script.js', // URL (Note: file doesn't exist in this example)
-        array('jquery'),                                    // Dependencies (requires jQuery)
+        array('jquery', 'hth-api-script', 'hth-tabs-script', 'hth-notices-script'), // Dependencies (jQuery, API client, tabs, notices)
         '1.0.0',                                           // Version
         true                                               // Load in footer
     );
@@ -97,10 +222,17 @@ function hth_enqueue_frontend_scripts() {
         wp_enqueue_script(
             'hth-single-post-script',
             plugin_dir_url(__FILE__) . '../assets/js/single-post.js',
-            array('jquery'),
+            array('jquery', 'hth-sample-plugin-script'), // Uses the notices from script.js
             '1.0.0',
             true
         );
+
+        // Data for the time remaining and the saved reading position
+        $post_id = get_queried_object_id();
+        wp_localize_script('hth-single-post-script', 'hthSinglePost', array(
+            'id' => $post_id,
+            'readingTime' => hth_calculate_reading_time(get_post_field('post_content', $post_id))
+        ));
     }
 
     // Example: Conditional loading for specific post types
@@ -115,21 +247,53 @@ function hth_enqueue_frontend_scripts() {
         wp_enqueue_script(
             'hth-book-script',
             plugin_dir_url(__FILE__) . '../assets/js/book.js',
-            array('jquery', 'hth-sample-plugin-script'), // Multiple dependencies
+            array('jquery', 'hth-api-script', 'hth-sample-plugin-script'), // Multiple dependencies
             '1.0.0',
             true
         );
+
+        // Data for the reading progress bar, the view count and the readers badge
+        $book_id = get_queried_object_id();
+        wp_localize_script('hth-book-script', 'hthBook', array(
+            'id' => $book_id,
+            'readingTime' => hth_calculate_reading_time(get_post_field('post_content', $book_id)),
+            'viewCount' => (int) get_post_meta($book_id, '_view_count', true),
+            'heartbeat' => apply_filters('hth_reader_heartbeat', 30) // Seconds between reader heartbeats
+        ));
     }
 
     // Example: Load scripts for taxonomy archives
     if (is_tax('genre')) {
+        // The book card styles are shared with the genre archive
+        wp_enqueue_style(
+            'hth-book-style',
+            plugin_dir_url(__FILE__) . '../assets/css/book.css',
+            array('hth-sample-plugin-style'),
+            '1.0.0'
+        );
+
         wp_enqueue_script(
             'hth-genre-script',
             plugin_dir_url(__FILE__) . '../assets/js/genre.js',
-            array('jquery'),
+            array('jquery', 'hth-api-script', 'hth-sample-plugin-script'),
             '1.0.0',
             true
         );
+
+        // Data for the book list, the genre navigator and the page URLs
+        // pageUrl uses the same placeholder trick as paginate_links(): %#% is
+        // replaced with a page number, whatever the permalink structure
+        $genre = get_queried_object();
+        wp_localize_script('hth-genre-script', 'hthGenre', array(
+            'id' => $genre->term_id,
+            'slug' => $genre->slug,
+            'name' => $genre->name,
+            'page' => max(1, (int) get_query_var('paged')),
+            'perPage' => min(100, max(1, (int) get_option('posts_per_page'))),
+            'pageUrl' => str_replace(999999999, '%#%', get_pagenum_link(999999999, false)),
+            'firstUrl' => get_pagenum_link(1, false),
+            'userId' => get_current_user_id() // Keeps the grid/list choice separate per user
+        ));
     }
 }
 add_action('wp_enqueue_scripts', 'hth_enqueue_frontend_scripts');
@@ -172,18 +336,56 @@ function hth_enqueue_admin_scripts($hook) {
         'edit.php',           // Post list pages
         'post.php',           // Edit post page
         'post-new.php',       // New post page
-        'admin.php'           // Custom admin pages
+        'admin.php',          // Custom admin pages
+        'toplevel_page_hth-custom-data', // Custom Data page (add_menu_page() hook name)
+        'book_page_hth-books'           // Book Manager (add_submenu_page() under Books)
     );
 
     if (!in_array($hook, $allowed_pages)) {
         return; // Exit if not on allowed pages
     }
 
+    // Enqueue the shared REST API client so admin screens can use HTHPlugin.api
+    hth_enqueue_api_script();
+
+    // Admin forms use the shared validation engine, draft autosave and conditions
+    hth_register_form_scripts();
+
+    // Notices used by HTHAdmin.showNotice()
+    hth_register_notices_script();
+
+    // Sorting, column filters and pagination for .hth-data-table tables
+    wp_register_script(
+        'hth-data-table-script',
+        plugin_dir_url(__FILE__) . '../assets/js/data-table.js',
+        array('jquery'),
+        '1.0.0',
+        true
+    );
+
+    // Repeatable field groups in meta boxes; jQuery UI Sortable adds drag and drop
+    wp_register_script(
+        'hth-repeater-script',
+        plugin_dir_url(__FILE__) . '../assets/js/repeater.js',
+        array('jquery', 'jquery-ui-sortable'),
+        '1.0.0',
+        true
+    );
+
+    // Single and gallery media fields; jQuery UI Sortable orders the gallery
+    wp_register_script(
+        'hth-media-field-script',
+        plugin_dir_url(__FILE__) . '../assets/js/media-field.js',
+        array('jquery', 'jquery-ui-sortable'),
+        '1.0.0',
+        true
+    );
+
     // Enqueue admin JavaScript
     wp_enqueue_script(
         'hth-admin-script',
         plugin_dir_url(__FILE__) . '../assets/js/admin.js',
-        array('jquery', 'jquery-ui-core', 'jquery-ui-datepicker'),
+        array('jquery', 'jquery-ui-core', 'jquery-ui-datepicker', 'hth-api-script', 'hth-validation-script', 'hth-form-draft-script', 'hth-conditions-script', 'hth-data-table-script', 'hth-notices-script', 'hth-repeater-script', 'hth-media-field-script'),
         '1.0.0',
         true
     );
@@ -197,19 +399,38 @@ function hth_enqueue_admin_scripts($hook) {
         wp_enqueue_script('wp-color-picker');
         wp_enqueue_style('wp-color-picker');
         
-        // Enqueue custom script for our admin page
+        // Enqueue custom script for our admin page (CSV/JSON import and export)
         wp_enqueue_script(
             'hth-custom-data-script',
             plugin_dir_url(__FILE__) . '../assets/js/custom-data.js',
-            array('jquery', 'wp-color-picker', 'media-upload'),
+            array('jquery', 'wp-color-picker', 'media-upload', 'hth-admin-script'),
             '1.0.0',
             true
         );
     }
 
+    // Load only on the Book Manager screen
+    if ($hook === 'book_page_hth-books') {
+        wp_enqueue_script(
+            'hth-books-manager-script',
+            plugin_dir_url(__FILE__) . '../assets/js/books-manager.js',
+            array('jquery', 'hth-api-script', 'hth-validation-script', 'hth-admin-script'),
+            '1.0.0',
+            true
+        );
+
+        // Books created on the screen link to their edit screen
+        wp_localize_script('hth-books-manager-script', 'hthBooksManager', array(
+            'editUrl' => admin_url('post.php?action=edit&post=')
+        ));
+    }
+
     // Load only for book post type
     global $post_type;
     if ($post_type === 'book') {
+        // The media frame for the cover and interior preview fields
+        wp_enqueue_media();
+
         wp_enqueue_script(
             'hth-book-admin-script',
             plugin_dir_url(__FILE__) . '../assets/js/book-admin.js',
@@ -250,19 +471,31 @@ add_action('admin_enqueue_scripts', 'hth_enqueue_admin_scripts');
  */
 function hth_enqueue_ajax_scripts() {
     // Only load AJAX scripts where needed
-    if (!is_single('book') && !is_tax('genre')) {
+    // Note: is_singular('book') checks the post type; is_single('book') would
+    // look for a post with the slug "book" instead
+    global $post;
+    $has_catalog_shortcode = is_singular() && $post && has_shortcode($post->post_content, 'hth_book_catalog');
+
+    if (!is_singular('book') && !is_tax('genre') && !$has_catalog_shortcode) {
         return;
     }
 
-    // Enqueue the AJAX script
+    // Enqueue the AJAX script (the book catalog browser)
+    // It builds on the REST client and the utilities in script.js
     wp_enqueue_script(
         'hth-ajax-script',
         plugin_dir_url(__FILE__) . '../assets/js/ajax.js',
-        array('jquery'),
+        array('jquery', 'hth-api-script', 'hth-sample-plugin-script'),
         '1.0.0',
         true
     );
 
+    // On genre archives, pre-select the archive's genre in the catalog
+    $current_genre = '';
+    if (is_tax('genre')) {
+        $current_genre = get_queried_object()->slug;
+    }
+
     // Localize script with data for AJAX calls
     wp_localize_script(
         'hth-ajax-script',     // Script handle to attach data to
@@ -278,6 +511,7 @@ function hth_enqueue_ajax_scripts() {
             'currentPostId'    => get_queried_object_id(),
             'currentUserId'    => get_current_user_id(),
             'isUserLoggedIn'   => is_user_logged_in(),
+            'currentGenre'     => $current_genre,
             
             // Plugin configuration
             'pluginUrl'        => plugin_dir_url(__FILE__),
@@ -289,7 +523,21 @@ function hth_enqueue_ajax_scripts() {
                 'error'            => __('An error occurred. Please try again.', 'hth-sample-plugin'),
                 'success'          => __('Operation completed successfully.', 'hth-sample-plugin'),
                 'confirmDelete'    => __('Are you sure you want to delete this item?', 'hth-sample-plugin'),
-                'noResults'        => __('No results found.', 'hth-sample-plugin')
+                'noResults'        => __('No results found.', 'hth-sample-plugin'),
+                'searchBooks'      => __('Search books...', 'hth-sample-plugin'),
+                'allGenres'        => __('All genres', 'hth-sample-plugin'),
+                'previous'         => __('Previous', 'hth-sample-plugin'),
+                'next'             => __('Next', 'hth-sample-plugin'),
+                'pageOf'           => __('Page %1$d of %2$d', 'hth-sample-plugin'),
+                'sortBooks'        => __('Sort books', 'hth-sample-plugin'),
+                'newestFirst'      => __('Newest first', 'hth-sample-plugin'),
+                'oldestFirst'      => __('Oldest first', 'hth-sample-plugin'),
+                'titleAsc'         => __('Title A-Z', 'hth-sample-plugin'),
+                'titleDesc'        => __('Title Z-A', 'hth-sample-plugin'),
+                /* translators: %d: number of books (exactly one) */
+                'bookCount'        => __('%d book', 'hth-sample-plugin'),
+                /* translators: %d: number of books (more than one) */
+                'booksCount'       => __('%d books', 'hth-sample-plugin')
             ),
             
             // Feature flags
@@ -330,7 +578,8 @@ function hth_enqueue_shortcode_scripts() {
         has_shortcode($post->post_content, 'hth_button') ||
         has_shortcode($post->post_content, 'hth_box') ||
         has_shortcode($post->post_content, 'hth_tabs') ||
-        has_shortcode($post->post_content, 'hth_recent_posts')
+        has_shortcode($post->post_content, 'hth_recent_posts') ||
+        has_shortcode($post->post_content, 'hth_ajax_form')
     );
 
     if ($has_hth_shortcode) {
@@ -354,10 +603,49 @@ function hth_enqueue_shortcode_scripts() {
         }
 
         if (has_shortcode($post->post_content, 'hth_ajax_form')) {
+            // Validation engine and draft autosave used by ajax-form.js
+            hth_register_form_scripts();
+
+            // Offline queue: failed submissions are stored and retried
+            wp_register_script(
+                'hth-form-queue-script',
+                plugin_dir_url(__FILE__) . '../assets/js/form-queue.js',
+                array('jquery'),
+                '1.0.0',
+                true
+            );
+
+            // Drag-and-drop file fields with previews and limits
+            wp_register_script(
+                'hth-file-upload-script',
+                plugin_dir_url(__FILE__) . '../assets/js/file-upload.js',
+                array('jquery', 'hth-validation-script'),
+                '1.0.0',
+                true
+            );
+
+            // Multi-step (wizard) mode for long forms
+            wp_register_script(
+                'hth-form-wizard-script',
+                plugin_dir_url(__FILE__) . '../assets/js/form-wizard.js',
+                array('jquery', 'hth-validation-script', 'hth-conditions-script'),
+                '1.0.0',
+                true
+            );
+
+            // Client side of the spam protection (proof of work, throttling)
+            wp_register_script(
+                'hth-spam-guard-script',
+                plugin_dir_url(__FILE__) . '../assets/js/spam-guard.js',
+                array('jquery'),
+                '1.0.0',
+                true
+            );
+
             wp_enqueue_script(
                 'hth-ajax-form-script',
                 plugin_dir_url(__FILE__) . '../assets/js/ajax-form.js',
-                array('jquery'),
+                array('jquery', 'hth-validation-script', 'hth-form-draft-script', 'hth-conditions-script', 'hth-form-queue-script', 'hth-file-upload-script', 'hth-form-wizard-script', 'hth-spam-guard-script'),
                 '1.0.0',
                 true
             );
@@ -581,10 +869,27 @@ add_action('admin_enqueue_scripts', 'hth_enqueue_development_assets', 999);
  *        shortcodes.css (shortcode-specific styles)
  *        theme-compatibility.css (theme overrides)
  *      /js/
+ *        api.js (REST API client shared by frontend and admin)
  *        script.js (main frontend script)
  *        admin.js (admin area script)
+ *        data-table.js (sorting, filters and paging for admin tables)
+ *        custom-data.js (import/export on the Custom Data page)
+ *        notices.js (notices shared by frontend and admin)
+ *        repeater.js (repeatable field groups in meta boxes)
+ *        media-field.js (single and gallery media fields)
+ *        books-manager.js (the Book Manager screen)
+ *        book.js (reading progress and live stats on book pages)
+ *        genre.js (load more, genre navigator and views on genre archives)
+ *        single-post.js (table of contents and reader tools on single posts)
  *        ajax.js (AJAX functionality)
  *        tabs.js (tab shortcode script)
+ *        validation.js (form validation shared by frontend and admin)
+ *        form-queue.js (offline queue for AJAX form submissions)
+ *        file-upload.js (drag-and-drop file fields for AJAX forms)
+ *        form-wizard.js (multi-step mode for AJAX forms)
+ *        form-draft.js (draft autosave for frontend and admin forms)
+ *        conditions.js (conditional fields for frontend and admin forms)
+ *        spam-guard.js (spam protection for AJAX forms)
  *      /images/
  *        icons/ (plugin icons)
  *        backgrounds/ (background images)
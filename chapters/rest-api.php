@@ -110,6 +110,20 @@ function hth_register_books_endpoint() {
                     return is_string($param);
                 },
                 'sanitize_callback' => 'sanitize_text_field'
+            ),
+            'orderby' => array(
+                'description' => 'Field to sort books by',
+                'type' => 'string',
+                'default' => 'date',
+                'enum' => array('date', 'title', 'modified'),
+                'sanitize_callback' => 'sanitize_key'
+            ),
+            'order' => array(
+                'description' => 'Sort direction',
+                'type' => 'string',
+                'default' => 'desc',
+                'enum' => array('asc', 'desc'),
+                'sanitize_callback' => 'sanitize_key'
             )
         )
     ));
@@ -135,13 +149,17 @@ function hth_get_books(WP_REST_Request $request) {
     $page = $request->get_param('page');
     $search = $request->get_param('search');
     $genre = $request->get_param('genre');
+    $orderby = $request->get_param('orderby');
+    $order = $request->get_param('order');
 
     // Build query arguments
     $args = array(
         'post_type' => 'book',
         'posts_per_page' => $per_page,
         'paged' => $page,
-        'post_status' => 'publish'
+        'post_status' => 'publish',
+        'orderby' => $orderby,
+        'order' => strtoupper($order)
     );
 
     // Add search functionality
@@ -276,6 +294,88 @@ function hth_get_single_book(WP_REST_Request $request) {
     return rest_ensure_response($data);
 }
 
+/**
+ * Register endpoint to check an ISBN
+ * 
+ * Used by the book editor (HTHAdmin.initIsbnField) to warn about mistyped
+ * ISBNs and about other books that already use the same one. Drafts and
+ * private books count too, so only users who can edit posts may ask.
+ * 
+ * URL: /wp-json/hth/v1/books/isbn-check?isbn=0-306-40615-2&exclude=123
+ * Method: GET
+ * Purpose: Validate an ISBN and list books that use it
+ */
+function hth_register_isbn_check_endpoint() {
+    register_rest_route('hth/v1', '/books/isbn-check', array(
+        'methods' => 'GET',
+        'callback' => 'hth_check_isbn',
+        'permission_callback' => 'hth_isbn_check_permissions',
+        'args' => array(
+            'isbn' => array(
+                'description' => 'ISBN-10 or ISBN-13, hyphens allowed',
+                'type' => 'string',
+                'required' => true,
+                'sanitize_callback' => 'sanitize_text_field'
+            ),
+            'exclude' => array(
+                'description' => 'Book ID to leave out (the book being edited)',
+                'type' => 'integer',
+                'default' => 0,
+                'sanitize_callback' => 'absint'
+            )
+        )
+    ));
+}
+add_action('rest_api_init', 'hth_register_isbn_check_endpoint');
+
+/**
+ * Permission callback for the ISBN check
+ * 
+ * @param WP_REST_Request $request The REST API request object
+ * @return bool|WP_Error True if user has permission, error otherwise
+ */
+function hth_isbn_check_permissions(WP_REST_Request $request) {
+    if (!is_user_logged_in()) {
+        return new WP_Error('rest_forbidden', 'You must be logged in to check ISBNs', array('status' => 401));
+    }
+
+    if (!current_user_can('edit_posts')) {
+        return new WP_Error('rest_forbidden', 'You do not have permission to check ISBNs', array('status' => 403));
+    }
+
+    return true;
+}
+
+/**
+ * Callback function to check an ISBN
+ * 
+ * @param WP_REST_Request $request The REST API request object
+ * @return WP_REST_Response Validity, both ISBN forms and the duplicates
+ */
+function hth_check_isbn(WP_REST_Request $request) {
+    $isbn = $request->get_param('isbn');
+    $forms = hth_isbn_forms($isbn);
+
+    $duplicates = array();
+    foreach (hth_find_books_by_isbn($isbn, $request->get_param('exclude')) as $book) {
+        $duplicates[] = array(
+            'id' => $book->ID,
+            'title' => get_the_title($book),
+            'status' => $book->post_status,
+            'isbn' => get_post_meta($book->ID, '_book_isbn', true),
+            'edit_link' => current_user_can('edit_post', $book->ID) ? get_edit_post_link($book->ID, 'raw') : ''
+        );
+    }
+
+    return rest_ensure_response(array(
+        'isbn' => hth_normalize_isbn($isbn),
+        'valid' => $forms !== false,
+        'isbn10' => $forms ? $forms['isbn10'] : '',
+        'isbn13' => $forms ? $forms['isbn13'] : '',
+        'duplicates' => $duplicates
+    ));
+}
+
 // SECTION 2: TAXONOMY ENDPOINTS
 // Endpoints for retrieving taxonomy data
 
@@ -335,6 +435,7 @@ function hth_get_genres(WP_REST_Request $request) {
             'slug' => $genre->slug,
             'description' => $genre->description,
             'count' => $genre->count,
+            'parent' => $genre->parent, // 0 for top-level genres
             'link' => get_term_link($genre)
         );
     }
@@ -389,8 +490,8 @@ function hth_register_create_book_endpoint() {
                 'type' => 'string',
                 'validate_callback' => function($param, $request, $key) {
                     if (empty($param)) return true;
-                    // Basic ISBN validation (simplified)
-                    return preg_match('/^[0-9-]+$/', $param);
+                    // Basic ISBN validation (simplified); an ISBN-10 may end in X
+                    return preg_match('/^[0-9Xx -]+$/', $param);
                 },
                 'sanitize_callback' => 'sanitize_text_field'
             ),
@@ -503,6 +604,165 @@ function hth_create_book(WP_REST_Request $request) {
     return $response;
 }
 
+/**
+ * Register endpoints for book page statistics
+ * 
+ * Used by assets/js/book.js on single book pages:
+ * - /view counts a visit; the browser sends it once per session with
+ *   navigator.sendBeacon(), and the server ignores repeats from the same
+ *   visitor for 30 minutes
+ * - /presence is a heartbeat that keeps a reader in the "reading now"
+ *   count; readers who stop sending it drop out after a minute
+ * 
+ * Both are public (anonymous visitors read books too) and only touch
+ * published books.
+ * 
+ * URL: /wp-json/hth/v1/books/123/view and /wp-json/hth/v1/books/123/presence
+ * Method: POST
+ * Purpose: Count views and current readers
+ */
+function hth_register_book_stats_endpoints() {
+    $id_arg = array(
+        'description' => 'Book ID',
+        'type' => 'integer',
+        'validate_callback' => function($param, $request, $key) {
+            return is_numeric($param) && $param > 0;
+        },
+        'sanitize_callback' => 'absint'
+    );
+
+    register_rest_route('hth/v1', '/books/(?P<id>\d+)/view', array(
+        'methods' => 'POST',
+        'callback' => 'hth_record_book_view',
+        'permission_callback' => '__return_true',
+        'args' => array(
+            'id' => $id_arg
+        )
+    ));
+
+    register_rest_route('hth/v1', '/books/(?P<id>\d+)/presence', array(
+        'methods' => 'POST',
+        'callback' => 'hth_record_book_presence',
+        'permission_callback' => '__return_true',
+        'args' => array(
+            'id' => $id_arg,
+            'reader' => array(
+                'description' => 'Random ID the page picked for this reader',
+                'type' => 'string',
+                'required' => true,
+                'validate_callback' => function($param, $request, $key) {
+                    return is_string($param) && preg_match('/^[a-z0-9]{8,32}$/i', $param);
+                }
+            ),
+            'leave' => array(
+                'description' => 'The reader left the page',
+                'type' => 'boolean',
+                'default' => false,
+                'sanitize_callback' => 'rest_sanitize_boolean'
+            )
+        )
+    ));
+}
+add_action('rest_api_init', 'hth_register_book_stats_endpoints');
+
+/**
+ * Get a published book for the statistics endpoints
+ * 
+ * @param int $book_id Book ID
+ * @return WP_Post|WP_Error The book, or an error when there is no such published book
+ */
+function hth_get_public_book($book_id) {
+    $book = get_post($book_id);
+
+    if (!$book || $book->post_type !== 'book' || $book->post_status !== 'publish') {
+        return new WP_Error('book_not_found', 'Book not found', array('status' => 404));
+    }
+
+    return $book;
+}
+
+/**
+ * Callback function to count a book view
+ * 
+ * @param WP_REST_Request $request The REST API request object
+ * @return WP_REST_Response|WP_Error The view count and whether this view was counted
+ */
+function hth_record_book_view(WP_REST_Request $request) {
+    $book = hth_get_public_book($request->get_param('id'));
+
+    if (is_wp_error($book)) {
+        return $book;
+    }
+
+    // One view per visitor (IP address and browser) per 30 minutes, so
+    // reloading or a new tab does not count again
+    $visitor = isset($_SERVER['HTTP_USER_AGENT']) ? $_SERVER['HTTP_USER_AGENT'] : '';
+    $address = isset($_SERVER['REMOTE_ADDR']) ? $_SERVER['REMOTE_ADDR'] : '';
+    $seen_key = 'hth_view_' . md5($book->ID . '|' . $address . '|' . $visitor);
+    $counted = get_transient($seen_key) === false;
+
+    $count = (int) get_post_meta($book->ID, '_view_count', true);
+
+    if ($counted) {
+        $count++;
+        update_post_meta($book->ID, '_view_count', $count);
+        set_transient($seen_key, 1, 30 * MINUTE_IN_SECONDS);
+    }
+
+    return rest_ensure_response(array(
+        'view_count' => $count,
+        'counted' => $counted
+    ));
+}
+
+/**
+ * Callback function for the reader heartbeat
+ * 
+ * Readers are kept in a transient as reader ID => last heartbeat time.
+ * Two heartbeats at the same moment can overwrite each other; the next
+ * heartbeat (30 seconds later) puts the reader back, which is good enough
+ * for a "reading now" badge.
+ * 
+ * @param WP_REST_Request $request The REST API request object
+ * @return WP_REST_Response|WP_Error The number of current readers and the view count
+ */
+function hth_record_book_presence(WP_REST_Request $request) {
+    $book = hth_get_public_book($request->get_param('id'));
+
+    if (is_wp_error($book)) {
+        return $book;
+    }
+
+    $key = 'hth_readers_' . $book->ID;
+    $timeout = apply_filters('hth_reader_timeout', MINUTE_IN_SECONDS);
+    $now = time();
+    $readers = get_transient($key);
+    $readers = is_array($readers) ? $readers : array();
+
+    // Forget readers whose heartbeat stopped
+    foreach ($readers as $reader => $seen) {
+        if ($seen < $now - $timeout) {
+            unset($readers[$reader]);
+        }
+    }
+
+    $reader = $request->get_param('reader');
+
+    if ($request->get_param('leave')) {
+        unset($readers[$reader]);
+    } elseif (isset($readers[$reader]) || count($readers) < 1000) {
+        // The cap keeps the transient small if someone floods the endpoint
+        $readers[$reader] = $now;
+    }
+
+    set_transient($key, $readers, $timeout * 2);
+
+    return rest_ensure_response(array(
+        'readers' => count($readers),
+        'view_count' => (int) get_post_meta($book->ID, '_view_count', true)
+    ));
+}
+
 // SECTION 4: PUT/PATCH ENDPOINTS
 // Endpoints for updating existing data
 
@@ -552,7 +812,7 @@ function hth_register_update_book_endpoint() {
                 'type' => 'string',
                 'validate_callback' => function($param, $request, $key) {
                     if (empty($param)) return true;
-                    return preg_match('/^[0-9-]+$/', $param);
+                    return preg_match('/^[0-9Xx -]+$/', $param);
                 },
                 'sanitize_callback' => 'sanitize_text_field'
             ),
@@ -763,7 +1023,15 @@ function hth_delete_book(WP_REST_Request $request) {
     );
 
     // Delete the book
-    $result = wp_delete_post($book_id, $force);
+    // wp_delete_post() only moves posts and pages to the Trash; other post
+    // types are deleted for good, so books are trashed explicitly
+    if ($force) {
+        $result = wp_delete_post($book_id, true);
+    } elseif ($book->post_status === 'trash') {
+        return new WP_Error('book_already_trashed', 'The book is already in the Trash', array('status' => 410));
+    } else {
+        $result = wp_trash_post($book_id);
+    }
     
     if (!$result) {
         return new WP_Error('book_delete_failed', 'Failed to delete book', array('status' => 500));
@@ -772,12 +1040,72 @@ function hth_delete_book(WP_REST_Request $request) {
     // Return success response
     $response_data = array(
         'deleted' => true,
+        'trashed' => !$force,
         'previous' => $book_data
     );
 
     return rest_ensure_response($response_data);
 }
 
+/**
+ * Register endpoint for restoring a book from the Trash
+ * 
+ * Lets a delete be undone. Uses the same permission check as deleting.
+ * 
+ * URL: /wp-json/hth/v1/books/123/restore
+ * Method: POST
+ * Purpose: Take a book out of the Trash
+ */
+function hth_register_restore_book_endpoint() {
+    register_rest_route('hth/v1', '/books/(?P<id>\d+)/restore', array(
+        'methods' => 'POST',
+        'callback' => 'hth_restore_book',
+        'permission_callback' => 'hth_delete_book_permissions',
+        'args' => array(
+            'id' => array(
+                'description' => 'Book ID',
+                'type' => 'integer',
+                'validate_callback' => function($param, $request, $key) {
+                    return is_numeric($param) && $param > 0;
+                },
+                'sanitize_callback' => 'absint'
+            )
+        )
+    ));
+}
+add_action('rest_api_init', 'hth_register_restore_book_endpoint');
+
+/**
+ * Callback function to restore a book from the Trash
+ * 
+ * @param WP_REST_Request $request The REST API request object
+ * @return WP_REST_Response|WP_Error The restored book's ID and status, or an error
+ */
+function hth_restore_book(WP_REST_Request $request) {
+    $book_id = $request->get_param('id');
+    $book = get_post($book_id);
+
+    if (!$book || $book->post_status !== 'trash') {
+        return new WP_Error('book_not_trashed', 'The book is not in the Trash', array('status' => 409));
+    }
+
+    // Since WordPress 5.6 untrashed posts become drafts; put the book back
+    // in the status it had before it was trashed
+    add_filter('wp_untrash_post_status', 'wp_untrash_post_set_previous_status', 10, 3);
+    $result = wp_untrash_post($book_id);
+    remove_filter('wp_untrash_post_status', 'wp_untrash_post_set_previous_status', 10);
+
+    if (!$result) {
+        return new WP_Error('book_restore_failed', 'Failed to restore book', array('status' => 500));
+    }
+
+    return rest_ensure_response(array(
+        'restored' => true,
+        'id' => $book_id,
+        'status' => get_post_status($book_id)
+    ));
+}
+
 // SECTION 6: AUTHENTICATION AND SECURITY
 // Advanced authentication examples
 
@@ -828,22 +1156,31 @@ function hth_get_admin_books(WP_REST_Request $request) {
     $args = array(
         'post_type' => 'book',
         'posts_per_page' => -1,
-        'post_status' => array('publish', 'draft', 'private') // Include all statuses for admin
+        'post_status' => array('publish', 'draft', 'pending', 'future', 'private'), // Include all statuses for admin
+        'orderby' => 'title',
+        'order' => 'ASC'
     );
 
     $books = get_posts($args);
+
+    // Load every book's genres in one query instead of one per book
+    update_object_term_cache(wp_list_pluck($books, 'ID'), 'book');
     
     $data = array();
     foreach ($books as $book) {
+        $genres = get_the_terms($book->ID, 'genre');
+
         $data[] = array(
             'id' => $book->ID,
             'title' => $book->post_title,
             'status' => $book->post_status,
             'author' => get_post_meta($book->ID, '_book_author', true),
             'isbn' => get_post_meta($book->ID, '_book_isbn', true),
+            'genres' => is_array($genres) ? array_map('intval', wp_list_pluck($genres, 'term_id')) : array(),
             'date' => $book->post_date,
             'modified' => $book->post_modified,
-            'edit_link' => get_edit_post_link($book->ID),
+            // 'raw' keeps & unescaped; the link is used in JavaScript, not HTML
+            'edit_link' => get_edit_post_link($book->ID, 'raw'),
             'view_count' => get_post_meta($book->ID, '_view_count', true) ?: 0
         );
     }
@@ -912,7 +1249,10 @@ function hth_get_admin_books(WP_REST_Request $request) {
  * 
  * // GET books with search
  * GET /wp-json/hth/v1/books?search=fantasy
- * 
+ *
+ * // GET books sorted by title
+ * GET /wp-json/hth/v1/books?orderby=title&order=asc
+ *
  * // GET single book
  * GET /wp-json/hth/v1/books/123
  * 
@@ -1402,20 +1742,33 @@ function hth_cache_rest_response($response, $handler, $request) {
         return $response;
     }
 
+    // Only cache public routes: the cache key does not include the user, so
+    // a cached answer to a permission-checked route could reach anyone
+    if (!isset($handler['permission_callback']) || $handler['permission_callback'] !== '__return_true') {
+        return $response;
+    }
+
     // Generate cache key based on request
     $cache_key = 'hth_api_' . md5($request->get_route() . serialize($request->get_params()));
     
     // Try to get cached response
     $cached_response = wp_cache_get($cache_key, 'hth_api');
-    
+
     if ($cached_response !== false) {
-        // Return cached response
-        return rest_ensure_response($cached_response);
+        // Return cached response, restoring headers such as X-WP-Total
+        // so paginated clients still know how many pages there are
+        $response = rest_ensure_response($cached_response['data']);
+        $response->set_headers($cached_response['headers']);
+        return $response;
     }
 
-    // Cache the response for 5 minutes
+    // Cache the response (data and headers) for 5 minutes
     if (!is_wp_error($response)) {
-        wp_cache_set($cache_key, $response->get_data(), 'hth_api', 300);
+        $response = rest_ensure_response($response);
+        wp_cache_set($cache_key, array(
+            'data' => $response->get_data(),
+            'headers' => $response->get_headers()
+        ), 'hth_api', 300);
     }
 
     return $response;
@@ -1479,7 +1832,9 @@ function hth_get_api_docs(WP_REST_Request $request) {
                         'per_page' => 'Number of books per page (1-100)',
                         'page' => 'Page number',
                         'search' => 'Search term',
-                        'genre' => 'Filter by genre'
+                        'genre' => 'Filter by genre',
+                        'orderby' => 'Sort field (date, title, modified)',
+                        'order' => 'Sort direction (asc, desc)'
                     )
                 ),
                 'GET /books/{id}' => array(
@@ -1488,6 +1843,28 @@ function hth_get_api_docs(WP_REST_Request $request) {
                         'id' => 'Book ID'
                     )
                 ),
+                'GET /books/isbn-check' => array(
+                    'description' => 'Validate an ISBN and list other books using it',
+                    'authentication' => 'required',
+                    'parameters' => array(
+                        'isbn' => 'ISBN-10 or ISBN-13 (required)',
+                        'exclude' => 'Book ID to leave out'
+                    )
+                ),
+                'POST /books/{id}/view' => array(
+                    'description' => 'Count a view of a published book (once per visitor per 30 minutes)',
+                    'parameters' => array(
+                        'id' => 'Book ID'
+                    )
+                ),
+                'POST /books/{id}/presence' => array(
+                    'description' => 'Reader heartbeat; returns how many people are reading the book',
+                    'parameters' => array(
+                        'id' => 'Book ID',
+                        'reader' => 'Random reader ID, 8-32 letters or digits (required)',
+                        'leave' => 'True when the reader leaves the page'
+                    )
+                ),
                 'POST /books' => array(
                     'description' => 'Create new book',
                     'authentication' => 'required',
@@ -1516,17 +1893,24 @@ function hth_get_api_docs(WP_REST_Request $request) {
                     )
                 ),
                 'DELETE /books/{id}' => array(
-                    'description' => 'Delete book',
+                    'description' => 'Move a book to the Trash',
                     'authentication' => 'required',
                     'parameters' => array(
                         'id' => 'Book ID',
                         'force' => 'Force delete (bypass trash)'
                     )
+                ),
+                'POST /books/{id}/restore' => array(
+                    'description' => 'Restore a book from the Trash',
+                    'authentication' => 'required',
+                    'parameters' => array(
+                        'id' => 'Book ID'
+                    )
                 )
             ),
             'genres' => array(
                 'GET /genres' => array(
-                    'description' => 'Get all genres',
+                    'description' => 'Get all genres, with each genre\'s parent ID for building the hierarchy',
                     'parameters' => array(
                         'hide_empty' => 'Hide empty genres'
                     )
@@ -283,18 +283,30 @@ add_shortcode('hth_box', 'hth_box_shortcode');
  * This shortcode creates a tabbed interface.
  * Usage: [hth_tabs][hth_tab title="Tab 1"]Content 1[/hth_tab][hth_tab title="Tab 2"]Content 2[/hth_tab][/hth_tabs]
  * 
+ * Attributes:
+ * - active: (int) Which tab is open initially, 1-based (default: 1)
+ * - style: (string) Extra CSS class for the container
+ * - id: (string) Fixed ID for the tab set, for stable links to a tab
+ * - persist: (bool) Reopen the tab the visitor last viewed (default: false)
+ *
+ * Each tab can be linked to with #{id}-tab-{n} (n is 0-based), e.g.
+ * [hth_tabs id="faq"] gives #faq-tab-0, #faq-tab-1, ...
+ *
  * Demonstrates:
  * - Complex nested shortcode handling
  * - JavaScript interaction
  * - Multiple shortcodes working together
  * - Advanced content processing
+ * - Accessible markup with WAI-ARIA roles
  */
 function hth_tabs_shortcode($atts, $content = '') {
     // Parse shortcode attributes with defaults
     $atts = shortcode_atts(
         array(
             'active' => '1',      // Which tab is active by default (1-based index)
-            'style' => 'default'  // Optional style class
+            'style' => 'default', // Optional style class
+            'id' => '',           // Optional fixed ID, used in links to a tab (#id-tab-0)
+            'persist' => 'false'  // Remember the last opened tab in the browser
         ),
         $atts,
         'hth_tabs'
@@ -314,23 +326,42 @@ function hth_tabs_shortcode($atts, $content = '') {
     }
 
     // Determine which tab should be active (convert to zero-based index)
+    // Fall back to the first tab if the attribute points outside the tab list
     $active_tab = intval($atts['active']) - 1;
+    if ($active_tab < 0 || $active_tab >= count($hth_tabs_data)) {
+        $active_tab = 0;
+    }
     $style = sanitize_text_field($atts['style']);
 
-    // Generate a unique ID for this tab set to avoid conflicts
-    $tab_id = 'hth-tabs-' . wp_rand(1000, 9999);
+    // Generate an ID for this tab set
+    // The ID must be stable between page loads, because links to a tab
+    // (#hth-tabs-1-tab-2) and remembered tabs are based on it. A counter
+    // keeps it unique on the page; the id attribute allows a fixed value.
+    static $tabs_instance = 0;
+    $tabs_instance++;
+    $tab_id = sanitize_title($atts['id']);
+    if (empty($tab_id)) {
+        $tab_id = 'hth-tabs-' . $tabs_instance;
+    }
+    $persist = filter_var($atts['persist'], FILTER_VALIDATE_BOOLEAN);
 
     // Build the tab navigation (list of tab titles)
-    $html = '<div class="hth-tabs-container ' . esc_attr($style) . '" id="' . esc_attr($tab_id) . '">';
-    $html .= '<ul class="tab-nav">';
+    // WAI-ARIA roles: the <ul> is the tablist, each link is a tab that
+    // controls one tabpanel. Only the active tab is in the Tab order
+    // (roving tabindex); arrow keys move between tabs (see tabs.js).
+    $html = '<div class="hth-tabs-container ' . esc_attr($style) . '" id="' . esc_attr($tab_id) . '" data-active="' . esc_attr($active_tab + 1) . '"' . ($persist ? ' data-persist="true"' : '') . '>';
+    $html .= '<ul class="tab-nav" role="tablist">';
     foreach ($hth_tabs_data as $index => $tab) {
         // Add 'active' class to the currently active tab
-        $active_class = ($index === $active_tab) ? ' active' : '';
+        $is_active = ($index === $active_tab);
         $html .= sprintf(
-            '<li class="tab-nav-item%s"><a href="#%s-tab-%d">%s</a></li>',
-            $active_class,
+            '<li class="tab-nav-item%1$s" role="presentation"><a href="#%2$s-tab-%3$d" id="%2$s-tab-%3$d-label" class="%4$s" role="tab" aria-controls="%2$s-tab-%3$d" aria-selected="%5$s" tabindex="%6$d">%7$s</a></li>',
+            $is_active ? ' active' : '',
             esc_attr($tab_id),
             $index,
+            $is_active ? 'active' : '',
+            $is_active ? 'true' : 'false',
+            $is_active ? 0 : -1,
             esc_html($tab['title'])
         );
     }
@@ -340,47 +371,21 @@ function hth_tabs_shortcode($atts, $content = '') {
     $html .= '<div class="tab-content">';
     foreach ($hth_tabs_data as $index => $tab) {
         // Add 'active' class to the currently active pane
-        $active_class = ($index === $active_tab) ? ' active' : '';
+        $is_active = ($index === $active_tab);
         $html .= sprintf(
-            '<div id="%s-tab-%d" class="tab-pane%s">%s</div>',
+            '<div id="%1$s-tab-%2$d" class="tab-pane%3$s" role="tabpanel" aria-labelledby="%1$s-tab-%2$d-label" tabindex="0"%4$s>%5$s</div>',
             esc_attr($tab_id),
             $index,
-            $active_class,
+            $is_active ? ' active' : '',
+            $is_active ? '' : ' hidden',
             $tab['content'] // Content is already processed and sanitized by hth_tab_shortcode
         );
     }
     $html .= '</div>';
     $html .= '</div>';
 
-    // Add JavaScript for tab switching functionality
-    // Handles click events, toggles 'active' classes for navigation and content
-    $html .= '<script>
-        document.addEventListener("DOMContentLoaded", function() {
-            const container = document.getElementById("' . esc_js($tab_id) . '");
-            const navItems = container.querySelectorAll(".tab-nav-item a");
-            
-            navItems.forEach(function(item) {
-                item.addEventListener("click", function(e) {
-                    e.preventDefault();
-                    
-                    // Remove active class from all nav items and panes
-                    container.querySelectorAll(".tab-nav-item").forEach(function(nav) {
-                        nav.classList.remove("active");
-                    });
-                    container.querySelectorAll(".tab-pane").forEach(function(pane) {
-                        pane.classList.remove("active");
-                    });
-                    
-                    // Add active class to clicked nav item and corresponding pane
-                    this.parentElement.classList.add("active");
-                    const target = document.querySelector(this.getAttribute("href"));
-                    if (target) {
-                        target.classList.add("active");
-                    }
-                });
-            });
-        });
-    </script>';
+    // Tab switching is handled by assets/js/tabs.js (HTHPlugin.tabs), which is
+    // enqueued whenever the post contains [hth_tabs] - see Chapter 5
 
     // Return the complete HTML for the tabbed interface
     return $html;
@@ -496,6 +501,95 @@ function hth_recent_posts_shortcode($atts) {
 }
 add_shortcode('hth_recent_posts', 'hth_recent_posts_shortcode');
 
+/**
+ * Example 7b: Shortcode that hands off to JavaScript
+ *
+ * This shortcode outputs an empty container that assets/js/ajax.js turns
+ * into a live book catalog (search, genre filter, sorting and paging)
+ * driven by the /hth/v1/books REST endpoint.
+ * Usage: [hth_book_catalog per_page="12" genre="fantasy"]
+ *
+ * Demonstrates:
+ * - Passing configuration to JavaScript with data attributes
+ * - Progressive enhancement (a noscript fallback link)
+ * - Letting the REST API do the querying instead of PHP
+ *
+ * @param array $atts Shortcode attributes
+ * @return string HTML output
+ */
+function hth_book_catalog_shortcode($atts) {
+    $atts = shortcode_atts(
+        array(
+            'per_page' => '10',
+            'genre' => ''
+        ),
+        $atts,
+        'hth_book_catalog'
+    );
+
+    // Match the limits of the REST endpoint's per_page argument
+    $per_page = intval($atts['per_page']);
+    $per_page = ($per_page > 0 && $per_page <= 100) ? $per_page : 10;
+    $genre = sanitize_title($atts['genre']);
+
+    $html = '<div class="hth-book-catalog" data-per-page="' . esc_attr($per_page) . '" data-genre="' . esc_attr($genre) . '">';
+    $html .= '<noscript><a href="' . esc_url(get_post_type_archive_link('book')) . '">' . esc_html__('Browse all books', 'hth-sample-plugin') . '</a></noscript>';
+    $html .= '</div>';
+
+    return $html;
+}
+add_shortcode('hth_book_catalog', 'hth_book_catalog_shortcode');
+
+/**
+ * Show the book catalog below single book content
+ *
+ * The catalog script is enqueued on book pages (see Chapter 5), so we also
+ * give it a container to mount on.
+ *
+ * @param string $content The post content
+ * @return string Modified content
+ */
+function hth_append_book_catalog($content) {
+    if (is_singular('book') && in_the_loop() && is_main_query()) {
+        $content .= hth_book_catalog_shortcode(array());
+    }
+    return $content;
+}
+add_filter('the_content', 'hth_append_book_catalog', 20);
+
+/**
+ * Show the book catalog on genre archives
+ *
+ * The catalog script is enqueued on genre archives as well. Archive
+ * templates print the term description with the_archive_description(), so
+ * the container is added there; the archive's genre is pre-selected
+ * automatically. Templates that don't show a description can place one
+ * with do_shortcode('[hth_book_catalog]').
+ *
+ * genre.js (Chapter 5) lists the archive's books itself, so the catalog is
+ * only added when that script has been dequeued; one list per page.
+ *
+ * @param string $description The archive description HTML
+ * @return string Modified description
+ */
+function hth_append_genre_book_catalog($description) {
+    static $added = false;
+
+    // Only once, in case the theme also reads the description for meta tags
+    if ($added || is_admin() || !is_tax('genre') || doing_action('wp_head')) {
+        return $description;
+    }
+
+    if (wp_script_is('hth-genre-script', 'enqueued')) {
+        return $description;
+    }
+
+    $added = true;
+
+    return $description . hth_book_catalog_shortcode(array());
+}
+add_filter('get_the_archive_description', 'hth_append_genre_book_catalog');
+
 /**
  * Example 8: Shortcode with user authentication
  * 
@@ -629,7 +723,7 @@ add_shortcode('hth_expensive_operation', 'hth_expensive_operation_shortcode');
  * Example 10: Shortcode with AJAX functionality
  * 
  * This shortcode creates a form that submits via AJAX.
- * Usage: [hth_ajax_form]
+ * Usage: [hth_ajax_form] or [hth_ajax_form attachments="true" autosave="true"]
  * 
  * Demonstrates:
  * - AJAX integration
@@ -641,20 +735,32 @@ function hth_ajax_form_shortcode($atts) {
     $atts = shortcode_atts(
         array(
             'action' => 'hth_ajax_form_submit',
-            'success_message' => 'Form submitted successfully!'
+            'success_message' => 'Form submitted successfully!',
+            'attachments' => 'false',
+            'autosave' => 'false'
         ),
         $atts,
         'hth_ajax_form'
     );
 
-    // Generate unique form ID
-    $form_id = 'hth-ajax-form-' . wp_rand(1000, 9999);
+    $allow_attachments = filter_var($atts['attachments'], FILTER_VALIDATE_BOOLEAN);
+    $autosave = filter_var($atts['autosave'], FILTER_VALIDATE_BOOLEAN);
+
+    // Generate a unique form ID that stays the same between page loads, so
+    // submissions queued while offline can report back to the right form
+    static $form_instance = 0;
+    $form_instance++;
+    $form_id = 'hth-ajax-form-' . $form_instance;
     
     // Create nonce for security
     $nonce = wp_create_nonce('hth_ajax_form_nonce');
 
     $html = '<div class="hth-ajax-form-container">';
-    $html .= '<form id="' . esc_attr($form_id) . '" class="hth-ajax-form">';
+    $html .= '<form id="' . esc_attr($form_id) . '" class="hth-ajax-form"';
+    $html .= $allow_attachments ? ' enctype="multipart/form-data"' : '';
+    // Drafts are keyed per page, as form IDs repeat from page to page
+    $html .= $autosave ? ' data-hth-autosave="' . esc_attr($form_id . '-' . get_the_ID()) . '"' : '';
+    $html .= '>';
     $html .= '<div class="form-group">';
     $html .= '<label for="user_name">Name:</label>';
     $html .= '<input type="text" id="user_name" name="user_name" required>';
@@ -667,78 +773,430 @@ function hth_ajax_form_shortcode($atts) {
     $html .= '<label for="user_message">Message:</label>';
     $html .= '<textarea id="user_message" name="user_message" required></textarea>';
     $html .= '</div>';
+
+    // Optional attachments (e.g. screenshots for support enquiries).
+    // The limits are printed as data attributes for assets/js/file-upload.js
+    // and checked again by the submit handler.
+    if ($allow_attachments) {
+        $limits = hth_ajax_form_upload_limits();
+
+        $html .= '<div class="form-group">';
+        $html .= '<label for="' . esc_attr($form_id) . '-attachments">Attachments:</label>';
+        $html .= '<input type="file" id="' . esc_attr($form_id) . '-attachments" name="attachments[]" multiple';
+        $html .= ' accept="' . esc_attr(implode(',', array_map(function($extension) {
+            return '.' . $extension;
+        }, $limits['extensions']))) . '"';
+        $html .= ' data-hth-max-files="' . esc_attr($limits['max_files']) . '"';
+        $html .= ' data-hth-max-size="' . esc_attr($limits['max_size']) . '">';
+        $html .= '</div>';
+    }
+
+    // Spam protection: a honeypot field that people never see, plus a signed
+    // challenge that records when the form was first used and asks the browser
+    // for a small proof of work (see assets/js/spam-guard.js). The challenge
+    // is fetched by AJAX, not printed here, so cached copies of the page
+    // don't hand every visitor the same single-use token. The honeypot is
+    // kept out of saved drafts (form-draft.js), so a bot's answer isn't
+    // restored for the next visit.
+    $html .= '<div class="hth-hp" aria-hidden="true">';
+    $html .= '<label>Leave this field empty <input type="text" name="hth_website" value="" tabindex="-1" autocomplete="off" data-hth-autosave-ignore></label>';
+    $html .= '</div>';
+    $html .= '<input type="hidden" name="hth_challenge" value=""';
+    $html .= ' data-hth-challenge-url="' . esc_url(admin_url('admin-ajax.php')) . '">';
+    $html .= '<input type="hidden" name="hth_proof" value="">';
     $html .= '<input type="hidden" name="action" value="' . esc_attr($atts['action']) . '">';
     $html .= '<input type="hidden" name="nonce" value="' . esc_attr($nonce) . '">';
-    $html .= '<button type="submit">Submit</button>';
+    $html .= '<button type="submit" class="submit-button">Submit</button>';
     $html .= '</form>';
     $html .= '<div id="' . esc_attr($form_id) . '-response"></div>';
     $html .= '</div>';
 
-    // Add JavaScript for AJAX handling
-    $html .= '<script>
-        document.addEventListener("DOMContentLoaded", function() {
-            const form = document.getElementById("' . esc_js($form_id) . '");
-            const responseDiv = document.getElementById("' . esc_js($form_id) . '-response");
-            
-            form.addEventListener("submit", function(e) {
-                e.preventDefault();
-                
-                const formData = new FormData(form);
-                
-                fetch("' . esc_js(admin_url('admin-ajax.php')) . '", {
-                    method: "POST",
-                    body: formData
-                })
-                .then(response => response.json())
-                .then(data => {
-                    if (data.success) {
-                        responseDiv.innerHTML = "<p class=\"success\">" + data.data + "</p>";
-                        form.reset();
-                    } else {
-                        responseDiv.innerHTML = "<p class=\"error\">" + data.data + "</p>";
-                    }
-                })
-                .catch(error => {
-                    responseDiv.innerHTML = "<p class=\"error\">An error occurred. Please try again.</p>";
-                });
-            });
-        });
-    </script>';
+    // Submission and validation are handled by assets/js/ajax-form.js, which
+    // hth_enqueue_shortcode_scripts() loads when this shortcode is present.
+    // Fields are validated from their HTML5 attributes (required, type,
+    // minlength, pattern...) and optional data-hth-rule rules - see
+    // assets/js/validation.js.
 
     return $html;
 }
 add_shortcode('hth_ajax_form', 'hth_ajax_form_shortcode');
 
+/**
+ * Spam protection settings for [hth_ajax_form]
+ *
+ * - min_time: seconds that must pass between getting a challenge and submitting
+ * - max_age: seconds after which a challenge expires
+ * - difficulty: leading zero bits the proof-of-work hash must have;
+ *   each extra bit doubles the work (14 bits is well under a second)
+ *
+ * @return array
+ */
+function hth_ajax_form_spam_settings() {
+    return apply_filters('hth_ajax_form_spam_settings', array(
+        'min_time'   => 3,
+        'max_age'    => DAY_IN_SECONDS,
+        'difficulty' => 14
+    ));
+}
+
+/**
+ * Create a signed challenge for a form
+ *
+ * The token is "time|random|signature". The signature (wp_hash) stops
+ * visitors from changing the issue time, so no server storage is needed
+ * until the form is submitted.
+ *
+ * @return array token, difficulty and min_time
+ */
+function hth_ajax_form_create_challenge() {
+    $settings = hth_ajax_form_spam_settings();
+    $payload = time() . '|' . wp_generate_password(16, false);
+
+    return array(
+        'token'      => $payload . '|' . wp_hash($payload . '|' . $settings['difficulty']),
+        'difficulty' => (int) $settings['difficulty'],
+        'min_time'   => (int) $settings['min_time']
+    );
+}
+
+/**
+ * Count the leading zero bits of a hex-encoded hash
+ */
+function hth_ajax_form_leading_zero_bits($hex) {
+    $bits = 0;
+
+    foreach (str_split($hex) as $char) {
+        $value = hexdec($char);
+
+        if ($value === 0) {
+            $bits += 4;
+            continue;
+        }
+
+        // Zero bits at the top of this 4-bit digit
+        $bits += 3 - (int) floor(log($value, 2));
+        break;
+    }
+
+    return $bits;
+}
+
+/**
+ * Run the spam checks on a submission
+ *
+ * @return true|string True when the submission passes, otherwise a message
+ */
+function hth_ajax_form_check_spam() {
+    $settings = hth_ajax_form_spam_settings();
+    $rejected = 'Your submission could not be verified. Please reload the page and try again.';
+
+    // Honeypot: people don't see this field, bots tend to fill it in
+    if (!empty($_POST['hth_website'])) {
+        return $rejected;
+    }
+
+    $token = isset($_POST['hth_challenge']) ? sanitize_text_field($_POST['hth_challenge']) : '';
+    $proof = isset($_POST['hth_proof']) ? sanitize_text_field($_POST['hth_proof']) : '';
+    $parts = explode('|', $token);
+
+    if (count($parts) !== 3 || $proof === '') {
+        return $rejected;
+    }
+
+    list($rendered, $random, $signature) = $parts;
+
+    if (!hash_equals(wp_hash($rendered . '|' . $random . '|' . $settings['difficulty']), $signature)) {
+        return $rejected;
+    }
+
+    // Time to submit: too fast is a bot, too old is a stale page
+    $age = time() - (int) $rendered;
+
+    if ($age < $settings['min_time']) {
+        return 'That was quick! Please take a moment and submit again.';
+    }
+
+    if ($age > $settings['max_age']) {
+        return 'This form has expired. Please reload the page and try again.';
+    }
+
+    // Proof of work: sha256("token:proof") must start with enough zero bits
+    if (hth_ajax_form_leading_zero_bits(hash('sha256', $token . ':' . $proof)) < $settings['difficulty']) {
+        return $rejected;
+    }
+
+    // Each challenge can be used for one successful submission
+    if (get_transient('hth_form_challenge_' . md5($token))) {
+        return 'This form has already been submitted. Please reload the page to send another message.';
+    }
+
+    return true;
+}
+
+/**
+ * Mark the submitted challenge as used, once the submission has succeeded
+ *
+ * Failed submissions (e.g. a field error) keep their challenge, so the
+ * visitor can correct the form and send it again.
+ */
+function hth_ajax_form_spend_challenge() {
+    $settings = hth_ajax_form_spam_settings();
+    $token = isset($_POST['hth_challenge']) ? sanitize_text_field($_POST['hth_challenge']) : '';
+
+    set_transient('hth_form_challenge_' . md5($token), 1, $settings['max_age']);
+}
+
+/**
+ * Hand out a challenge when a visitor starts using a form
+ *
+ * Responds with the token, difficulty and min_time from
+ * hth_ajax_form_create_challenge().
+ */
+function hth_ajax_form_challenge_handler() {
+    // Every visitor needs their own token
+    nocache_headers();
+
+    wp_send_json_success(hth_ajax_form_create_challenge());
+}
+
+// Hook to hand out challenges to logged-in users and visitors
+add_action('wp_ajax_hth_ajax_form_challenge', 'hth_ajax_form_challenge_handler');
+add_action('wp_ajax_nopriv_hth_ajax_form_challenge', 'hth_ajax_form_challenge_handler');
+
+/**
+ * Attachment limits for [hth_ajax_form attachments="true"]
+ *
+ * Used for both the data attributes on the file input and the server-side
+ * checks, so the two never disagree. Adjust with the 'hth_ajax_form_upload_limits' filter.
+ *
+ * @return array max_files, max_size (bytes) and allowed file extensions
+ */
+function hth_ajax_form_upload_limits() {
+    return apply_filters('hth_ajax_form_upload_limits', array(
+        'max_files'  => 3,
+        'max_size'   => min(5 * MB_IN_BYTES, wp_max_upload_size()),
+        'extensions' => array('jpg', 'jpeg', 'png', 'gif', 'pdf', 'txt')
+    ));
+}
+
+/**
+ * Validate and store uploaded attachments
+ *
+ * @param array $errors Field errors collected so far (passed by reference)
+ * @return array URLs of the stored files
+ */
+function hth_ajax_form_handle_attachments(&$errors) {
+    if (empty($_FILES['attachments']['name']) || !is_array($_FILES['attachments']['name'])) {
+        return array();
+    }
+
+    require_once ABSPATH . 'wp-admin/includes/file.php';
+
+    $limits = hth_ajax_form_upload_limits();
+    $files = $_FILES['attachments'];
+    $count = count(array_filter($files['name']));
+    $urls = array();
+
+    if ($count > $limits['max_files']) {
+        $errors['attachments'] = sprintf('Please attach no more than %d files.', $limits['max_files']);
+        return array();
+    }
+
+    // Check every file before storing any of them
+    foreach ($files['name'] as $index => $name) {
+        if ($name === '') {
+            continue;
+        }
+
+        $check = wp_check_filetype_and_ext($files['tmp_name'][$index], $name);
+
+        if ($files['error'][$index] !== UPLOAD_ERR_OK) {
+            $errors['attachments'] = sprintf('%s could not be uploaded.', sanitize_file_name($name));
+        } elseif ($files['size'][$index] > $limits['max_size']) {
+            $errors['attachments'] = sprintf('%s is larger than %s.', sanitize_file_name($name), size_format($limits['max_size']));
+        } elseif (empty($check['ext']) || !in_array(strtolower($check['ext']), $limits['extensions'], true)) {
+            $errors['attachments'] = sprintf('%s is not an allowed file type.', sanitize_file_name($name));
+        }
+    }
+
+    if (!empty($errors['attachments'])) {
+        return array();
+    }
+
+    foreach ($files['name'] as $index => $name) {
+        if ($name === '') {
+            continue;
+        }
+
+        $upload = wp_handle_upload(
+            array(
+                'name'     => $name,
+                'type'     => $files['type'][$index],
+                'tmp_name' => $files['tmp_name'][$index],
+                'error'    => $files['error'][$index],
+                'size'     => $files['size'][$index]
+            ),
+            array('test_form' => false)
+        );
+
+        if (isset($upload['error'])) {
+            $errors['attachments'] = $upload['error'];
+            return $urls;
+        }
+
+        $urls[] = $upload['url'];
+    }
+
+    return $urls;
+}
+
 // AJAX handler for the form
 add_action('wp_ajax_hth_ajax_form_submit', 'hth_ajax_form_submit_handler');
 add_action('wp_ajax_nopriv_hth_ajax_form_submit', 'hth_ajax_form_submit_handler');
 
+/**
+ * Handle [hth_ajax_form] submissions
+ *
+ * Responses follow one contract that assets/js/ajax-form.js understands:
+ *
+ *   Success: { success: true,  data: { message: '...' } }
+ *   Failure: { success: false, data: { message: '...', errors: { field_name: '...' } } }
+ *
+ * 'message' is the general message shown above the form and 'errors' maps
+ * field names to messages shown next to those fields. To add server-side
+ * validation, hook into 'hth_ajax_form_errors' - no JavaScript changes needed:
+ *
+ *   add_filter('hth_ajax_form_errors', function($errors, $data) {
+ *       if (strlen($data['user_message']) < 20) {
+ *           $errors['user_message'] = 'Please tell us a bit more.';
+ *       }
+ *       return $errors;
+ *   }, 10, 2);
+ *
+ * Each submission carries an 'idempotency_key'. The response to a key is
+ * remembered for a day, so a retried submission (e.g. one queued while the
+ * visitor was offline that had in fact arrived) is answered again instead
+ * of being processed twice.
+ */
 function hth_ajax_form_submit_handler() {
     // Verify nonce
-    if (!wp_verify_nonce($_POST['nonce'], 'hth_ajax_form_nonce')) {
-        wp_die('Security check failed');
+    if (!isset($_POST['nonce']) || !wp_verify_nonce($_POST['nonce'], 'hth_ajax_form_nonce')) {
+        wp_send_json_error(
+            array('message' => 'Security check failed. Please refresh the page and try again.'),
+            403
+        );
+    }
+
+    // Already handled this submission? Send the same answer again
+    $idempotency_key = isset($_POST['idempotency_key']) ? sanitize_key($_POST['idempotency_key']) : '';
+    $idempotency_cache = $idempotency_key ? 'hth_form_submission_' . md5($idempotency_key) : '';
+
+    if ($idempotency_cache) {
+        $previous_response = get_transient($idempotency_cache);
+
+        if ($previous_response !== false) {
+            wp_send_json_success($previous_response);
+        }
+    }
+
+    // Honeypot, time-to-submit, proof of work and replay checks
+    $spam_check = hth_ajax_form_check_spam();
+
+    if ($spam_check !== true) {
+        wp_send_json_error(array('message' => $spam_check), 400);
     }
 
+    // sanitize_email() turns an invalid address into '', so the email is
+    // checked as typed and only sanitized afterwards
+    $raw_email = isset($_POST['user_email']) ? trim(wp_unslash($_POST['user_email'])) : '';
+
     // Sanitize input
-    $name = sanitize_text_field($_POST['user_name']);
-    $email = sanitize_email($_POST['user_email']);
-    $message = sanitize_textarea_field($_POST['user_message']);
+    $data = array(
+        'user_name'    => isset($_POST['user_name']) ? sanitize_text_field($_POST['user_name']) : '',
+        'user_email'   => sanitize_email($raw_email),
+        'user_message' => isset($_POST['user_message']) ? sanitize_textarea_field($_POST['user_message']) : ''
+    );
+
+    // Basic validation, collected per field
+    $errors = array();
+
+    if (empty($data['user_name'])) {
+        $errors['user_name'] = 'Please enter your name.';
+    }
+
+    if ($raw_email === '') {
+        $errors['user_email'] = 'Please enter your email address.';
+    } elseif (!is_email($raw_email)) {
+        $errors['user_email'] = 'Please enter a valid email address.';
+    }
+
+    if (empty($data['user_message'])) {
+        $errors['user_message'] = 'Please enter a message.';
+    }
+
+    // Let other code add or change field errors
+    $errors = apply_filters('hth_ajax_form_errors', $errors, $data);
 
-    // Basic validation
-    if (empty($name) || empty($email) || empty($message)) {
-        wp_send_json_error('All fields are required.');
+    // Only store attachments for submissions that are otherwise valid
+    if (empty($errors)) {
+        $data['attachments'] = hth_ajax_form_handle_attachments($errors);
     }
 
-    if (!is_email($email)) {
-        wp_send_json_error('Please enter a valid email address.');
+    if (!empty($errors)) {
+        wp_send_json_error(array(
+            'message' => 'Please correct the highlighted fields.',
+            'errors'  => $errors
+        ));
     }
 
     // Process the form (save to database, send email, etc.)
-    // This is where you would add your actual form processing logic
-    
-    wp_send_json_success('Thank you for your message! We will get back to you soon.');
+    // This is where you would add your actual form processing logic;
+    // $data['attachments'] holds the URLs of any uploaded files
+
+    // A fresh challenge lets the visitor send another message without a reload
+    $response = array(
+        'message'   => 'Thank you for your message! We will get back to you soon.',
+        'challenge' => hth_ajax_form_create_challenge()
+    );
+
+    hth_ajax_form_spend_challenge();
+
+    if ($idempotency_cache) {
+        set_transient($idempotency_cache, $response, DAY_IN_SECONDS);
+    }
+
+    wp_send_json_success($response);
+}
+
+/**
+ * AJAX handler for the remote:hth_check_username validation rule
+ *
+ * An example of a server-side check for validation.js: it receives
+ * { field, value, nonce } and answers with wp_send_json_success() when the
+ * value is fine or wp_send_json_error(array('message' => ...)) when it isn't.
+ * Every remote handler must verify the hth_validation_nonce nonce, like this
+ * one does, before looking anything up.
+ */
+function hth_check_username_handler() {
+    check_ajax_referer('hth_validation_nonce', 'nonce');
+
+    $username = isset($_POST['value']) ? sanitize_user(wp_unslash($_POST['value'])) : '';
+
+    if ($username === '' || !validate_username($username)) {
+        wp_send_json_error(array('message' => 'Please enter a valid username.'));
+    }
+
+    if (username_exists($username)) {
+        wp_send_json_error(array('message' => 'This username is already taken.'));
+    }
+
+    wp_send_json_success();
 }
 
+// Visitors use the check too, e.g. on a sign-up form
+add_action('wp_ajax_hth_check_username', 'hth_check_username_handler');
+add_action('wp_ajax_nopriv_hth_check_username', 'hth_check_username_handler');
+
 /**
  * SHORTCODE BEST PRACTICES AND SECURITY:
  * 